@@ -0,0 +1,253 @@
+/**
+ * AccountPanel class
+ * Login and character roster on the character-select screen. Players log
+ * in or register, then pick one of their characters to play or create a
+ * new one with the class cards and name input. The login token is kept in
+ * localStorage so players stay logged in between visits.
+ */
+class AccountPanel {
+  /**
+   * Create a new account panel
+   * @param {Game} game - Reference to the game
+   */
+  constructor(game) {
+    this.game = game;
+    this.token = localStorage.getItem(CONFIG.AUTH_TOKEN_KEY);
+    this.account = null;
+    this.characters = [];
+    this.selectedCharacterId = null; // null means "New character"
+
+    this.loginForm = document.getElementById('login-form');
+    this.roster = document.getElementById('roster');
+    this.list = document.getElementById('character-list');
+    this.newCharacter = document.getElementById('new-character');
+  }
+
+  /**
+   * Set up event listeners and load the roster if we're logged in
+   */
+  init() {
+    this.loginForm.addEventListener('submit', (event) => {
+      event.preventDefault();
+      this.logIn('/api/sessions');
+    });
+    document.getElementById('register-account').addEventListener('click', () => this.logIn('/api/accounts'));
+    document.getElementById('logout').addEventListener('click', () => this.logOut());
+    document.getElementById('create-character').addEventListener('click', () => this.createCharacter());
+
+    if (this.token) {
+      this.refresh();
+    } else {
+      this.render();
+    }
+  }
+
+  /**
+   * Call the account API with our login token
+   * @param {string} method - HTTP method
+   * @param {string} path - API path
+   * @param {Object} [body] - JSON body
+   * @returns {Promise<Object|null>} Response data
+   */
+  async request(method, path, body) {
+    const response = await fetch(`${CONFIG.SERVER_URL}${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${this.token}`
+      },
+      body: body && JSON.stringify(body)
+    });
+    const data = response.status === 204 ? null : await response.json();
+
+    if (!response.ok) {
+      // Our login expired or was removed
+      if (response.status === 401 && this.account) {
+        this.setToken(null);
+        this.account = null;
+        this.render();
+      }
+      throw new Error(data.message || 'Request failed.');
+    }
+    return data;
+  }
+
+  /**
+   * Log in or register with the username and password entered
+   * @param {string} path - '/api/sessions' to log in, '/api/accounts' to register
+   */
+  async logIn(path) {
+    const username = document.getElementById('account-username').value.trim();
+    const password = document.getElementById('account-password').value;
+    if (!username || !password) {
+      this.game.ui.showError('Enter a username and password.');
+      return;
+    }
+
+    try {
+      const data = await this.request('POST', path, { username, password });
+      this.setToken(data.token);
+      this.loginForm.reset();
+      await this.refresh();
+    } catch (error) {
+      this.game.ui.showError(error.message);
+    }
+  }
+
+  /**
+   * Log out and forget the token
+   */
+  async logOut() {
+    try {
+      await this.request('DELETE', '/api/sessions');
+    } catch (error) {
+      console.error('Failed to log out:', error);
+    }
+    this.setToken(null);
+    this.account = null;
+    this.characters = [];
+    this.render();
+    this.game.stash.refresh();
+  }
+
+  /**
+   * Fetch the account and its characters
+   */
+  async refresh() {
+    try {
+      const data = await this.request('GET', '/api/account');
+      this.account = data.account;
+      this.characters = data.characters;
+    } catch (error) {
+      console.error('Failed to load account:', error);
+      this.setToken(null);
+      this.account = null;
+      this.characters = [];
+    }
+
+    // Pick the first character if the selected one is gone
+    if (!this.characters.some(character => character.id === this.selectedCharacterId)) {
+      this.selectedCharacterId = this.characters.length > 0 ? this.characters[0].id : null;
+    }
+    this.render();
+    this.game.stash.refresh();
+  }
+
+  /**
+   * Create a character from the selected class card and the name entered
+   */
+  async createCharacter() {
+    const selectedOption = document.querySelector('.character-option.selected');
+    const nameInput = document.getElementById('player-name');
+    if (!selectedOption || !nameInput.value.trim()) {
+      this.game.ui.showError('Pick a class and enter a name.');
+      return;
+    }
+
+    try {
+      const data = await this.request('POST', '/api/characters', {
+        name: nameInput.value.trim(),
+        characterClass: selectedOption.getAttribute('data-class')
+      });
+      nameInput.value = '';
+      this.selectedCharacterId = data.character.id;
+      await this.refresh();
+    } catch (error) {
+      this.game.ui.showError(error.message);
+    }
+  }
+
+  /**
+   * Delete a character after asking
+   * @param {Object} character - Character summary
+   */
+  async deleteCharacter(character) {
+    if (!confirm(`Delete ${character.name} for good?`)) return;
+
+    try {
+      await this.request('DELETE', `/api/characters/${character.id}`);
+      await this.refresh();
+    } catch (error) {
+      this.game.ui.showError(error.message);
+    }
+  }
+
+  /**
+   * Show the login form or the roster
+   */
+  render() {
+    const loggedIn = Boolean(this.account);
+    this.loginForm.classList.toggle('hidden', loggedIn);
+    this.roster.classList.toggle('hidden', !loggedIn);
+    this.newCharacter.classList.toggle('hidden', !loggedIn || this.selectedCharacterId !== null);
+
+    this.list.innerHTML = '';
+    if (loggedIn) {
+      document.getElementById('account-name').textContent = this.account.username;
+
+      for (const character of this.characters) {
+        const entry = this.createEntry(character.id, `${character.name} · level ${character.level} ${character.characterClass}`);
+
+        const deleteButton = document.createElement('button');
+        deleteButton.className = 'delete-character';
+        deleteButton.type = 'button';
+        deleteButton.textContent = 'Delete';
+        deleteButton.addEventListener('click', (event) => {
+          event.stopPropagation();
+          this.deleteCharacter(character);
+        });
+        entry.appendChild(deleteButton);
+
+        this.list.appendChild(entry);
+      }
+
+      const newEntry = this.createEntry(null, '+ New character');
+      newEntry.classList.add('new');
+      this.list.appendChild(newEntry);
+    }
+
+    this.game.checkStartButtonState();
+  }
+
+  /**
+   * Create a roster entry
+   * @param {string|null} characterId - Character ID, or null for "New character"
+   * @param {string} text - Text to show
+   * @returns {HTMLElement} List entry
+   */
+  createEntry(characterId, text) {
+    const entry = document.createElement('li');
+    entry.className = 'character-entry';
+    entry.classList.toggle('selected', characterId === this.selectedCharacterId);
+
+    const label = document.createElement('span');
+    label.textContent = text;
+    entry.appendChild(label);
+
+    entry.addEventListener('click', () => {
+      this.selectedCharacterId = characterId;
+      this.render();
+    });
+    return entry;
+  }
+
+  /**
+   * @returns {Object|null} Summary of the character to play, if one is selected
+   */
+  getSelectedCharacter() {
+    return this.characters.find(character => character.id === this.selectedCharacterId) || null;
+  }
+
+  /**
+   * Keep the login token for later visits
+   * @param {string|null} token - Login token, or null to forget it
+   */
+  setToken(token) {
+    this.token = token;
+    if (token) {
+      localStorage.setItem(CONFIG.AUTH_TOKEN_KEY, token);
+    } else {
+      localStorage.removeItem(CONFIG.AUTH_TOKEN_KEY);
+    }
+  }
+}
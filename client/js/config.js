@@ -12,13 +12,12 @@ const CONFIG = {
   // Network settings
   SERVER_URL: window.location.hostname === 'localhost' ? 'http://localhost:3000' : window.location.origin,
   UPDATE_RATE: 50, // ms between server updates
+  AUTH_TOKEN_KEY: 'authToken', // localStorage key for the account login token
+  INTERPOLATION_DELAY: 100, // ms behind the server that remote entities are rendered
+  MAX_EXTRAPOLATION: 200, // ms to keep moving entities when snapshots are late
+  INTERPOLATION_SNAP_DISTANCE: 300, // Jumps larger than this snap instead of sliding
   
   // Player settings
-  PLAYER_SPEED: {
-    warrior: 140,
-    mage: 150,
-    ranger: 170
-  },
   PLAYER_SIZE: 48,
   
   // CRITICAL FIX: Add class-specific player sprite sizes
@@ -29,35 +28,9 @@ const CONFIG = {
     ranger: 124  // Increased ranger size to make it match other classes visually
   },
   
-  // Combat settings
-  ATTACK_RANGE: {
-    warrior: 40,
-    mage: 200,
-    ranger: 150
-  },
-  ATTACK_DURATION: {
-    warrior: 500,
-    mage: 300,
-    ranger: 200
-  },
-  ATTACK_COOLDOWN: {
-    warrior: 500,
-    mage: 800,
-    ranger: 600
-  },
-  
-  // Skill settings
-  SKILL_COOLDOWNS: {
-    warrior: {
-      1: 5000 // Cleave: 5 seconds
-    },
-    mage: {
-      1: 8000 // Fireball: 8 seconds
-    },
-    ranger: {
-      1: 6000 // Multi-shot: 6 seconds
-    }
-  },
+  // Class definitions (speeds, ranges, skill cooldowns), loaded from the
+  // server's content files by Game.loadClassDefinitions
+  CLASSES: {},
   
   // Monster settings
   MONSTER_SIZE: 32,
@@ -65,12 +38,17 @@ const CONFIG = {
   // Item settings
   ITEM_SIZE: 24,
   ITEM_PICKUP_RANGE: 30,
+  CORPSE_LOOT_RADIUS: 60, // Matches the server's Corpse.lootRadius
   
   // UI settings
   MINIMAP_SCALE: 0.1, // Scale factor for minimap
+  CHAT_MAX_LENGTH: 200, // Matches the server's CHAT_MAX_LENGTH
+  CHAT_HISTORY: 100, // Chat messages kept in the chat box
   
   // Rendering settings
   CAMERA_LERP: 0.1, // Camera smoothing factor (0-1)
+  FREE_CAMERA_SPEED: 800, // Pixels per second when panning a free camera
+  SPECTATOR_CAMERA_INTERVAL: 250, // How often spectators report their camera to the server, in ms
   RENDER_DISTANCE: 1000, // Only render entities within this distance
   USE_SPRITE_SHEETS: true, // Enable sprite sheet animations
   SPRITE_SHEET_DEBUG: true, // Enable sprite sheet debugging info
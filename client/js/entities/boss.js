@@ -27,10 +27,11 @@ class Boss extends Monster {
   /**
    * Update boss state
    * @param {number} deltaTime - Time since last update in ms
+   * @param {number} renderTime - Server time to render at
    */
-  update(deltaTime) {
+  update(deltaTime, renderTime) {
     // Call parent update
-    super.update(deltaTime);
+    super.update(deltaTime, renderTime);
     
     // Update phase effects
     this.updatePhaseEffects(deltaTime);
@@ -14,6 +14,7 @@ class Item {
     this.stats = data.stats || {};
     this.position = data.position || { x: 0, y: 0 };
     this.color = data.color || '#FFFFFF';
+    this.ownerIds = data.ownerIds || []; // Characters with first claim, while it lasts
     
     // Local properties
     this.width = CONFIG.ITEM_SIZE;
@@ -31,54 +31,39 @@ class Monster {
     
     // Interpolation
     this.targetPosition = { ...this.position };
+    this.interpolation = new InterpolationBuffer();
     this.lastUpdateTime = Date.now();
   }
   
   /**
    * Update monster state
    * @param {number} deltaTime - Time since last update in ms
+   * @param {number} renderTime - Server time to render at
    */
-  update(deltaTime) {
+  update(deltaTime, renderTime) {
     // Skip update if dead
     if (this.isDead) {
       return;
     }
     
     // Interpolate position
-    this.interpolatePosition(deltaTime);
+    this.interpolatePosition(renderTime);
     
     // Update animation
     this.updateAnimation(deltaTime);
   }
   
   /**
-   * Interpolate position for smooth movement
-   * @param {number} deltaTime - Time since last update in ms
+   * Place the monster at its buffered server position for the render time
+   * @param {number} renderTime - Server time to render at
    */
-  interpolatePosition(deltaTime) {
-    // Calculate the interpolation factor based on time since last update
-    // Lower values make movement smoother but slower to reach target
-    const INTERPOLATION_SPEED = 0.01; // Adjust this value to control smoothness
-    
-    // Calculate interpolation amount (t) based on deltaTime
-    // This ensures consistent movement speed regardless of frame rate
-    const t = Math.min(1, deltaTime * INTERPOLATION_SPEED);
-    
-    // Calculate distance to target
-    const dx = this.targetPosition.x - this.position.x;
-    const dy = this.targetPosition.y - this.position.y;
-    const distanceSquared = dx * dx + dy * dy;
+  interpolatePosition(renderTime) {
+    if (renderTime === undefined) return;
     
-    // If we're very close to the target, just snap to it
-    if (distanceSquared < 1) {
-      this.position.x = this.targetPosition.x;
-      this.position.y = this.targetPosition.y;
-      return;
+    const position = this.interpolation.sample(renderTime);
+    if (position) {
+      this.position = position;
     }
-    
-    // Apply the interpolation
-    this.position.x += dx * t;
-    this.position.y += dy * t;
   }
   
   /**
@@ -12,6 +12,7 @@ class Player {
     this.characterClass = data.characterClass;
     this.position = data.position || { x: 0, y: 0 };
     this.facingDirection = data.facingDirection || 'down';
+    this.movementSpeed = data.movementSpeed || 150;
     this.level = data.level || 1;
     this.health = data.health || 100;
     this.maxHealth = data.maxHealth || 100;
@@ -51,16 +52,18 @@ class Player {
     
     // Interpolation
     this.targetPosition = { ...this.position };
+    this.interpolation = new InterpolationBuffer();
     this.lastUpdateTime = Date.now();
   }
   
   /**
    * Update player state
    * @param {number} deltaTime - Time since last update in ms
+   * @param {number} renderTime - Server time to render remote entities at
    */
-  update(deltaTime) {
+  update(deltaTime, renderTime) {
     // Interpolate position
-    this.interpolatePosition(deltaTime);
+    this.interpolatePosition(renderTime);
     
     // Update animation
     this.updateAnimation(deltaTime);
@@ -74,38 +77,19 @@ class Player {
   }
   
   /**
-   * Interpolate position for smooth movement
-   * @param {number} deltaTime - Time since last update in ms
+   * Place the player at its buffered server position for the render time
+   * @param {number} renderTime - Server time to render at
    */
-  interpolatePosition(deltaTime) {
+  interpolatePosition(renderTime) {
     // Skip interpolation for local player (controlled by input)
-    if (this.isLocalPlayer) {
+    if (this.isLocalPlayer || renderTime === undefined) {
       return;
     }
     
-    // Calculate the interpolation factor based on time since last update
-    // Lower values make movement smoother but slower to reach target
-    const INTERPOLATION_SPEED = 0.0001; // Adjust this value to control smoothness
-    
-    // Calculate interpolation amount (t) based on deltaTime
-    // This ensures consistent movement speed regardless of frame rate
-    const t = Math.min(1, deltaTime * INTERPOLATION_SPEED);
-    
-    // Calculate distance to target
-    const dx = this.targetPosition.x - this.position.x;
-    const dy = this.targetPosition.y - this.position.y;
-    const distanceSquared = dx * dx + dy * dy;
-    
-    // If we're very close to the target, just snap to it
-    if (distanceSquared < 1) {
-      this.position.x = this.targetPosition.x;
-      this.position.y = this.targetPosition.y;
-      return;
+    const position = this.interpolation.sample(renderTime);
+    if (position) {
+      this.position = position;
     }
-    
-    // Apply the interpolation
-    this.position.x += dx * t;
-    this.position.y += dy * t;
   }
   
   /**
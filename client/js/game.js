@@ -15,13 +15,24 @@ class Game {
     this.monsters = new Map();
     this.bosses = new Map();
     this.items = new Map();
+    this.corpses = new Map(); // Lootable player corpses, as sent by the server
     this.world = null;
+    this.extraction = null; // {exitId, startedAt, duration} while extracting
     
     // Game systems
     this.renderer = null;
     this.network = null;
     this.input = null;
     this.ui = null;
+    this.worldBrowser = null;
+    this.account = null;
+    this.stash = null;
+    this.replayPlayer = null;
+    this.spectator = null;
+    
+    // Local player prediction and remote entity interpolation
+    this.movementPredictor = new MovementPredictor();
+    this.serverClock = new ServerClock();
     
     // Game time tracking
     this.lastUpdateTime = 0;
@@ -49,10 +60,13 @@ class Game {
     this.handleItemPickup = this.handleItemPickup.bind(this);
     this.handlePlayerDeath = this.handlePlayerDeath.bind(this);
     this.handleBossSpawn = this.handleBossSpawn.bind(this);
+    this.handleExitsChanged = this.handleExitsChanged.bind(this);
     this.handleBossKill = this.handleBossKill.bind(this);
     this.handleProjectileCreated = this.handleProjectileCreated.bind(this);
     this.handleEffectEvent = this.handleEffectEvent.bind(this);
     this.handleWorldData = this.handleWorldData.bind(this);
+    this.handleSessionResumed = this.handleSessionResumed.bind(this);
+    this.handleSessionExpired = this.handleSessionExpired.bind(this);
     this.monitorMemory = this.monitorMemory.bind(this);
   }
   
@@ -133,6 +147,11 @@ class Game {
       this.network = new Network(this);
       this.input = new Input(this);
       this.ui = new UI(this);
+      this.worldBrowser = new WorldBrowser(this);
+      this.account = new AccountPanel(this);
+      this.stash = new StashPanel(this);
+      this.replayPlayer = new ReplayPlayer(this);
+      this.spectator = new SpectatorMode(this);
       
       // Try to initialize systems
       try {
@@ -140,6 +159,11 @@ class Game {
         this.network.init();
         this.input.init();
         this.ui.init();
+        this.worldBrowser.init();
+        this.account.init();
+        this.replayPlayer.init();
+        this.spectator.init();
+        this.loadClassDefinitions();
         
         // Set up event listeners
         console.log("Setting up event listeners...");
@@ -217,6 +241,45 @@ class Game {
     this.network.on('projectileCreated', this.handleProjectileCreated);
     this.network.on('effectEvent', this.handleEffectEvent);
     this.network.on('worldData', this.handleWorldData);
+    this.network.on('kicked', (data) => this.ui.showError(data.message));
+    this.network.on('sessionResumed', this.handleSessionResumed);
+    this.network.on('sessionExpired', this.handleSessionExpired);
+    this.network.on('exitSuccess', (data) => {
+      const lost = data.lost > 0 ? ` Your stash is full, so ${data.lost} were left behind.` : '';
+      this.extraction = null;
+      this.ui.restartGame();
+      this.ui.showNotification(`Extracted through ${data.exitName} with ${data.stored} items.${lost}`, 'server');
+    });
+    this.network.on('extractionStarted', (data) => {
+      this.extraction = { exitId: data.exitId, startedAt: Date.now(), duration: data.duration };
+      this.ui.showNotification('Extracting... stay in the exit zone and avoid damage.');
+    });
+    this.network.on('extractionInterrupted', (data) => {
+      this.extraction = null;
+      this.ui.showNotification(data.message);
+    });
+    this.network.on('exitsChanged', this.handleExitsChanged);
+    this.network.on('corpseContents', (data) => this.ui.showCorpsePanel(data));
+    this.network.on('error', (data) => this.ui.showNotification(data.message));
+    this.network.on('raidEnded', (data) => {
+      this.extraction = null;
+      this.ui.restartGame();
+      this.ui.showError(data.message);
+    });
+    this.network.on('serverMessage', (data) => this.ui.showNotification(data.message, 'server'));
+    this.network.on('partyInvited', (data) => {
+      this.ui.showNotification(`${data.from} invited you to their party. Type /party accept to join.`, 'server');
+    });
+    this.network.on('partyUpdate', (data) => {
+      this.ui.showNotification(data.members.length > 0 ? `Party: ${data.members.join(', ')}` : 'You are not in a party.');
+    });
+    this.network.on('chatMessage', (data) => this.ui.addChatMessage(data));
+    this.network.on('contentReloaded', (data) => {
+      CONFIG.CLASSES = data.classes;
+      if (this.gameStarted) {
+        this.ui.showNotification('Game balance updated', 'server');
+      }
+    });
     
     // UI events
     document.getElementById('start-game').addEventListener('click', () => {
@@ -277,7 +340,20 @@ class Game {
   }
   
   /**
-   * Check if start button should be enabled
+   * Fetch class definitions from the server, which owns the numbers
+   */
+  async loadClassDefinitions() {
+    try {
+      const response = await fetch(`${CONFIG.SERVER_URL}/api/classes`);
+      const data = await response.json();
+      CONFIG.CLASSES = data.classes || {};
+    } catch (error) {
+      console.error('Failed to load class definitions:', error);
+    }
+  }
+  
+  /**
+   * Check if the create-character and start buttons should be enabled
    */
   checkStartButtonState() {
     const nameInput = document.getElementById('player-name');
@@ -286,11 +362,13 @@ class Game {
     
     const nameEntered = nameInput && nameInput.value && nameInput.value.trim().length > 0;
     const classSelected = selectedClass !== null;
+    const characterSelected = Boolean(this.account && this.account.getSelectedCharacter());
     
-    console.log(`Start button state check - Name entered: ${nameEntered}, Class selected: ${classSelected}`);
+    // New characters need a name and class; playing needs a character from the roster
+    document.getElementById('create-character').disabled = !nameEntered || !classSelected;
     
     if (startButton) {
-      startButton.disabled = !nameEntered || !classSelected;
+      startButton.disabled = !characterSelected;
       console.log(`Start button is now ${startButton.disabled ? 'disabled' : 'enabled'}`);
     } else {
       console.error("Start button element not found!");
@@ -350,22 +428,17 @@ class Game {
   }
   
   /**
-   * Start the game with selected character
+   * Start the game with the character picked from the account roster
    */
   startGame() {
-    // Get selected character class and player name
-    const selectedOption = document.querySelector('.character-option.selected');
-    const playerName = document.getElementById('player-name').value.trim();
+    const character = this.account.getSelectedCharacter();
     
-    if (!selectedOption || !playerName) {
-      console.warn("Cannot start game: missing player selection or name");
-      this.ui.showError("Please select a character and enter your name.");
+    if (!character) {
+      console.warn("Cannot start game: no character selected");
+      this.ui.showError("Please log in and pick a character.");
       return;
     }
     
-    // Get the character class from the selected option
-    const characterClass = selectedOption.getAttribute('data-class');
-    
     // Check for debug mode
     this.debugMode = document.getElementById('debug-mode').checked;
     if (this.debugMode) {
@@ -391,7 +464,7 @@ class Game {
         startButton.textContent = originalText;
         
         // Proceed with game start
-        this.completeGameStart(playerName, characterClass);
+        this.completeGameStart(character);
       };
       
       const handleConnectionFailure = () => {
@@ -412,16 +485,15 @@ class Game {
       this.network.init();
     } else {
       // Already connected, proceed with game start
-      this.completeGameStart(playerName, characterClass);
+      this.completeGameStart(character);
     }
   }
   
   /**
    * Complete the game start process after ensuring network connectivity
-   * @param {string} playerName - The player's name
-   * @param {string} characterClass - The character's class
+   * @param {Object} character - Account character to play
    */
-  completeGameStart(playerName, characterClass) {
+  completeGameStart(character) {
     // Hide character selection
     document.getElementById('character-select').classList.add('hidden');
     
@@ -432,7 +504,7 @@ class Game {
     
     // Attempt to join the game
     console.log("Attempting to join game...");
-    this.network.joinGame(playerName, characterClass)
+    this.network.joinGame(this.account.token, character, this.worldBrowser.getSelection(), this.stash.getLoadout())
       .then(() => {
         // Successfully joined
         this.ui.hideLoading();
@@ -454,6 +526,7 @@ class Game {
         
         document.getElementById('character-select').classList.remove('hidden');
         gameUI.classList.add('hidden');
+        this.worldBrowser.refresh();
       });
   }
   
@@ -473,6 +546,16 @@ class Game {
       return;
     }
     
+    // Replays feed recorded frames instead of the server
+    if (this.replayPlayer.active) {
+      this.replayPlayer.update(this.deltaTime);
+    }
+    
+    // Spectators steer the camera instead of a character
+    if (this.spectator.active) {
+      this.spectator.update(this.deltaTime);
+    }
+    
     // Update game objects
     this.updateGameObjects();
     
@@ -489,19 +572,17 @@ class Game {
    * Update all game objects
    */
   updateGameObjects() {
+    // Remote entities are drawn slightly in the past, between two snapshots
+    const renderTime = this.serverClock.renderTime();
+    
     // Update player
     if (this.player) {
-      // Store previous position to restore if collision occurs
-      const prevPosition = { 
-        x: this.player.position.x, 
-        y: this.player.position.y 
-      };
+      // Predict movement from input; terrain is client-only decoration,
+      // so no collision here or the server would disagree
+      this.movementPredictor.predict(this.player, this.deltaTime);
       
       this.player.update(this.deltaTime);
       
-      // Check for collision with terrain features after movement
-      this.checkTerrainCollisions(this.player, prevPosition);
-      
       // Initialize projectiles array if it doesn't exist
       if (!this.player.projectiles) {
         this.player.projectiles = [];
@@ -516,7 +597,7 @@ class Game {
       // Only apply terrain collision for the current player (server handles other players)
       if (player === this.player) return;
       
-      player.update(this.deltaTime);
+      player.update(this.deltaTime, renderTime);
       
       // Initialize projectiles array if it doesn't exist
       if (!player.projectiles) {
@@ -527,164 +608,19 @@ class Game {
       this.updateProjectiles(player);
     });
     
-    // Update monsters
+    // Update monsters and bosses; positions come from the server
     this.monsters.forEach(monster => {
       if (monster.update) {
-        // Store previous position to restore if collision occurs
-        const prevPosition = { 
-          x: monster.position.x, 
-          y: monster.position.y 
-        };
-        
-        // Update base monster properties
-        monster.update(this.deltaTime);
-        
-        // AI: Make monsters move toward nearby players
-        this.updateMonsterAI(monster);
-        
-        // Collision detection to prevent overlapping
-        this.checkMonsterCollisions(monster, prevPosition);
+        monster.update(this.deltaTime, renderTime);
       }
     });
     
-    // Clean up inactive projectiles to prevent memory buildup
-    this.cleanupProjectiles();
-  }
-  
-  /**
-   * Update monster AI to move toward nearby players
-   * @param {Object} monster - The monster to update
-   */
-  updateMonsterAI(monster) {
-    // Skip if monster is dead
-    if (monster.isDead) return;
-    
-    // Find closest player
-    let closestPlayer = null;
-    let closestDistance = Infinity;
-    
-    // Check local player first
-    if (this.player && !this.player.isDead) {
-      const dx = this.player.position.x - monster.position.x;
-      const dy = this.player.position.y - monster.position.y;
-      const distSq = dx * dx + dy * dy;
-      
-      closestPlayer = this.player;
-      closestDistance = distSq;
-    }
-    
-    // Check other players
-    this.players.forEach(player => {
-      if (player === this.player || player.isDead) return;
-      
-      const dx = player.position.x - monster.position.x;
-      const dy = player.position.y - monster.position.y;
-      const distSq = dx * dx + dy * dy;
-      
-      if (distSq < closestDistance) {
-        closestPlayer = player;
-        closestDistance = distSq;
-      }
+    this.bosses.forEach(boss => {
+      boss.update(this.deltaTime, renderTime);
     });
     
-    // Only follow players within detection radius
-    const DETECTION_RADIUS = 200;
-    const ATTACK_RADIUS = 60; // Radius within which monsters will attack
-    const FOLLOW_SPEED = 0.3; // Slow movement speed
-    
-    if (closestPlayer && closestDistance < DETECTION_RADIUS * DETECTION_RADIUS) {
-      // Determine if we should attack based on distance
-      const dist = Math.sqrt(closestDistance);
-      
-      // Attack if close enough and not already attacking
-      if (dist < ATTACK_RADIUS && !monster.isAttacking) {
-        monster.isAttacking = true;
-        monster.attackDirection = monster.facingDirection;
-        
-        // Set attack duration - simulate server behavior
-        const ATTACK_DURATION = 1000; // 1 second attack animation
-        
-        // Reset attack state after duration
-        setTimeout(() => {
-          monster.isAttacking = false;
-        }, ATTACK_DURATION);
-        
-        // Only move if not attacking
-        return;
-      }
-      
-      // If attacking, don't move
-      if (monster.isAttacking) return;
-      
-      // Calculate direction to player
-      const dx = closestPlayer.position.x - monster.position.x;
-      const dy = closestPlayer.position.y - monster.position.y;
-      
-      // Normalize direction and apply speed
-      const moveX = (dx / dist) * FOLLOW_SPEED * this.deltaTime / 16;
-      const moveY = (dy / dist) * FOLLOW_SPEED * this.deltaTime / 16;
-      
-      // Update monster's target position for smooth movement
-      monster.targetPosition.x = monster.position.x + moveX;
-      monster.targetPosition.y = monster.position.y + moveY;
-      
-      // Update facing direction
-      if (Math.abs(dx) > Math.abs(dy)) {
-        monster.facingDirection = dx > 0 ? 'right' : 'left';
-      } else {
-        monster.facingDirection = dy > 0 ? 'down' : 'up';
-      }
-    }
-  }
-  
-  /**
-   * Check for collisions between monsters and other entities
-   * @param {Object} monster - The monster to check
-   * @param {Object} prevPosition - The monster's previous position
-   */
-  checkMonsterCollisions(monster, prevPosition) {
-    // Skip if monster is dead
-    if (monster.isDead) return;
-    
-    // Monster collision radius
-    const monsterRadius = monster.width / 2 || 16;
-    
-    // Check collision with terrain
-    this.checkTerrainCollisions(monster, prevPosition);
-    
-    // Check collision with player
-    if (this.player && !this.player.isDead) {
-      const playerRadius = CONFIG.PLAYER_SIZE / 2;
-      const dx = monster.position.x - this.player.position.x;
-      const dy = monster.position.y - this.player.position.y;
-      const distSq = dx * dx + dy * dy;
-      const minDist = monsterRadius + playerRadius;
-      
-      if (distSq < minDist * minDist) {
-        // Collision detected, move back to previous position
-        monster.position.x = prevPosition.x;
-        monster.position.y = prevPosition.y;
-        return;
-      }
-    }
-    
-    // Check collision with other monsters
-    this.monsters.forEach(otherMonster => {
-      if (monster === otherMonster || otherMonster.isDead) return;
-      
-      const otherRadius = otherMonster.width / 2 || 16;
-      const dx = monster.position.x - otherMonster.position.x;
-      const dy = monster.position.y - otherMonster.position.y;
-      const distSq = dx * dx + dy * dy;
-      const minDist = monsterRadius + otherRadius;
-      
-      if (distSq < minDist * minDist) {
-        // Collision detected, move back to previous position
-        monster.position.x = prevPosition.x;
-        monster.position.y = prevPosition.y;
-        return;
-      }
-    });
+    // Clean up inactive projectiles to prevent memory buildup
+    this.cleanupProjectiles();
   }
   
   /**
@@ -697,19 +633,32 @@ class Game {
     if (this.renderer) {
       this.renderer.resize();
     }
+    
+    // Server filters game state by what fits on screen
+    if (this.network) {
+      this.network.sendViewportSize(CONFIG.GAME_WIDTH, CONFIG.GAME_HEIGHT);
+    }
   }
   
   /**
    * Handle game state update from server
-   * @param {Object} data - Game state data
+   * @param {Object} data - Full game state, rebuilt by Network from snapshot deltas
    */
   handleGameState(data) {
+    // Keep our estimate of the server clock up to date
+    this.serverClock.update(data.timestamp);
+    
+    // Despawn entities that left our area of interest
+    if (data.left) {
+      this.despawnEntities(data.left);
+    }
+    
     // Process players
     for (const id in data.players) {
       const playerData = data.players[id];
       
-      // Check if this is the local player
-      const isLocalPlayer = id === this.network.socket.id;
+      // Check if this is the local player; replays have none
+      const isLocalPlayer = !this.replayPlayer.active && id === this.network.socket.id;
       
       if (isLocalPlayer) {
         // Update or create local player
@@ -731,6 +680,14 @@ class Game {
           Object.assign(this.player, playerData);
           this.player.isLocalPlayer = wasLocalPlayer;
           
+          // Replay inputs the server hasn't processed on top of its position
+          this.movementPredictor.reconcile(
+            this.player,
+            playerData.position,
+            data.lastProcessedInput,
+            data.inputElapsed
+          );
+          
           // Make sure the player is still in the players map
           this.players.set(id, this.player);
         }
@@ -738,6 +695,7 @@ class Game {
         // Update UI with player stats
         if (this.ui) {
           this.ui.updatePlayerStats();
+          this.ui.updateRaidStatus();
         }
       } else {
         // Handle other players
@@ -756,11 +714,13 @@ class Game {
           
           // Set current position back to previous position for smooth interpolation
           player.position = prevPosition;
+          player.interpolation.push(data.timestamp, player.targetPosition);
         } else {
           // Create new player
           const player = new Player(playerData);
           // Initialize targetPosition for newly created players
           player.targetPosition = { ...player.position };
+          player.interpolation.push(data.timestamp, player.targetPosition);
           this.players.set(id, player);
         }
       }
@@ -785,15 +745,38 @@ class Game {
         
         // Set current position back to previous position for smooth interpolation
         monster.position = prevPosition;
+        monster.interpolation.push(data.timestamp, monster.targetPosition);
       } else {
         // Create new monster
         const monster = new Monster(monsterData);
         // Initialize targetPosition for newly created monsters
         monster.targetPosition = { ...monster.position };
+        monster.interpolation.push(data.timestamp, monster.targetPosition);
         this.monsters.set(id, monster);
       }
     }
     
+    // Process bosses (only present in full world mode)
+    for (const id in data.bosses) {
+      const bossData = data.bosses[id];
+      
+      if (this.bosses.has(id)) {
+        // Update existing boss, keeping the previous position for interpolation
+        const boss = this.bosses.get(id);
+        const prevPosition = { ...boss.position };
+        Object.assign(boss, bossData);
+        boss.targetPosition = { ...boss.position };
+        boss.position = prevPosition;
+        boss.interpolation.push(data.timestamp, boss.targetPosition);
+      } else {
+        // Create new boss
+        const boss = new Boss(bossData);
+        boss.targetPosition = { ...boss.position };
+        boss.interpolation.push(data.timestamp, boss.targetPosition);
+        this.bosses.set(id, boss);
+      }
+    }
+    
     // Process items
     for (const id in data.items) {
       const itemData = data.items[id];
@@ -802,9 +785,17 @@ class Game {
         // Create new item
         const item = new Item(itemData);
         this.items.set(id, item);
+      } else if (itemData.ownerIds) {
+        // Ownership runs out while the item lies on the ground
+        this.items.get(id).ownerIds = itemData.ownerIds;
       }
     }
     
+    // Process corpses; the renderer draws them straight from the server data
+    for (const id in data.corpses) {
+      this.corpses.set(id, data.corpses[id]);
+    }
+    
     // Add projectiles to players if they exist
     if (data.projectiles) {
       // Process player projectiles
@@ -860,6 +851,39 @@ class Game {
     this.cleanupEntities(data);
   }
   
+  /**
+   * Handle getting our character back after a reconnect
+   * @param {Object} data - Player data and new player ID from the server
+   */
+  handleSessionResumed(data) {
+    if (this.player) {
+      // The server keys players by socket ID, so ours changed
+      this.players.delete(this.player.id);
+      this.player.id = data.playerId;
+      this.players.set(data.playerId, this.player);
+      this.player.position = { ...data.player.position };
+    }
+    
+    // Inputs sent on the old connection were lost
+    this.movementPredictor.reset();
+    this.network.sendViewportSize(CONFIG.GAME_WIDTH, CONFIG.GAME_HEIGHT);
+    
+    this.ui.showNotification('Reconnected');
+  }
+  
+  /**
+   * Handle our character being gone when we reconnected
+   * @param {Object} data - Message from the server
+   */
+  handleSessionExpired(data) {
+    this.ui.showError(data.message);
+    
+    // Back to character selection to start a new character
+    if (this.gameStarted) {
+      this.ui.restartGame();
+    }
+  }
+  
   /**
    * Handle player joined event
    */
@@ -1059,14 +1083,49 @@ class Game {
     }
   }
   
+  /**
+   * Remove entities that moved out of the area of interest
+   * @param {Object} left - Entity IDs by category (players, monsters, bosses, items, corpses)
+   */
+  despawnEntities(left) {
+    for (const id of left.players || []) {
+      const player = this.players.get(id);
+      if (player && player !== this.player) {
+        if (this.renderer) {
+          this.renderer.removePlayer(player);
+        }
+        this.players.delete(id);
+      }
+    }
+    
+    for (const id of left.monsters || []) {
+      this.monsters.delete(id);
+    }
+    
+    for (const id of left.bosses || []) {
+      this.bosses.delete(id);
+    }
+    
+    for (const id of left.items || []) {
+      this.items.delete(id);
+    }
+    
+    for (const id of left.corpses || []) {
+      this.corpses.delete(id);
+    }
+  }
+  
   /**
    * Remove entities that no longer exist in the game state
    * @param {Object} data - Game state data
    */
   cleanupEntities(data) {
     // Clean up players
-    for (const playerId of this.players.keys()) {
+    for (const [playerId, player] of this.players.entries()) {
       if (!data.players[playerId]) {
+        if (this.renderer) {
+          this.renderer.removePlayer(player);
+        }
         this.players.delete(playerId);
       }
     }
@@ -1078,12 +1137,27 @@ class Game {
       }
     }
     
+    // Clean up bosses
+    for (const bossId of this.bosses.keys()) {
+      if (!data.bosses || !data.bosses[bossId]) {
+        this.bosses.delete(bossId);
+      }
+    }
+    
     // Clean up items
     for (const itemId of this.items.keys()) {
       if (!data.items[itemId]) {
         this.items.delete(itemId);
       }
     }
+    
+    // Clean up corpses, closing the loot window if ours is gone
+    for (const corpseId of this.corpses.keys()) {
+      if (!data.corpses || !data.corpses[corpseId]) {
+        this.corpses.delete(corpseId);
+        this.ui.hideCorpsePanel(corpseId);
+      }
+    }
   }
   
   /**
@@ -1255,7 +1329,10 @@ class Game {
         height: data.height || (data.type === 'fireball' ? 24 : 8),
         active: true,
         createdAt: Date.now(),
-        isSkill: data.isSkill || false
+        isSkill: data.isSkill || false,
+        // Server spawn point and time, used to place the projectile in sync with other entities
+        spawnPosition: data.position ? { ...data.position } : null,
+        spawnTime: data.timestamp
       });
     }
   }
@@ -1295,8 +1372,18 @@ class Game {
       }
       
       // Update position based on velocity
-      projectile.position.x += projectile.velocity.x * this.deltaTime;
-      projectile.position.y += projectile.velocity.y * this.deltaTime;
+      if (projectile.spawnPosition && projectile.spawnTime) {
+        // Our own projectiles show at present time, others at the remote entity render time
+        const time = player === this.player ? this.serverClock.now() : this.serverClock.renderTime();
+        const elapsed = Math.max(0, time - projectile.spawnTime);
+        projectile.position = {
+          x: projectile.spawnPosition.x + projectile.velocity.x * elapsed,
+          y: projectile.spawnPosition.y + projectile.velocity.y * elapsed
+        };
+      } else {
+        projectile.position.x += projectile.velocity.x * this.deltaTime;
+        projectile.position.y += projectile.velocity.y * this.deltaTime;
+      }
       
       // Check if projectile is out of bounds (world size)
       if (projectile.position.x < 0 || 
@@ -1353,6 +1440,15 @@ class Game {
     this.world.exits = data.exits || [];
     this.world.landmarks = data.landmarks || [];
     
+    // Run the raid clock locally from the time the server says is left;
+    // replays recorded before raids had no clock
+    this.world.openExitIds = [];
+    if (data.raid) {
+      this.world.raidDuration = data.raid.duration;
+      this.world.raidEndsAt = Date.now() + data.raid.remaining;
+      this.world.openExitIds = this.getOpenExits().map(exit => exit.id);
+    }
+    
     // Ensure the world width/height matches the CONFIG
     if (data.width !== CONFIG.WORLD_WIDTH || data.height !== CONFIG.WORLD_HEIGHT) {
       console.warn("Server world size differs from client CONFIG. Using client CONFIG values:", 
@@ -1367,6 +1463,64 @@ class Game {
     this.spawnSkeletons(10); // Spawn 10 skeletons
   }
   
+  /**
+   * Open the loot window of the nearest corpse in reach
+   */
+  lootNearestCorpse() {
+    const position = this.player.position;
+    let nearest = null;
+    let nearestDistance = CONFIG.CORPSE_LOOT_RADIUS;
+    for (const corpse of this.corpses.values()) {
+      const distance = Math.hypot(position.x - corpse.position.x, position.y - corpse.position.y);
+      if (distance <= nearestDistance) {
+        nearest = corpse;
+        nearestDistance = distance;
+      }
+    }
+    
+    if (nearest) {
+      this.network.sendLootInput(nearest.id);
+    } else {
+      this.ui.showNotification('There is nothing to loot nearby.');
+    }
+  }
+  
+  /**
+   * @returns {number} Time left in the raid in ms
+   */
+  getRaidRemaining() {
+    return Math.max(0, this.world.raidEndsAt - Date.now());
+  }
+  
+  /**
+   * @returns {Array} Exits that can be used right now
+   */
+  getOpenExits() {
+    const elapsed = this.world.raidDuration - this.getRaidRemaining();
+    return this.world.exits.filter(exit => {
+      return elapsed >= exit.opensAt && (exit.closesAt === null || elapsed < exit.closesAt);
+    });
+  }
+  
+  /**
+   * Announce exits opening and closing
+   * @param {Object} data - IDs of the exits open now
+   */
+  handleExitsChanged(data) {
+    if (!this.world) return;
+    
+    for (const exit of this.world.exits) {
+      const wasOpen = this.world.openExitIds.includes(exit.id);
+      const isOpen = data.openExits.includes(exit.id);
+      if (isOpen && !wasOpen) {
+        this.ui.showNotification(`${exit.name} is now open`, 'server');
+      } else if (wasOpen && !isOpen) {
+        this.ui.showNotification(`${exit.name} has closed`, 'server');
+      }
+    }
+    this.world.openExitIds = data.openExits;
+  }
+  
   /**
    * Properly shutdown the game and clean up resources
    */
@@ -15,6 +15,7 @@ class Input {
     this.mousePosition = { x: 0, y: 0 };
     this.mouseWorldPosition = { x: 0, y: 0 };
     this.mouseDown = false;
+    this.typing = false; // Chat input is open, so keys go to it instead
     
     // Movement direction
     this.movementDirection = { x: 0, y: 0 };
@@ -71,6 +72,16 @@ class Input {
     
     const key = event.key.toLowerCase();
     
+    // Enter opens the chat box; keys typed there never reach the game
+    if (this.typing) return;
+    if (key === 'enter') {
+      if (!this.game.isPaused && this.game.gameStarted && this.game.player) {
+        event.preventDefault();
+        this.game.ui.openChatInput();
+      }
+      return;
+    }
+    
     // Store key state
     this.keys[key] = true;
     
@@ -118,6 +129,30 @@ class Input {
         }
         break;
         
+      case 'x':
+        // Start extracting through a nearby exit, taking everything carried to the stash
+        if (!this.game.isPaused && this.game.gameStarted && this.game.player) {
+          const position = this.game.player.position;
+          const exit = this.game.world.exits.find(e => {
+            return Math.hypot(position.x - e.position.x, position.y - e.position.y) <= e.interactionRadius;
+          });
+          if (!exit) {
+            this.game.ui.showNotification('Move closer to an exit to extract.');
+          } else if (!this.game.getOpenExits().includes(exit)) {
+            this.game.ui.showNotification(`${exit.name} is closed.`);
+          } else {
+            this.game.network.sendExitInteraction(exit.id);
+          }
+        }
+        break;
+        
+      case 'f':
+        // Loot a nearby corpse
+        if (!this.game.isPaused && this.game.gameStarted && this.game.player) {
+          this.game.lootNearestCorpse();
+        }
+        break;
+        
       case '1':
       case '2':
       case '3':
@@ -377,12 +412,19 @@ class Input {
       }
       
       // Send movement input to server with facing direction
-      this.game.network.sendMovementInput(
+      const sequence = this.game.network.sendMovementInput(
         this.movementDirection.x, 
         this.movementDirection.y,
         this.lastDirection  // Always send the current direction
       );
       
+      // Move locally right away; the server confirms later
+      this.game.movementPredictor.recordInput(
+        sequence,
+        this.movementDirection.x,
+        this.movementDirection.y
+      );
+      
 
     }
     
@@ -395,6 +437,23 @@ class Input {
     }
   }
   
+  /**
+   * Suspend game keys while typing a chat message, releasing held
+   * movement keys and the mouse so the player stops
+   * @param {boolean} typing - Whether the chat input is open
+   */
+  setTyping(typing) {
+    this.typing = typing;
+    if (!typing) return;
+    
+    for (const direction in this.directionKeys) {
+      this.directionKeys[direction].pressed = false;
+    }
+    this.keys = {};
+    this.mouseDown = false;
+    this.updateMovementDirection();
+  }
+  
   /**
    * Check if a key is pressed
    * @param {string} key - Key to check
@@ -0,0 +1,125 @@
+/**
+ * ServerClock class
+ * Estimates the server's clock from snapshot timestamps so remote
+ * entities can be rendered at a fixed delay behind the server.
+ */
+class ServerClock {
+  constructor() {
+    this.offset = null; // Estimated server time minus local time, in ms
+  }
+
+  /**
+   * Update the estimate from a snapshot timestamp
+   * @param {number} serverTimestamp - Server time the snapshot was taken
+   */
+  update(serverTimestamp) {
+    const sample = serverTimestamp - Date.now();
+
+    if (this.offset === null) {
+      this.offset = sample;
+    } else {
+      // Smooth out network jitter
+      this.offset += (sample - this.offset) * 0.1;
+    }
+  }
+
+  /**
+   * Get the estimated current server time
+   * @returns {number} Server time in ms
+   */
+  now() {
+    return Date.now() + (this.offset || 0);
+  }
+
+  /**
+   * Get the server time remote entities should be rendered at
+   * @returns {number} Server time in ms
+   */
+  renderTime() {
+    return this.now() - CONFIG.INTERPOLATION_DELAY;
+  }
+}
+
+/**
+ * InterpolationBuffer class
+ * Stores timestamped server positions for one entity and samples the
+ * position at a given render time, interpolating between the two
+ * surrounding snapshots. If snapshots stop arriving the last known
+ * velocity is extrapolated for a limited time.
+ */
+class InterpolationBuffer {
+  constructor() {
+    this.samples = []; // {time, position}, oldest first
+    this.velocity = { x: 0, y: 0 }; // Pixels per ms between the newest samples
+  }
+
+  /**
+   * Add a server position
+   * @param {number} time - Server timestamp of the snapshot
+   * @param {Object} position - Position {x, y}
+   */
+  push(time, position) {
+    const last = this.samples[this.samples.length - 1];
+    if (last && time <= last.time) return;
+
+    if (last) {
+      const dx = position.x - last.position.x;
+      const dy = position.y - last.position.y;
+
+      // Don't slide across the map after teleports and respawns
+      if (dx * dx + dy * dy > CONFIG.INTERPOLATION_SNAP_DISTANCE * CONFIG.INTERPOLATION_SNAP_DISTANCE) {
+        this.samples = [];
+        this.velocity = { x: 0, y: 0 };
+      } else {
+        const elapsed = time - last.time;
+        this.velocity = { x: dx / elapsed, y: dy / elapsed };
+      }
+    }
+
+    this.samples.push({ time, position: { x: position.x, y: position.y } });
+
+    // Only a short history is ever needed
+    if (this.samples.length > 30) {
+      this.samples.shift();
+    }
+  }
+
+  /**
+   * Get the position at a render time
+   * @param {number} renderTime - Server time to sample at
+   * @returns {Object|null} Position {x, y}, or null if there are no samples
+   */
+  sample(renderTime) {
+    const samples = this.samples;
+    if (samples.length === 0) return null;
+
+    // Drop samples we've rendered past, keeping the one just before renderTime
+    while (samples.length >= 2 && samples[1].time <= renderTime) {
+      samples.shift();
+    }
+
+    const from = samples[0];
+
+    // Not enough history yet: hold the oldest known position
+    if (renderTime <= from.time) {
+      return { ...from.position };
+    }
+
+    // Normal case: between two snapshots
+    if (samples.length >= 2) {
+      const to = samples[1];
+      const t = (renderTime - from.time) / (to.time - from.time);
+      return {
+        x: from.position.x + (to.position.x - from.position.x) * t,
+        y: from.position.y + (to.position.y - from.position.y) * t
+      };
+    }
+
+    // Past the newest snapshot: extrapolate for a limited time
+    const elapsed = Math.min(renderTime - from.time, CONFIG.MAX_EXTRAPOLATION);
+    return {
+      x: from.position.x + this.velocity.x * elapsed,
+      y: from.position.y + this.velocity.y * elapsed
+    };
+  }
+}
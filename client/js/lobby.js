@@ -0,0 +1,181 @@
+/**
+ * WorldBrowser class
+ * World list on the character-select screen. Players can quick join a
+ * public world, pick a running world (entering its password if it's
+ * private), or create a new named world.
+ */
+class WorldBrowser {
+  /**
+   * Create a new world browser
+   * @param {Game} game - Reference to the game
+   */
+  constructor(game) {
+    this.game = game;
+    this.worlds = [];
+    this.selectedWorldId = null; // null means quick join
+
+    this.list = document.getElementById('world-list');
+    this.passwordRow = document.querySelector('.world-password');
+    this.passwordInput = document.getElementById('world-password');
+    this.createForm = document.getElementById('create-world-form');
+  }
+
+  /**
+   * Set up event listeners and load the list
+   */
+  init() {
+    document.getElementById('refresh-worlds').addEventListener('click', () => this.refresh());
+
+    this.createForm.addEventListener('submit', (event) => {
+      event.preventDefault();
+      this.createWorld();
+    });
+
+    this.refresh();
+  }
+
+  /**
+   * Fetch the running worlds from the server
+   */
+  async refresh() {
+    try {
+      const response = await fetch(`${CONFIG.SERVER_URL}/api/worlds`);
+      const data = await response.json();
+      this.worlds = data.worlds || [];
+    } catch (error) {
+      console.error('Failed to load world list:', error);
+      this.worlds = [];
+    }
+
+    // Fall back to quick join if the selected world is gone
+    if (!this.worlds.some(world => world.id === this.selectedWorldId)) {
+      this.selectedWorldId = null;
+    }
+
+    this.render();
+  }
+
+  /**
+   * Create a named world and select it
+   */
+  async createWorld() {
+    const name = document.getElementById('new-world-name').value.trim();
+    const password = document.getElementById('new-world-password').value;
+    const mode = document.getElementById('new-world-mode').value;
+
+    if (!name) {
+      this.game.ui.showError('Enter a name for the new world.');
+      return;
+    }
+
+    try {
+      const response = await fetch(`${CONFIG.SERVER_URL}/api/worlds`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name, password, mode })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        this.game.ui.showError(data.message || 'Failed to create world.');
+        return;
+      }
+
+      this.createForm.reset();
+      this.selectedWorldId = data.world.id;
+      this.passwordInput.value = password;
+      await this.refresh();
+    } catch (error) {
+      console.error('Failed to create world:', error);
+      this.game.ui.showError('Failed to create world.');
+    }
+  }
+
+  /**
+   * Draw the world list
+   */
+  render() {
+    this.list.innerHTML = '';
+
+    // Quick join is always available
+    this.list.appendChild(this.createEntry(null, 'Quick join', 'Any public world with space'));
+
+    for (const world of this.worlds) {
+      const watching = world.spectators > 0 ? ` · ${world.spectators} watching` : '';
+      const details = `${world.mode} · ${world.players}/${world.maxPlayers} players${watching} · ${this.formatAge(world.age)} · ${Math.ceil(world.raidRemaining / 60000)}m left`;
+      const entry = this.createEntry(world.id, world.name, details);
+      if (world.isPrivate) {
+        entry.classList.add('private');
+      }
+      if (world.players >= world.maxPlayers) {
+        entry.classList.add('full');
+      }
+      this.list.appendChild(entry);
+    }
+
+    this.updatePasswordRow();
+  }
+
+  /**
+   * Create a list entry
+   * @param {string|null} worldId - World ID, or null for quick join
+   * @param {string} name - Name to show
+   * @param {string} details - Second line of text
+   * @returns {HTMLElement} List entry
+   */
+  createEntry(worldId, name, details) {
+    const entry = document.createElement('li');
+    entry.className = 'world-entry';
+    if (worldId === this.selectedWorldId) {
+      entry.classList.add('selected');
+    }
+
+    const nameElement = document.createElement('span');
+    nameElement.className = 'world-name';
+    nameElement.textContent = name;
+
+    const detailsElement = document.createElement('span');
+    detailsElement.className = 'world-details';
+    detailsElement.textContent = details;
+
+    entry.appendChild(nameElement);
+    entry.appendChild(detailsElement);
+    entry.addEventListener('click', () => {
+      this.selectedWorldId = worldId;
+      this.render();
+    });
+
+    return entry;
+  }
+
+  /**
+   * Only ask for a password when a private world is selected
+   */
+  updatePasswordRow() {
+    const world = this.worlds.find(w => w.id === this.selectedWorldId);
+    this.passwordRow.classList.toggle('hidden', !(world && world.isPrivate));
+  }
+
+  /**
+   * Get the world to join
+   * @returns {Object} {worldId, password}; worldId is null for quick join
+   */
+  getSelection() {
+    return {
+      worldId: this.selectedWorldId,
+      password: this.passwordInput.value
+    };
+  }
+
+  /**
+   * Format how long a world has been running
+   * @param {number} age - Age in ms
+   * @returns {string} Human-readable age
+   */
+  formatAge(age) {
+    const minutes = Math.floor(age / 60000);
+    if (minutes < 1) return 'just started';
+    if (minutes < 60) return `${minutes}m`;
+    return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+  }
+}
@@ -11,7 +11,21 @@ class Network {
     this.game = game;
     this.socket = null;
     this.connected = false;
+    this.kicked = false;
     this.events = {};
+    
+    // Token from gameJoined, used to get our character back after a disconnect
+    this.sessionToken = null;
+    
+    // World being spectated {worldId, password}, watched again after a reconnect
+    this.spectating = null;
+    
+    // Sequence number of the last movement input sent
+    this.inputSequence = 0;
+    
+    // Applied gameState snapshots by ID, used as delta bases
+    this.snapshots = new Map();
+    this.maxSnapshots = 32;
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = 5;
     this.baseReconnectDelay = 1000; // Start with 1 second delay
@@ -37,14 +51,32 @@ class Network {
    */
   connect() {
     try {
-      // Create socket connection
-      this.socket = io(CONFIG.SERVER_URL);
+      // Drop the previous socket so it doesn't keep reconnecting alongside this one
+      if (this.socket) {
+        this.socket.removeAllListeners();
+        this.socket.disconnect();
+      }
+      
+      // Create socket connection; the session token is read on every
+      // (re)connect so the server can reattach us to our character
+      this.socket = io(CONFIG.SERVER_URL, {
+        auth: (callback) => callback({ sessionToken: this.sessionToken })
+      });
       
       // Set up connection events
       this.socket.on('connect', () => {
         console.log('Connected to server');
         this.connected = true;
         this.reconnectAttempts = 0; // Reset reconnect attempts on successful connection
+        this.snapshots.clear(); // New connection starts from a full snapshot
+        
+        // Spectators have no session to resume, so ask to watch again
+        if (this.spectating) {
+          this.socket.emit('spectateGame', {
+            ...this.spectating,
+            viewport: { width: CONFIG.GAME_WIDTH, height: CONFIG.GAME_HEIGHT }
+          });
+        }
         
         // Notify game of successful connection
         if (this.events['connected']) {
@@ -56,8 +88,10 @@ class Network {
         console.log('Disconnected from server');
         this.connected = false;
         
-        // Attempt to reconnect
-        this.reconnect();
+        // Attempt to reconnect unless the server kicked us
+        if (!this.kicked) {
+          this.reconnect();
+        }
         
         // Notify game of disconnection
         if (this.events['disconnected']) {
@@ -69,6 +103,15 @@ class Network {
         console.error('Connection error:', error);
         this.connected = false;
         
+        // Banned clients shouldn't keep retrying
+        if (error.message && error.message.startsWith('Banned')) {
+          this.kicked = true;
+          if (this.events['kicked']) {
+            this.events['kicked']({ message: error.message });
+          }
+          return;
+        }
+        
         // Attempt to reconnect
         this.reconnect();
       });
@@ -110,6 +153,10 @@ class Network {
    * Disconnect from the server
    */
   disconnect() {
+    // Leaving on purpose, so don't resume this character later
+    this.sessionToken = null;
+    this.spectating = null;
+    
     if (this.socket) {
       this.socket.disconnect();
       this.socket = null;
@@ -121,10 +168,30 @@ class Network {
    * Set up event listeners
    */
   setupEvents() {
-    // Game state update
+    // Game state update (full snapshot or delta)
     this.socket.on('gameState', (data) => {
+      const state = this.applySnapshot(data);
+      if (!state) {
+        // Missing delta base, ask the server to start over
+        this.emit('requestFullSnapshot');
+        return;
+      }
+      
+      this.emit('snapshotAck', { snapshotId: data.snapshotId });
+      
       if (this.events['gameState']) {
-        this.events['gameState'](data);
+        // Hand the game its own copy so stored snapshots stay unchanged
+        const gameState = JSON.parse(JSON.stringify(state));
+        
+        // Entities that entered or left our area of interest this tick
+        gameState.entered = data.entered;
+        gameState.left = data.left;
+        
+        // Last movement input the server applied, for prediction
+        gameState.lastProcessedInput = data.lastProcessedInput;
+        gameState.inputElapsed = data.inputElapsed;
+        
+        this.events['gameState'](gameState);
       }
     });
     
@@ -186,11 +253,35 @@ class Network {
     
     // Game joined
     this.socket.on('gameJoined', (data) => {
+      this.sessionToken = data.sessionToken;
       if (this.events['gameJoined']) {
         this.events['gameJoined'](data);
       }
     });
     
+    // Reattached to our character after a reconnect
+    this.socket.on('sessionResumed', (data) => {
+      if (this.events['sessionResumed']) {
+        this.events['sessionResumed'](data);
+      }
+    });
+    
+    // World we were in or watching was removed
+    this.socket.on('worldClosed', (data) => {
+      this.spectating = null;
+      if (this.events['worldClosed']) {
+        this.events['worldClosed'](data);
+      }
+    });
+    
+    // Our character was removed before we got back
+    this.socket.on('sessionExpired', (data) => {
+      this.sessionToken = null;
+      if (this.events['sessionExpired']) {
+        this.events['sessionExpired'](data);
+      }
+    });
+    
     // Error
     this.socket.on('error', (data) => {
       console.error('Game error:', data.message);
@@ -199,6 +290,95 @@ class Network {
       }
     });
     
+    // Kicked by the server
+    this.socket.on('kicked', (data) => {
+      console.warn('Kicked from server:', data.message);
+      this.kicked = true;
+      this.sessionToken = null;
+      if (this.events['kicked']) {
+        this.events['kicked'](data);
+      }
+    });
+    
+    // Message from the server operators
+    this.socket.on('serverMessage', (data) => {
+      if (this.events['serverMessage']) {
+        this.events['serverMessage'](data);
+      }
+    });
+    
+    // Carried our gear out through an exit
+    this.socket.on('exitSuccess', (data) => {
+      this.sessionToken = null;
+      if (this.events['exitSuccess']) {
+        this.events['exitSuccess'](data);
+      }
+    });
+    
+    // Started channelling an extraction
+    this.socket.on('extractionStarted', (data) => {
+      if (this.events['extractionStarted']) {
+        this.events['extractionStarted'](data);
+      }
+    });
+    
+    // Took damage or left the exit while extracting
+    this.socket.on('extractionInterrupted', (data) => {
+      if (this.events['extractionInterrupted']) {
+        this.events['extractionInterrupted'](data);
+      }
+    });
+    
+    // Contents of a corpse we opened or looted
+    this.socket.on('corpseContents', (data) => {
+      if (this.events['corpseContents']) {
+        this.events['corpseContents'](data);
+      }
+    });
+    
+    // Exits opened or closed on the raid schedule
+    this.socket.on('exitsChanged', (data) => {
+      if (this.events['exitsChanged']) {
+        this.events['exitsChanged'](data);
+      }
+    });
+    
+    // The raid timer ran out while we were still inside
+    this.socket.on('raidEnded', (data) => {
+      this.sessionToken = null;
+      if (this.events['raidEnded']) {
+        this.events['raidEnded'](data);
+      }
+    });
+    
+    // Another player invited us to their party
+    this.socket.on('partyInvited', (data) => {
+      if (this.events['partyInvited']) {
+        this.events['partyInvited'](data);
+      }
+    });
+    
+    // Someone joined or left our party
+    this.socket.on('partyUpdate', (data) => {
+      if (this.events['partyUpdate']) {
+        this.events['partyUpdate'](data);
+      }
+    });
+    
+    // Chat message on a channel we're in
+    this.socket.on('chatMessage', (data) => {
+      if (this.events['chatMessage']) {
+        this.events['chatMessage'](data);
+      }
+    });
+    
+    // Content files were edited on the server
+    this.socket.on('contentReloaded', (data) => {
+      if (this.events['contentReloaded']) {
+        this.events['contentReloaded'](data);
+      }
+    });
+    
     // Projectile created
     this.socket.on('projectileCreated', (data) => {
       if (this.events['projectileCreated']) {
@@ -214,6 +394,70 @@ class Network {
     });
   }
   
+  /**
+   * Rebuild the full game state from a snapshot message
+   * @param {Object} data - Full snapshot or delta from the server
+   * @returns {Object|null} Full game state, or null if the delta base is missing
+   */
+  applySnapshot(data) {
+    let state;
+    
+    if (data.full) {
+      state = {
+        players: data.players,
+        monsters: data.monsters,
+        bosses: data.bosses,
+        items: data.items,
+        corpses: data.corpses
+      };
+    } else {
+      const base = this.snapshots.get(data.baseId);
+      if (!base) {
+        return null;
+      }
+      
+      state = {};
+      for (const category of ['players', 'monsters', 'bosses', 'items', 'corpses']) {
+        // Collections without changes are left out of the delta
+        state[category] = data[category]
+          ? this.applyDelta(base[category], data[category])
+          : base[category];
+      }
+    }
+    
+    state.snapshotId = data.snapshotId;
+    state.timestamp = data.timestamp;
+    
+    // Remember this snapshot as a base for future deltas
+    this.snapshots.set(data.snapshotId, state);
+    if (this.snapshots.size > this.maxSnapshots) {
+      this.snapshots.delete(this.snapshots.keys().next().value);
+    }
+    
+    return state;
+  }
+  
+  /**
+   * Apply one entity collection's changes to a base collection
+   * @param {Object} baseEntities - Entities keyed by ID from the base snapshot
+   * @param {Object} changes - Created, updated and removed entities
+   * @returns {Object} New entities keyed by ID
+   */
+  applyDelta(baseEntities, changes) {
+    const entities = { ...baseEntities };
+    
+    for (const id of changes.removed) {
+      delete entities[id];
+    }
+    
+    for (const [id, fields] of Object.entries(changes.updated)) {
+      entities[id] = { ...entities[id], ...fields };
+    }
+    
+    Object.assign(entities, changes.created);
+    return entities;
+  }
+  
   /**
    * Register an event handler
    * @param {string} event - Event name
@@ -236,11 +480,13 @@ class Network {
   
   /**
    * Join the game
-   * @param {string} playerName - The player's name
-   * @param {string} characterClass - The character class
+   * @param {string} authToken - Account login token
+   * @param {Object} character - Account character to play {id, name, characterClass}
+   * @param {Object} world - World picked in the lobby {worldId, password}; no worldId means quick join
+   * @param {Array} loadout - IDs of stash items to bring
    * @returns {Promise} Resolves when successfully joined, rejects on failure
    */
-  joinGame(playerName, characterClass) {
+  joinGame(authToken, character, world = {}, loadout = []) {
     return new Promise((resolve, reject) => {
       if (!this.connected) {
         console.error("Cannot join game: not connected to server");
@@ -249,13 +495,13 @@ class Network {
         return;
       }
       
-      if (!playerName || !characterClass) {
-        console.error("Cannot join game: missing player name or character class");
-        reject(new Error("Missing player name or character class"));
+      if (!authToken || !character) {
+        console.error("Cannot join game: not logged in or no character picked");
+        reject(new Error("Log in and pick a character to play"));
         return;
       }
       
-      console.log(`Joining game as ${playerName} (${characterClass})`);
+      console.log(`Joining game as ${character.name} (${character.characterClass})`);
       
       try {
         // Set up a one-time event listener for the join response
@@ -271,8 +517,12 @@ class Network {
         
         // Send join request
         this.emit('joinGame', {
-          name: playerName,
-          characterClass: characterClass
+          authToken,
+          characterId: character.id,
+          loadout,
+          viewport: { width: CONFIG.GAME_WIDTH, height: CONFIG.GAME_HEIGHT },
+          worldId: world.worldId,
+          password: world.password
         });
         
         console.log("Join request sent to server");
@@ -283,6 +533,49 @@ class Network {
     });
   }
   
+  /**
+   * Watch a world without a character. If we're playing in a world,
+   * our character is given up and we keep watching that world.
+   * @param {Object} world - World to watch {worldId, password}
+   * @returns {Promise} Resolves with the spectating data, rejects on failure
+   */
+  spectateGame(world = {}) {
+    return new Promise((resolve, reject) => {
+      if (!this.connected) {
+        reject(new Error("Cannot connect to game server. Please try again later."));
+        return;
+      }
+      
+      const handleSpectating = (data) => {
+        this.socket.off('joinError', handleError);
+        this.sessionToken = null;
+        this.spectating = { worldId: data.gameId, password: world.password };
+        resolve(data);
+      };
+      const handleError = (error) => {
+        this.socket.off('spectating', handleSpectating);
+        reject(new Error(error.message || "Failed to spectate"));
+      };
+      this.socket.once('spectating', handleSpectating);
+      this.socket.once('joinError', handleError);
+      
+      this.emit('spectateGame', {
+        worldId: world.worldId,
+        password: world.password,
+        viewport: { width: CONFIG.GAME_WIDTH, height: CONFIG.GAME_HEIGHT }
+      });
+    });
+  }
+  
+  /**
+   * Tell the server where a spectator's camera is, so it sends that area
+   * @param {number} x - Camera X in world coordinates
+   * @param {number} y - Camera Y in world coordinates
+   */
+  sendSpectatorCamera(x, y) {
+    this.emit('spectatorCamera', { x, y });
+  }
+  
   /**
    * Request world data from the server
    */
@@ -290,6 +583,15 @@ class Network {
     this.emit('requestWorldData');
   }
   
+  /**
+   * Tell the server how much of the world fits on screen
+   * @param {number} width - Viewport width in px
+   * @param {number} height - Viewport height in px
+   */
+  sendViewportSize(width, height) {
+    this.emit('viewportResize', { width, height });
+  }
+  
   /**
    * Send player input to the server
    * @param {Object} inputData - Input data
@@ -303,14 +605,20 @@ class Network {
    * @param {number} directionX - X direction (-1, 0, 1)
    * @param {number} directionY - Y direction (-1, 0, 1)
    * @param {string} facingDirection - Direction the player is facing
+   * @returns {number} Sequence number of the input
    */
   sendMovementInput(directionX, directionY, facingDirection) {
+    const sequence = ++this.inputSequence;
+    
     this.sendInput({
       type: 'movement',
+      sequence: sequence,
       directionX: directionX,
       directionY: directionY,
       facingDirection: facingDirection
     });
+    
+    return sequence;
   }
   
   /**
@@ -318,7 +626,8 @@ class Network {
    */
   sendAttackInput() {
     this.sendInput({
-      type: 'attack'
+      type: 'attack',
+      viewTime: this.game.serverClock.renderTime() // Lets the server rewind targets to what we saw
     });
   }
   
@@ -330,7 +639,8 @@ class Network {
   sendSkillInput(skillId, targetPosition = null) {
     const data = {
       type: 'skill',
-      skillId: skillId
+      skillId: skillId,
+      viewTime: this.game.serverClock.renderTime()
     };
     
     if (targetPosition) {
@@ -371,4 +681,35 @@ class Network {
       exitId: exitId
     });
   }
+  
+  /**
+   * Open a corpse's loot window, or take an item from it
+   * @param {string} corpseId - Corpse ID
+   * @param {string} [itemId] - Item to take; omit to just see the contents
+   */
+  sendLootInput(corpseId, itemId) {
+    this.sendInput({
+      type: 'loot',
+      corpseId,
+      itemId
+    });
+  }
+  
+  /**
+   * Send a chat message
+   * @param {string} channel - 'world', 'proximity', 'party' or 'whisper'
+   * @param {string} text - Message text
+   * @param {string} [to] - Name of the player to whisper to
+   */
+  sendChatMessage(channel, text, to) {
+    this.emit('chatMessage', { channel, text, to });
+  }
+  
+  /**
+   * Run a slash command, e.g. "/roll 20"
+   * @param {string} text - Command line, starting with a slash
+   */
+  sendChatCommand(text) {
+    this.emit('chatCommand', { text });
+  }
 } 
\ No newline at end of file
@@ -0,0 +1,109 @@
+/**
+ * MovementPredictor class
+ * Moves the local player immediately on input and reconciles with the
+ * server: each snapshot resets the player to the authoritative position,
+ * then replays the inputs the server hasn't processed yet.
+ */
+class MovementPredictor {
+  constructor() {
+    // Sent movement inputs not yet confirmed by the server, oldest first
+    this.pendingInputs = [];
+    this.maxPendingInputs = 100;
+  }
+
+  /**
+   * Record a movement input that was sent to the server
+   * @param {number} sequence - Input sequence number
+   * @param {number} directionX - X direction (-1 to 1)
+   * @param {number} directionY - Y direction (-1 to 1)
+   */
+  recordInput(sequence, directionX, directionY) {
+    this.pendingInputs.push({
+      sequence: sequence,
+      direction: this.normalizeDirection(directionX, directionY),
+      duration: 0 // Time this input has been applied locally, in ms
+    });
+
+    // Drop the oldest inputs if the server stops confirming them
+    if (this.pendingInputs.length > this.maxPendingInputs) {
+      this.pendingInputs.shift();
+    }
+  }
+
+  /**
+   * Apply the current input to the local player for one frame
+   * @param {Player} player - The local player
+   * @param {number} deltaTime - Time since last frame in ms
+   */
+  predict(player, deltaTime) {
+    const input = this.pendingInputs[this.pendingInputs.length - 1];
+    if (!input) return;
+
+    input.duration += deltaTime;
+    this.move(player.position, input.direction, player.movementSpeed, deltaTime);
+  }
+
+  /**
+   * Reset to the server position and replay unconfirmed inputs
+   * @param {Player} player - The local player
+   * @param {Object} serverPosition - Authoritative position {x, y}
+   * @param {number} lastProcessedInput - Last input sequence the server applied
+   * @param {number} inputElapsed - Time the server has applied that input for, in ms
+   */
+  reconcile(player, serverPosition, lastProcessedInput, inputElapsed) {
+    const position = { x: serverPosition.x, y: serverPosition.y };
+
+    if (lastProcessedInput !== undefined) {
+      // Inputs before the last processed one are fully included in the server position
+      this.pendingInputs = this.pendingInputs.filter(input => input.sequence >= lastProcessedInput);
+
+      for (const input of this.pendingInputs) {
+        // The server may only have applied part of its current input so far
+        const remaining = input.sequence === lastProcessedInput
+          ? Math.max(0, input.duration - inputElapsed)
+          : input.duration;
+
+        this.move(position, input.direction, player.movementSpeed, remaining);
+      }
+    }
+
+    player.position = position;
+  }
+
+  /**
+   * Move a position along a direction, matching the server's movement
+   * @param {Object} position - Position to update {x, y}
+   * @param {Object} direction - Normalized direction {x, y}
+   * @param {number} speed - Movement speed in pixels per second
+   * @param {number} time - Time to move for in ms
+   */
+  move(position, direction, speed, time) {
+    position.x += direction.x * speed * (time / 1000);
+    position.y += direction.y * speed * (time / 1000);
+
+    // Constrain to world bounds like the server does
+    position.x = Math.max(0, Math.min(CONFIG.WORLD_WIDTH, position.x));
+    position.y = Math.max(0, Math.min(CONFIG.WORLD_HEIGHT, position.y));
+  }
+
+  /**
+   * Normalize a direction the same way the server does
+   * @param {number} x - X direction
+   * @param {number} y - Y direction
+   * @returns {Object} Direction with length at most 1
+   */
+  normalizeDirection(x, y) {
+    const length = Math.sqrt(x * x + y * y);
+    if (length <= 1) {
+      return { x, y };
+    }
+    return { x: x / length, y: y / length };
+  }
+
+  /**
+   * Forget all pending inputs (e.g. when leaving a game)
+   */
+  reset() {
+    this.pendingInputs = [];
+  }
+}
@@ -18,7 +18,9 @@ class Renderer {
     this.camera = {
       x: 0,
       y: 0,
-      zoom: 1
+      zoom: 1,
+      free: false, // Set to stop following the player
+      followId: null // Player to follow instead of our own, when spectating
     };
     
     // Animation tracking to prevent memory leaks
@@ -1398,47 +1400,53 @@ class Renderer {
    * Update camera position to follow player
    */
   updateCamera() {
-    if (this.game.player) {
+    // A free camera is moved directly (e.g. by the replay viewer or a
+    // spectator) instead of following a player
+    if (!this.camera.free) {
+      // Spectators follow the player they picked, everyone else follows themselves
+      const target = this.camera.followId ? this.game.players.get(this.camera.followId) : this.game.player;
+      if (!target) return;
+      
       // Smooth camera following
-      const targetX = this.game.player.position.x;
-      const targetY = this.game.player.position.y;
+      const targetX = target.position.x;
+      const targetY = target.position.y;
       
       // Smoothly interpolate camera position
       this.camera.x += (targetX - this.camera.x) * CONFIG.CAMERA_LERP;
       this.camera.y += (targetY - this.camera.y) * CONFIG.CAMERA_LERP;
-      
-      // Ensure camera doesn't go out of world bounds
-      // Calculate visible area dimensions
-      const visibleWidth = CONFIG.GAME_WIDTH / this.camera.zoom;
-      const visibleHeight = CONFIG.GAME_HEIGHT / this.camera.zoom;
-      
-      // Calculate camera bounds to keep visible area within world
-      const minX = visibleWidth / 2;
-      const maxX = CONFIG.WORLD_WIDTH - visibleWidth / 2;
-      const minY = visibleHeight / 2;
-      const maxY = CONFIG.WORLD_HEIGHT - visibleHeight / 2;
-      
-      // Clamp camera position to bounds
-      this.camera.x = Math.max(minX, Math.min(maxX, this.camera.x));
-      this.camera.y = Math.max(minY, Math.min(maxY, this.camera.y));
-      
-      // Apply camera transform to world container
-      this.worldContainer.position.x = CONFIG.GAME_WIDTH / 2 - this.camera.x * this.camera.zoom;
-      this.worldContainer.position.y = CONFIG.GAME_HEIGHT / 2 - this.camera.y * this.camera.zoom;
-      this.worldContainer.scale.x = this.camera.zoom;
-      this.worldContainer.scale.y = this.camera.zoom;
-      
-      // Update which terrain features are visible - only when camera moves significantly
-      // This prevents updating every frame which could cause performance issues
-      const cameraMoved = 
-        !this.lastCameraPosition || 
-        Math.abs(this.camera.x - this.lastCameraPosition.x) > 50 || 
-        Math.abs(this.camera.y - this.lastCameraPosition.y) > 50;
-      
-      if (cameraMoved) {
-        this.updateVisibleTerrain();
-        this.lastCameraPosition = { x: this.camera.x, y: this.camera.y };
-      }
+    }
+    
+    // Ensure camera doesn't go out of world bounds
+    // Calculate visible area dimensions
+    const visibleWidth = CONFIG.GAME_WIDTH / this.camera.zoom;
+    const visibleHeight = CONFIG.GAME_HEIGHT / this.camera.zoom;
+    
+    // Calculate camera bounds to keep visible area within world
+    const minX = visibleWidth / 2;
+    const maxX = CONFIG.WORLD_WIDTH - visibleWidth / 2;
+    const minY = visibleHeight / 2;
+    const maxY = CONFIG.WORLD_HEIGHT - visibleHeight / 2;
+    
+    // Clamp camera position to bounds
+    this.camera.x = Math.max(minX, Math.min(maxX, this.camera.x));
+    this.camera.y = Math.max(minY, Math.min(maxY, this.camera.y));
+    
+    // Apply camera transform to world container
+    this.worldContainer.position.x = CONFIG.GAME_WIDTH / 2 - this.camera.x * this.camera.zoom;
+    this.worldContainer.position.y = CONFIG.GAME_HEIGHT / 2 - this.camera.y * this.camera.zoom;
+    this.worldContainer.scale.x = this.camera.zoom;
+    this.worldContainer.scale.y = this.camera.zoom;
+    
+    // Update which terrain features are visible - only when camera moves significantly
+    // This prevents updating every frame which could cause performance issues
+    const cameraMoved = 
+      !this.lastCameraPosition || 
+      Math.abs(this.camera.x - this.lastCameraPosition.x) > 50 || 
+      Math.abs(this.camera.y - this.lastCameraPosition.y) > 50;
+    
+    if (cameraMoved) {
+      this.updateVisibleTerrain();
+      this.lastCameraPosition = { x: this.camera.x, y: this.camera.y };
     }
   }
   
@@ -1729,7 +1737,9 @@ class Renderer {
       }
     }
     
-    // Draw items
+    // Draw items; loot reserved for someone gets a green outline if it's
+    // ours to take, red if it belongs to other players
+    const characterId = this.game.account && this.game.account.selectedCharacterId;
     this.game.items.forEach((item, itemId) => {
       // Reuse graphics object if it exists
       let graphics = this._itemGraphicsCache.get(itemId);
@@ -1748,6 +1758,9 @@ class Renderer {
         color = 0xFFD700; // Gold
       }
       
+      if (item.ownerIds.length > 0) {
+        graphics.lineStyle(3, item.ownerIds.includes(characterId) ? 0x2ECC71 : 0xE74C3C);
+      }
       graphics.beginFill(color);
       graphics.drawCircle(item.position.x, item.position.y, 15); // Bigger items
       graphics.endFill();
@@ -1755,6 +1768,38 @@ class Renderer {
       this.itemLayer.addChild(graphics);
     });
     
+    // Cache for reusing corpse graphics objects
+    if (!this._corpseGraphicsCache) {
+      this._corpseGraphicsCache = new Map();
+    }
+    
+    // Remove any stale cache entries
+    for (const [corpseId, graphics] of this._corpseGraphicsCache.entries()) {
+      if (!this.game.corpses.has(corpseId)) {
+        graphics.destroy();
+        this._corpseGraphicsCache.delete(corpseId);
+      }
+    }
+    
+    // Draw corpses as a bag, outlined in green while we have first claim on it
+    this.game.corpses.forEach((corpse, corpseId) => {
+      let graphics = this._corpseGraphicsCache.get(corpseId);
+      if (!graphics) {
+        graphics = new PIXI.Graphics();
+        this._corpseGraphicsCache.set(corpseId, graphics);
+      } else {
+        graphics.clear();
+      }
+      
+      const owned = corpse.ownerIds.includes(characterId);
+      graphics.lineStyle(3, owned ? 0x2ECC71 : 0x222222);
+      graphics.beginFill(0x7F6A55); // Leather brown
+      graphics.drawRoundedRect(corpse.position.x - 18, corpse.position.y - 14, 36, 28, 6);
+      graphics.endFill();
+      
+      this.itemLayer.addChild(graphics);
+    });
+    
     // Cache for reusing player text objects
     if (!this._playerTextCache) {
       this._playerTextCache = new Map();
@@ -3583,4 +3628,32 @@ class Renderer {
     
     console.log(`Renderer: Added player ${player.id} (${player.characterClass})`);
   }
+  
+  /**
+   * Release cached sprites for a player that left or went out of view
+   * @param {Player} player - The player object to remove
+   */
+  removePlayer(player) {
+    const caches = [this._playerSpriteCache, this._playerTextCache];
+    const keys = [player.id, player.id + '_slash', player.id + '_shoot'];
+    
+    caches.forEach(cache => {
+      if (!cache) return;
+      
+      keys.forEach(key => {
+        const sprite = cache.get(key);
+        if (sprite) {
+          if (sprite.parent) {
+            sprite.parent.removeChild(sprite);
+          }
+          sprite.destroy();
+          cache.delete(key);
+        }
+      });
+    });
+    
+    if (this._playerDirectionCache) {
+      this._playerDirectionCache.delete(player.id);
+    }
+  }
 } 
\ No newline at end of file
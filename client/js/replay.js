@@ -0,0 +1,436 @@
+/**
+ * ReplayClock class
+ * Stands in for ServerClock during playback, so interpolation and
+ * projectiles follow the replay position instead of the live server.
+ */
+class ReplayClock {
+  constructor() {
+    this.time = 0; // Recorded server time being shown, in ms
+  }
+
+  /**
+   * Snapshot timestamps don't move the playback position
+   */
+  update() {}
+
+  /**
+   * Get the current playback time
+   * @returns {number} Recorded server time in ms
+   */
+  now() {
+    return this.time;
+  }
+
+  /**
+   * Get the time remote entities should be rendered at
+   * @returns {number} Recorded server time in ms
+   */
+  renderTime() {
+    return this.time - CONFIG.INTERPOLATION_DELAY;
+  }
+}
+
+// Recorded world events played back through the game's live handlers
+const REPLAY_EVENT_HANDLERS = {
+  combatEvent: 'handleCombatEvent',
+  projectileCreated: 'handleProjectileCreated',
+  effectEvent: 'handleEffectEvent',
+  bossSpawn: 'handleBossSpawn',
+  bossKill: 'handleBossKill'
+};
+
+// Free camera pan direction by key
+const REPLAY_CAMERA_KEYS = {
+  w: { x: 0, y: -1 }, arrowup: { x: 0, y: -1 },
+  s: { x: 0, y: 1 }, arrowdown: { x: 0, y: 1 },
+  a: { x: -1, y: 0 }, arrowleft: { x: -1, y: 0 },
+  d: { x: 1, y: 0 }, arrowright: { x: 1, y: 0 }
+};
+
+// How far back the input log reaches, in ms
+const REPLAY_INPUT_LOG_WINDOW = 3000;
+
+/**
+ * ReplayPlayer class
+ * Plays back replay files recorded by the server. Recorded frames go
+ * through Game.handleGameState and the normal renderer. The viewer can
+ * pause, change speed, scrub, and pan a free camera with WASD, the arrow
+ * keys or by dragging.
+ */
+class ReplayPlayer {
+  /**
+   * Create a new replay player
+   * @param {Game} game - Reference to the game
+   */
+  constructor(game) {
+    this.game = game;
+    this.active = false;
+    this.paused = false;
+    this.speed = 1;
+
+    // Loaded replay, split by record type
+    this.header = null;
+    this.frames = [];
+    this.inputs = [];
+    this.events = [];
+    this.startTime = 0;
+    this.endTime = 0;
+
+    // Playback position
+    this.clock = new ReplayClock();
+    this.liveClock = null; // Game's ServerClock, put back when playback stops
+    this.frameIndex = 0; // Next frame to apply
+    this.eventIndex = 0; // Next event to play
+    this.inputLogRange = null;
+
+    // Only used to rebuild full states from deltas; it never connects
+    this.decoder = new Network(game);
+
+    // Free camera controls
+    this.cameraKeys = new Set();
+    this.dragPosition = null;
+
+    this.controls = document.getElementById('replay-controls');
+    this.playButton = document.getElementById('replay-play');
+    this.seekBar = document.getElementById('replay-seek');
+    this.timeLabel = document.getElementById('replay-time');
+    this.inputLog = document.getElementById('replay-inputs');
+  }
+
+  /**
+   * Set up event listeners
+   */
+  init() {
+    document.getElementById('replay-file').addEventListener('change', (event) => {
+      const file = event.target.files[0];
+      event.target.value = ''; // So the same file can be opened again
+      if (file) {
+        this.open(file);
+      }
+    });
+
+    this.playButton.addEventListener('click', () => this.setPaused(!this.paused));
+    this.seekBar.addEventListener('input', () => this.seek(this.startTime + Number(this.seekBar.value)));
+    document.getElementById('replay-speed').addEventListener('change', (event) => {
+      this.speed = parseFloat(event.target.value);
+    });
+    document.getElementById('replay-exit').addEventListener('click', () => this.stop());
+
+    window.addEventListener('keydown', (event) => {
+      if (!this.active) return;
+      const key = event.key.toLowerCase();
+      if (REPLAY_CAMERA_KEYS[key]) {
+        this.cameraKeys.add(key);
+      } else if (key === ' ') {
+        event.preventDefault();
+        this.setPaused(!this.paused);
+      }
+    });
+    window.addEventListener('keyup', (event) => this.cameraKeys.delete(event.key.toLowerCase()));
+
+    // Drag the view to pan
+    const container = document.getElementById('game-container');
+    container.addEventListener('mousedown', (event) => {
+      if (this.active && !this.controls.contains(event.target)) {
+        this.dragPosition = { x: event.clientX, y: event.clientY };
+      }
+    });
+    window.addEventListener('mousemove', (event) => {
+      if (!this.dragPosition) return;
+      const camera = this.game.renderer.camera;
+      camera.x -= (event.clientX - this.dragPosition.x) / camera.zoom;
+      camera.y -= (event.clientY - this.dragPosition.y) / camera.zoom;
+      this.dragPosition = { x: event.clientX, y: event.clientY };
+    });
+    window.addEventListener('mouseup', () => {
+      this.dragPosition = null;
+    });
+  }
+
+  /**
+   * Load a replay file and start playing it
+   * @param {File} file - Replay file picked by the user
+   */
+  async open(file) {
+    this.game.ui.showLoading('Loading replay...');
+    try {
+      await this.load(file);
+      this.start();
+    } catch (error) {
+      console.error('Failed to load replay:', error);
+      this.game.ui.showError('Could not read that replay file.');
+    } finally {
+      this.game.ui.hideLoading();
+    }
+  }
+
+  /**
+   * Read a replay file
+   * @param {File} file - Gzipped newline-delimited JSON from the server
+   */
+  async load(file) {
+    const stream = file.stream().pipeThrough(new DecompressionStream('gzip'));
+    const text = await new Response(stream).text();
+
+    this.header = null;
+    this.frames = [];
+    this.inputs = [];
+    this.events = [];
+
+    for (const line of text.split('\n')) {
+      if (!line) continue;
+
+      const record = JSON.parse(line);
+      if (record.type === 'header') {
+        this.header = record;
+      } else if (record.type === 'frame') {
+        this.frames.push(record);
+      } else if (record.type === 'input') {
+        this.inputs.push(record);
+      } else if (record.type === 'event') {
+        this.events.push(record);
+      }
+    }
+
+    if (!this.header || this.frames.length === 0) {
+      throw new Error('Replay has no frames');
+    }
+    this.startTime = this.frames[0].timestamp;
+    this.endTime = this.frames[this.frames.length - 1].timestamp;
+  }
+
+  /**
+   * Switch the game into playback of the loaded replay
+   */
+  start() {
+    const game = this.game;
+    this.active = true;
+    this.setPaused(false);
+
+    // Entities are rendered against the replay position
+    this.liveClock = game.serverClock;
+    game.serverClock = this.clock;
+
+    document.getElementById('character-select').classList.add('hidden');
+    this.controls.classList.remove('hidden');
+    this.seekBar.max = this.endTime - this.startTime;
+
+    game.handleWorldData(this.header.worldData);
+    this.seek(this.startTime);
+
+    // Start looking at the first recorded player
+    const camera = game.renderer.camera;
+    const firstPlayer = game.players.values().next().value;
+    camera.free = true;
+    camera.x = firstPlayer ? firstPlayer.position.x : CONFIG.WORLD_WIDTH / 2;
+    camera.y = firstPlayer ? firstPlayer.position.y : CONFIG.WORLD_HEIGHT / 2;
+
+    game.isRunning = true;
+    game.lastUpdateTime = performance.now();
+    requestAnimationFrame(game.update);
+  }
+
+  /**
+   * Leave playback and go back to the character-select screen
+   */
+  stop() {
+    const game = this.game;
+    this.active = false;
+    this.dragPosition = null;
+    this.cameraKeys.clear();
+
+    game.isRunning = false;
+    game.serverClock = this.liveClock;
+    game.renderer.camera.free = false;
+    this.clearEntities();
+
+    // Free the loaded replay
+    this.decoder.snapshots.clear();
+    this.header = null;
+    this.frames = [];
+    this.inputs = [];
+    this.events = [];
+
+    this.controls.classList.add('hidden');
+    document.getElementById('character-select').classList.remove('hidden');
+    game.worldBrowser.refresh();
+  }
+
+  /**
+   * Advance playback; called every animation frame by Game.update
+   * @param {number} deltaTime - Real time since the last frame in ms
+   */
+  update(deltaTime) {
+    if (!this.paused) {
+      this.clock.time = Math.min(this.clock.time + deltaTime * this.speed, this.endTime);
+      if (this.clock.time >= this.endTime) {
+        this.setPaused(true);
+      }
+    }
+
+    // Apply everything recorded up to the playback position
+    while (this.frameIndex < this.frames.length && this.frames[this.frameIndex].timestamp <= this.clock.time) {
+      this.applyFrame(this.frames[this.frameIndex++]);
+    }
+    while (this.eventIndex < this.events.length && this.events[this.eventIndex].time <= this.clock.time) {
+      this.playEvent(this.events[this.eventIndex++]);
+    }
+
+    this.moveCamera(deltaTime);
+    this.updateControls();
+  }
+
+  /**
+   * Jump to a point in the replay
+   * @param {number} time - Recorded server time in ms
+   */
+  seek(time) {
+    // Deltas need a base, so start from the last full frame before the target
+    let start = 0;
+    for (let i = 0; i < this.frames.length && this.frames[i].timestamp <= time; i++) {
+      if (this.frames[i].full) {
+        start = i;
+      }
+    }
+
+    // Rebuild the state at the target without playing anything in between
+    this.decoder.snapshots.clear();
+    let state = null;
+    let index = start;
+    do {
+      state = this.decoder.applySnapshot(this.frames[index]) || state;
+      index++;
+    } while (index < this.frames.length && this.frames[index].timestamp <= time);
+
+    this.clearEntities();
+    this.clock.time = Math.max(time, this.frames[start].timestamp);
+    if (state) {
+      this.game.handleGameState(JSON.parse(JSON.stringify(state)));
+    }
+
+    this.frameIndex = index;
+    this.eventIndex = this.findIndexAfter(this.events, this.clock.time);
+  }
+
+  /**
+   * Rebuild and show one recorded frame
+   * @param {Object} frame - Full snapshot or delta
+   */
+  applyFrame(frame) {
+    // A missing delta base means a gap in the recording; wait for the next full frame
+    const state = this.decoder.applySnapshot(frame);
+    if (state) {
+      // Hand the game its own copy so stored snapshots stay unchanged
+      this.game.handleGameState(JSON.parse(JSON.stringify(state)));
+    }
+  }
+
+  /**
+   * Play a recorded world event
+   * @param {Object} record - Event record
+   */
+  playEvent(record) {
+    const handler = REPLAY_EVENT_HANDLERS[record.event];
+    if (handler) {
+      this.game[handler](record.data);
+    }
+  }
+
+  /**
+   * Remove every entity from the game, e.g. before a seek
+   */
+  clearEntities() {
+    const game = this.game;
+    game.players.forEach(player => game.renderer.removePlayer(player));
+    game.players.clear();
+    game.monsters.clear();
+    game.bosses.clear();
+    game.items.clear();
+    game.corpses.clear();
+  }
+
+  /**
+   * Pause or resume playback
+   * @param {boolean} paused - Whether to pause
+   */
+  setPaused(paused) {
+    // Playing at the end starts over
+    if (!paused && this.active && this.clock.time >= this.endTime) {
+      this.seek(this.startTime);
+    }
+
+    this.paused = paused;
+    this.playButton.textContent = paused ? 'Play' : 'Pause';
+  }
+
+  /**
+   * Pan the free camera with the keys held down
+   * @param {number} deltaTime - Real time since the last frame in ms
+   */
+  moveCamera(deltaTime) {
+    const camera = this.game.renderer.camera;
+    const distance = CONFIG.FREE_CAMERA_SPEED * (deltaTime / 1000) / camera.zoom;
+
+    for (const key of this.cameraKeys) {
+      camera.x += REPLAY_CAMERA_KEYS[key].x * distance;
+      camera.y += REPLAY_CAMERA_KEYS[key].y * distance;
+    }
+  }
+
+  /**
+   * Update the seek bar, clock and input log
+   */
+  updateControls() {
+    const elapsed = this.clock.time - this.startTime;
+    this.seekBar.value = elapsed;
+    this.timeLabel.textContent = `${this.formatTime(elapsed)} / ${this.formatTime(this.endTime - this.startTime)}`;
+
+    // Recent attacks, skills and item use; movement would drown them out
+    const from = this.findIndexAfter(this.inputs, this.clock.time - REPLAY_INPUT_LOG_WINDOW);
+    const to = this.findIndexAfter(this.inputs, this.clock.time);
+    const range = `${from}-${to}`;
+    if (range === this.inputLogRange) return;
+    this.inputLogRange = range;
+
+    this.inputLog.innerHTML = '';
+    for (const record of this.inputs.slice(from, to)) {
+      if (record.input.type === 'movement') continue;
+
+      const player = this.game.players.get(record.playerId);
+      const entry = document.createElement('li');
+      entry.textContent = `${player ? player.name : record.playerId.slice(0, 6)}: ${record.input.type}` +
+        (record.input.skillId ? ` ${record.input.skillId}` : '');
+      this.inputLog.appendChild(entry);
+    }
+  }
+
+  /**
+   * Find the first record after a time
+   * @param {Array} records - Records sorted by time
+   * @param {number} time - Recorded server time in ms
+   * @returns {number} Index of the first record later than time
+   */
+  findIndexAfter(records, time) {
+    let low = 0;
+    let high = records.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (records[middle].time <= time) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    return low;
+  }
+
+  /**
+   * Format a playback position
+   * @param {number} ms - Time in ms
+   * @returns {string} Time as m:ss
+   */
+  formatTime(ms) {
+    const seconds = Math.floor(ms / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+  }
+}
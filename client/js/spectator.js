@@ -0,0 +1,248 @@
+/**
+ * SpectatorMode class
+ * Watches a live world without a character, either from the lobby or
+ * after dying. The camera follows a player picked from the list (Q/E or
+ * Tab to cycle, or click a name), or flies freely with WASD or the arrow
+ * keys (F to toggle).
+ */
+class SpectatorMode {
+  /**
+   * Create a new spectator mode
+   * @param {Game} game - Reference to the game
+   */
+  constructor(game) {
+    this.game = game;
+    this.active = false;
+
+    // Free camera controls; pans the same way as the replay viewer
+    this.cameraKeys = new Set();
+    this.cameraReportTimer = 0;
+
+    // Players and camera state the list was last drawn for
+    this.listState = '';
+
+    this.controls = document.getElementById('spectator-controls');
+    this.targetLabel = document.getElementById('spectator-target');
+    this.playerList = document.getElementById('spectator-players');
+  }
+
+  /**
+   * Set up event listeners
+   */
+  init() {
+    document.getElementById('spectate-game').addEventListener('click', () => this.watch());
+    document.getElementById('spectate-button').addEventListener('click', () => this.watchAfterDeath());
+    document.getElementById('spectator-prev').addEventListener('click', () => this.cycleTarget(-1));
+    document.getElementById('spectator-next').addEventListener('click', () => this.cycleTarget(1));
+    document.getElementById('spectator-free').addEventListener('click', () => this.toggleFree());
+    document.getElementById('spectator-exit').addEventListener('click', () => this.stop());
+
+    this.game.network.on('worldClosed', (data) => {
+      if (this.active) {
+        this.stop();
+        this.game.ui.showError(data.message);
+      }
+    });
+
+    window.addEventListener('keydown', (event) => {
+      if (!this.active) return;
+      const key = event.key.toLowerCase();
+      if (REPLAY_CAMERA_KEYS[key]) {
+        // Panning takes over from following
+        this.cameraKeys.add(key);
+        this.game.renderer.camera.free = true;
+      } else if (key === 'q') {
+        this.cycleTarget(-1);
+      } else if (key === 'e' || key === 'tab') {
+        event.preventDefault();
+        this.cycleTarget(1);
+      } else if (key === 'f') {
+        this.toggleFree();
+      }
+    });
+    window.addEventListener('keyup', (event) => this.cameraKeys.delete(event.key.toLowerCase()));
+  }
+
+  /**
+   * Spectate the world selected in the lobby
+   */
+  async watch() {
+    const selection = this.game.worldBrowser.getSelection();
+    if (!selection.worldId) {
+      this.game.ui.showError('Pick a world from the list to spectate.');
+      return;
+    }
+
+    this.game.ui.showLoading('Joining as spectator...');
+    try {
+      const data = await this.game.network.spectateGame(selection);
+      this.start(data);
+    } catch (error) {
+      console.error('Failed to spectate:', error);
+      this.game.ui.showError(error.message);
+      this.game.worldBrowser.refresh();
+    } finally {
+      this.game.ui.hideLoading();
+    }
+  }
+
+  /**
+   * Give up our character from the death screen and keep watching the world
+   */
+  async watchAfterDeath() {
+    const game = this.game;
+    document.getElementById('death-screen').classList.add('hidden');
+
+    try {
+      const data = await game.network.spectateGame({ password: game.worldBrowser.getSelection().password });
+
+      // Our character is gone from the server
+      if (game.player) {
+        game.players.delete(game.player.id);
+        game.renderer.removePlayer(game.player);
+        game.player = null;
+      }
+      game.gameStarted = false;
+      this.start(data);
+    } catch (error) {
+      console.error('Failed to spectate:', error);
+      game.ui.showError(error.message);
+      document.getElementById('death-screen').classList.remove('hidden');
+    }
+  }
+
+  /**
+   * Switch the game into spectating
+   * @param {Object} data - Spectating data from the server
+   */
+  start(data) {
+    const game = this.game;
+    this.active = true;
+
+    document.getElementById('character-select').classList.add('hidden');
+    document.getElementById('game-ui').classList.add('hidden');
+    document.getElementById('inventory-panel').classList.add('hidden');
+    this.controls.classList.remove('hidden');
+
+    // Start in the middle of the world until there's someone to follow
+    const camera = game.renderer.camera;
+    camera.free = true;
+    camera.followId = null;
+    camera.x = data.position.x;
+    camera.y = data.position.y;
+    this.updateList();
+
+    game.network.requestWorldData();
+
+    if (!game.isRunning) {
+      game.isRunning = true;
+      game.lastUpdateTime = performance.now();
+      requestAnimationFrame(game.update);
+    }
+  }
+
+  /**
+   * Stop spectating and go back to the character-select screen
+   */
+  stop() {
+    const camera = this.game.renderer.camera;
+    this.active = false;
+    this.cameraKeys.clear();
+    camera.free = false;
+    camera.followId = null;
+
+    this.controls.classList.add('hidden');
+    this.game.ui.restartGame();
+  }
+
+  /**
+   * Move the camera and keep the server up to date; called every animation frame by Game.update
+   * @param {number} deltaTime - Time since the last frame in ms
+   */
+  update(deltaTime) {
+    const camera = this.game.renderer.camera;
+
+    if (camera.free) {
+      const distance = CONFIG.FREE_CAMERA_SPEED * (deltaTime / 1000) / camera.zoom;
+      for (const key of this.cameraKeys) {
+        camera.x += REPLAY_CAMERA_KEYS[key].x * distance;
+        camera.y += REPLAY_CAMERA_KEYS[key].y * distance;
+      }
+    } else if (!this.game.players.has(camera.followId)) {
+      // The player we followed left, so move on to the next one
+      this.cycleTarget(1);
+    }
+
+    this.cameraReportTimer += deltaTime;
+    if (this.cameraReportTimer >= CONFIG.SPECTATOR_CAMERA_INTERVAL) {
+      this.cameraReportTimer = 0;
+      this.game.network.sendSpectatorCamera(camera.x, camera.y);
+    }
+
+    this.updateList();
+  }
+
+  /**
+   * Follow the next or previous player in the list
+   * @param {number} step - 1 for the next player, -1 for the previous one
+   */
+  cycleTarget(step) {
+    const ids = [...this.game.players.keys()];
+    if (ids.length === 0) {
+      this.game.renderer.camera.free = true;
+      return;
+    }
+
+    // From a free camera, start at either end of the list
+    const index = ids.indexOf(this.game.renderer.camera.followId);
+    const next = index === -1
+      ? (step > 0 ? 0 : ids.length - 1)
+      : (index + step + ids.length) % ids.length;
+    this.follow(ids[next]);
+  }
+
+  /**
+   * Follow a player
+   * @param {string} playerId - ID of the player to follow
+   */
+  follow(playerId) {
+    const camera = this.game.renderer.camera;
+    camera.free = false;
+    camera.followId = playerId;
+  }
+
+  /**
+   * Switch between following a player and flying freely
+   */
+  toggleFree() {
+    const camera = this.game.renderer.camera;
+    if (camera.free) {
+      this.cycleTarget(1);
+    } else {
+      camera.free = true;
+    }
+  }
+
+  /**
+   * Redraw the player list and target label when players or the target change
+   */
+  updateList() {
+    const camera = this.game.renderer.camera;
+    const players = [...this.game.players.values()];
+    const state = `${camera.free}|${camera.followId}|${players.map(p => `${p.id}:${p.name}`).join(',')}`;
+    if (state === this.listState) return;
+    this.listState = state;
+
+    const target = !camera.free && this.game.players.get(camera.followId);
+    this.targetLabel.textContent = target ? `Following ${target.name}` : 'Free camera';
+
+    this.playerList.innerHTML = '';
+    for (const player of players) {
+      const entry = document.createElement('li');
+      entry.textContent = `${player.name} (${player.characterClass})`;
+      entry.classList.toggle('selected', player === target);
+      entry.addEventListener('click', () => this.follow(player.id));
+      this.playerList.appendChild(entry);
+    }
+  }
+}
@@ -0,0 +1,111 @@
+/**
+ * StashPanel class
+ * The logged-in account's stash on the character-select screen. Items
+ * carried out through an exit land here; ticking items picks the loadout
+ * to bring into the next world.
+ */
+class StashPanel {
+  /**
+   * Create a new stash panel
+   * @param {Game} game - Reference to the game
+   */
+  constructor(game) {
+    this.game = game;
+    this.items = [];
+    this.capacity = 0;
+    this.maxLoadout = 0;
+    this.loadout = new Set(); // IDs of the items to bring
+
+    this.panel = document.getElementById('stash-panel');
+    this.list = document.getElementById('stash-list');
+  }
+
+  /**
+   * Fetch the stash, or hide it when logged out
+   */
+  async refresh() {
+    if (!this.game.account.account) {
+      this.items = [];
+      this.loadout.clear();
+      this.render();
+      return;
+    }
+
+    try {
+      const data = await this.game.account.request('GET', '/api/stash');
+      this.items = data.items;
+      this.capacity = data.capacity;
+      this.maxLoadout = data.maxLoadout;
+    } catch (error) {
+      console.error('Failed to load stash:', error);
+      this.items = [];
+    }
+
+    // Forget picks for items that are gone
+    const ids = new Set(this.items.map(item => item.id));
+    for (const itemId of this.loadout) {
+      if (!ids.has(itemId)) {
+        this.loadout.delete(itemId);
+      }
+    }
+    this.render();
+  }
+
+  /**
+   * Draw the stash with a checkbox per item
+   */
+  render() {
+    this.panel.classList.toggle('hidden', !this.game.account.account);
+    document.getElementById('stash-count').textContent = `(${this.items.length}/${this.capacity})`;
+    document.getElementById('loadout-count').textContent = `Bringing ${this.loadout.size}/${this.maxLoadout}`;
+
+    this.list.innerHTML = '';
+    for (const item of this.items) {
+      const entry = document.createElement('li');
+      entry.className = `stash-item ${item.rarity}`;
+
+      const label = document.createElement('label');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = this.loadout.has(item.id);
+      checkbox.addEventListener('change', () => this.toggle(item.id, checkbox));
+
+      const name = document.createElement('span');
+      name.textContent = item.name;
+      const details = document.createElement('span');
+      details.className = 'world-details';
+      details.textContent = `${item.rarity} ${item.type}`;
+
+      label.append(checkbox, name, details);
+      entry.appendChild(label);
+      this.list.appendChild(entry);
+    }
+  }
+
+  /**
+   * Add an item to the loadout or take it out
+   * @param {string} itemId - Item ID
+   * @param {HTMLInputElement} checkbox - The item's checkbox
+   */
+  toggle(itemId, checkbox) {
+    if (checkbox.checked && this.loadout.size >= this.maxLoadout) {
+      checkbox.checked = false;
+      this.game.ui.showError(`You can bring at most ${this.maxLoadout} items.`);
+      return;
+    }
+
+    if (checkbox.checked) {
+      this.loadout.add(itemId);
+    } else {
+      this.loadout.delete(itemId);
+    }
+    this.render();
+  }
+
+  /**
+   * @returns {Array} IDs of the items to bring into the world
+   */
+  getLoadout() {
+    return [...this.loadout];
+  }
+}
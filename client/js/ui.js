@@ -17,6 +17,12 @@ class UI {
     this.xpText = null;
     this.skillCooldowns = {};
     this.inventorySlots = [];
+    this.corpseSlots = [];
+    this.corpseItems = []; // Items shown in the corpse loot window, by slot
+    this.corpseId = null; // Corpse whose loot window is open
+    this.chatMessages = []; // Recent chat messages, oldest first
+    this.chatTab = 'all'; // Channel shown in the chat box and sent on
+    this.whisperTarget = null; // Last player we whispered with, for replies
     this.equipmentSlots = {};
     this.notificationContainer = null;
     this.notifications = [];
@@ -46,6 +52,12 @@ class UI {
       this.xpBar = document.querySelector('.xp-fill');
       this.xpText = document.querySelector('.xp-text');
       
+      // Raid clock, open exits and extraction progress
+      this.raidClock = document.querySelector('.raid-clock');
+      this.openExitList = document.querySelector('.open-exits');
+      this.extractionBar = document.querySelector('.extraction-bar');
+      this.extractionFill = document.querySelector('.extraction-fill');
+      
       // Get skill cooldown elements
       const skillElements = document.querySelectorAll('.skill');
       skillElements.forEach(element => {
@@ -119,6 +131,12 @@ class UI {
       // Set up equipment slots
       this.setupEquipmentSlots();
       
+      // Set up the corpse loot window
+      this.setupCorpsePanel();
+      
+      // Set up the chat box
+      this.setupChatBox();
+      
       console.log("UI initialized successfully");
     } catch (error) {
       console.error("Error initializing UI:", error);
@@ -166,6 +184,204 @@ class UI {
     });
   }
   
+  /**
+   * Set up the corpse loot window, a grid of slots like the inventory's.
+   * Clicking an item takes it.
+   */
+  setupCorpsePanel() {
+    const corpseGrid = document.querySelector('#corpse-panel .inventory-grid');
+    
+    for (let i = 0; i < 20; i++) {
+      const slot = document.createElement('div');
+      slot.className = 'inventory-slot';
+      slot.setAttribute('data-slot', i);
+      
+      slot.addEventListener('click', () => {
+        const item = this.corpseItems[i];
+        if (item && this.corpseId) {
+          this.game.network.sendLootInput(this.corpseId, item.id);
+        }
+      });
+      
+      corpseGrid.appendChild(slot);
+      this.corpseSlots.push(slot);
+    }
+    
+    document.getElementById('corpse-close').addEventListener('click', () => this.hideCorpsePanel());
+  }
+  
+  /**
+   * Open or refresh the corpse loot window
+   * @param {Object} data - Corpse contents {corpseId, playerName, ownedFor, items}
+   */
+  showCorpsePanel(data) {
+    // Nothing left to take
+    if (data.items.length === 0) {
+      this.hideCorpsePanel(data.corpseId);
+      return;
+    }
+    
+    this.corpseId = data.corpseId;
+    this.corpseItems = data.items;
+    document.getElementById('corpse-title').textContent = `${data.playerName}'s corpse`;
+    document.getElementById('corpse-owner').textContent = data.ownedFor > 0
+      ? `Only you and your party can loot this for ${Math.ceil(data.ownedFor / 1000)} more seconds.`
+      : 'Anyone can loot this.';
+    
+    this.corpseSlots.forEach((slot, index) => {
+      slot.innerHTML = '';
+      if (data.items[index]) {
+        this.createItemElement(data.items[index], slot);
+      }
+    });
+    
+    document.getElementById('corpse-panel').classList.remove('hidden');
+  }
+  
+  /**
+   * Close the corpse loot window
+   * @param {string} [corpseId] - Only close it if it shows this corpse
+   */
+  hideCorpsePanel(corpseId) {
+    if (corpseId && corpseId !== this.corpseId) return;
+    
+    this.corpseId = null;
+    this.corpseItems = [];
+    document.getElementById('corpse-panel').classList.add('hidden');
+  }
+  
+  /**
+   * Set up the chat box tabs and input. Each tab shows one channel and
+   * sends on it; "All" shows everything and sends to the world.
+   */
+  setupChatBox() {
+    this.chatLog = document.querySelector('#chat-box .chat-log');
+    this.chatInput = document.querySelector('#chat-box .chat-input');
+    this.chatInput.maxLength = CONFIG.CHAT_MAX_LENGTH;
+    
+    const tabs = document.querySelectorAll('#chat-box .chat-tab');
+    tabs.forEach(tab => {
+      tab.addEventListener('click', () => {
+        this.chatTab = tab.getAttribute('data-channel');
+        tabs.forEach(other => other.classList.toggle('selected', other === tab));
+        this.renderChat();
+      });
+    });
+    
+    // Keep typed keys away from the game's key handlers
+    this.chatInput.addEventListener('keydown', (event) => {
+      event.stopPropagation();
+      if (event.key === 'Enter') {
+        this.sendChatMessage(this.chatInput.value);
+        this.closeChatInput();
+      } else if (event.key === 'Escape') {
+        this.closeChatInput();
+      }
+    });
+    this.chatInput.addEventListener('blur', () => this.closeChatInput());
+  }
+  
+  /**
+   * Start typing a chat message; game keys are suspended until it's sent or cancelled
+   */
+  openChatInput() {
+    const placeholders = {
+      all: 'Say to the world, @name to whisper, /help for commands',
+      world: 'Say to the world',
+      proximity: 'Say to players nearby',
+      party: 'Say to your party',
+      whisper: this.whisperTarget ? `Reply to ${this.whisperTarget}` : '@name message'
+    };
+    
+    this.game.input.setTyping(true);
+    this.chatInput.placeholder = placeholders[this.chatTab];
+    this.chatInput.classList.remove('hidden');
+    this.chatInput.focus();
+  }
+  
+  /**
+   * Stop typing and give the keys back to the game
+   */
+  closeChatInput() {
+    // Blurring the input below calls this again
+    if (this.chatInput.classList.contains('hidden')) return;
+    
+    this.chatInput.value = '';
+    this.chatInput.classList.add('hidden');
+    this.chatInput.blur();
+    this.game.input.setTyping(false);
+  }
+  
+  /**
+   * Send typed text on the selected tab's channel. "/command" runs a
+   * slash command, "@name message" whispers from any tab, and the
+   * Whispers tab replies to the last player we whispered with.
+   * @param {string} text - Typed text
+   */
+  sendChatMessage(text) {
+    text = text.trim();
+    if (!text) return;
+    
+    const whisper = text.match(/^@(\S+)\s+(.+)$/);
+    if (text.startsWith('/')) {
+      this.game.network.sendChatCommand(text);
+    } else if (whisper) {
+      this.game.network.sendChatMessage('whisper', whisper[2], whisper[1]);
+    } else if (this.chatTab === 'whisper') {
+      if (!this.whisperTarget) {
+        this.showNotification('Type @name and a message to whisper to someone.');
+        return;
+      }
+      this.game.network.sendChatMessage('whisper', text, this.whisperTarget);
+    } else {
+      this.game.network.sendChatMessage(this.chatTab === 'all' ? 'world' : this.chatTab, text);
+    }
+  }
+  
+  /**
+   * Add a chat message to the chat box
+   * @param {Object} message - Chat message {channel, from, text, to?}
+   */
+  addChatMessage(message) {
+    // Our own whispers come back with the recipient's name in "to"
+    if (message.channel === 'whisper') {
+      this.whisperTarget = message.to || message.from;
+    }
+    
+    this.chatMessages.push(message);
+    if (this.chatMessages.length > CONFIG.CHAT_HISTORY) {
+      this.chatMessages.shift();
+    }
+    this.renderChat();
+  }
+  
+  /**
+   * Show the selected tab's messages, and command replies on every tab,
+   * scrolled to the newest
+   */
+  renderChat() {
+    const labels = { world: 'World', proximity: 'Nearby', party: 'Party' };
+    
+    this.chatLog.innerHTML = '';
+    this.chatMessages
+      .filter(message => this.chatTab === 'all' || message.channel === this.chatTab || message.channel === 'system')
+      .forEach(message => {
+        let sender = `[${labels[message.channel]}] ${message.from}: `;
+        if (message.channel === 'whisper') {
+          sender = message.to ? `To ${message.to}: ` : `From ${message.from}: `;
+        } else if (message.channel === 'system') {
+          sender = '';
+        }
+        
+        // textContent, so players can't inject markup
+        const entry = document.createElement('li');
+        entry.className = `chat-${message.channel}`;
+        entry.textContent = `${sender}${message.text}`;
+        this.chatLog.appendChild(entry);
+      });
+    this.chatLog.scrollTop = this.chatLog.scrollHeight;
+  }
+  
   /**
    * Update player stats display
    * @param {Player} [player] - The player (if not provided, will use game.player)
@@ -197,7 +413,9 @@ class UI {
       if (cooldownOverlay) {
         if (cooldown > 0) {
           // Calculate cooldown percentage
-          const maxCooldown = CONFIG.SKILL_COOLDOWNS[player.characterClass][skillId];
+          const characterClass = CONFIG.CLASSES[player.characterClass];
+          const skill = characterClass && characterClass.skills[skillId];
+          const maxCooldown = skill ? skill.cooldown : cooldown;
           const cooldownPercent = (cooldown / maxCooldown) * 100;
           
           // Update cooldown overlay
@@ -210,6 +428,53 @@ class UI {
     }
   }
   
+  /**
+   * Update the raid clock, the list of open exits and the extraction bar
+   */
+  updateRaidStatus() {
+    if (!this.game.world || !this.game.world.raidEndsAt) return;
+    
+    const remaining = this.game.getRaidRemaining();
+    this.raidClock.textContent = this.formatTime(remaining);
+    this.raidClock.classList.toggle('ending', remaining < 60000);
+    
+    // Exits closing within a minute are highlighted
+    const elapsed = this.game.world.raidDuration - remaining;
+    this.openExitList.innerHTML = '';
+    for (const exit of this.game.getOpenExits()) {
+      const entry = document.createElement('li');
+      if (exit.closesAt === null) {
+        entry.textContent = exit.name;
+      } else {
+        entry.textContent = `${exit.name} · closes in ${this.formatTime(exit.closesAt - elapsed)}`;
+        entry.classList.toggle('closing', exit.closesAt - elapsed < 60000);
+      }
+      this.openExitList.appendChild(entry);
+    }
+    if (!this.openExitList.firstChild) {
+      const entry = document.createElement('li');
+      entry.textContent = 'No exits open';
+      this.openExitList.appendChild(entry);
+    }
+    
+    const extraction = this.game.extraction;
+    this.extractionBar.classList.toggle('hidden', !extraction);
+    if (extraction) {
+      const progress = Math.min(1, (Date.now() - extraction.startedAt) / extraction.duration);
+      this.extractionFill.style.width = `${progress * 100}%`;
+    }
+  }
+  
+  /**
+   * Format a duration as minutes and seconds
+   * @param {number} ms - Duration in ms
+   * @returns {string} e.g. "12:05"
+   */
+  formatTime(ms) {
+    const seconds = Math.ceil(Math.max(0, ms) / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+  }
+  
   /**
    * Update inventory display
    */
@@ -542,7 +807,7 @@ class UI {
   /**
    * Show notification
    * @param {string} message - Notification message
-   * @param {string} type - Notification type (default, boss, boss-kill)
+   * @param {string} type - Notification type (default, boss, boss-kill, server)
    */
   showNotification(message, type = 'default') {
     // Create notification element
@@ -566,6 +831,9 @@ class UI {
       notification.style.backgroundColor = 'rgba(255, 215, 0, 0.7)';
       notification.style.color = '#000000';
       notification.style.fontWeight = 'bold';
+    } else if (type === 'server') {
+      notification.style.backgroundColor = 'rgba(74, 144, 226, 0.8)';
+      notification.style.fontWeight = 'bold';
     }
     
     // Add to notification container
@@ -670,7 +938,7 @@ class UI {
     
     // Clean up existing game state
     if (this.game.network && this.game.network.socket) {
-      this.game.network.socket.disconnect();
+      this.game.network.disconnect();
     }
     
     // Reset game state
@@ -684,12 +952,19 @@ class UI {
     this.game.monsters.clear();
     this.game.bosses.clear();
     this.game.items.clear();
+    this.game.corpses.clear();
+    this.hideCorpsePanel();
+    this.closeChatInput();
+    this.chatMessages = [];
+    this.whisperTarget = null;
+    this.renderChat();
     
     // Reset UI
     document.getElementById('game-ui').classList.add('hidden');
     
     // Show character selection screen again
     document.getElementById('character-select').classList.remove('hidden');
+    this.game.worldBrowser.refresh();
     
     // Reset character selection if needed
     const selectedClass = document.querySelector('.character-option.selected');
@@ -711,6 +986,7 @@ class UI {
         if (this.game.network) {
           this.game.network.init(); // Reconnect to the server
         }
+        this.game.account.refresh(); // Show the progress saved when we left
       }, 500);
     } catch (error) {
       console.error("Error reconnecting to server:", error);
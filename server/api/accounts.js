@@ -0,0 +1,116 @@
+const express = require('express');
+const SERVER_CONFIG = require('../config');
+const { AccountError, describeAccount } = require('../gameLogic/AccountManager');
+const { validatePlayerData } = require('../gameLogic/playerHandlers');
+
+/**
+ * Run an async route, answering AccountErrors with their status and message
+ * @param {Function} handler - Async route handler
+ * @returns {Function} Express route handler
+ */
+function asyncRoute(handler) {
+  return (req, res, next) => {
+    handler(req, res).catch(error => {
+      if (error instanceof AccountError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      next(error);
+    });
+  };
+}
+
+/**
+ * @param {Object} req - Express request
+ * @returns {string} Token from the Authorization: Bearer header, or ''
+ */
+function getToken(req) {
+  const header = req.get('Authorization') || '';
+  return header.startsWith('Bearer ') ? header.slice(7) : '';
+}
+
+/**
+ * Account REST API: register, log in, manage the character roster and view the stash
+ * @param {Object} options
+ * @param {AccountManager} options.accounts - Accounts and characters
+ * @param {StashManager} options.stash - Items extracted by each account
+ * @param {Lobby} options.lobby - Running worlds
+ * @returns {Object} Express router
+ */
+function createAccountRouter({ accounts, stash, lobby }) {
+  const router = express.Router();
+
+  // Reject requests without a valid login token; sets req.account
+  const requireAccount = (req, res, next) => {
+    accounts.authenticate(getToken(req)).then(account => {
+      if (!account) {
+        return res.status(401).json({ message: 'Please log in again.' });
+      }
+      req.account = account;
+      next();
+    }, next);
+  };
+
+  // Register a new account; returns a login token
+  router.post('/accounts', asyncRoute(async (req, res) => {
+    const { username, password } = req.body || {};
+    res.status(201).json(await accounts.register(username, password));
+  }));
+
+  // Log in; returns a login token
+  router.post('/sessions', asyncRoute(async (req, res) => {
+    const { username, password } = req.body || {};
+    res.json(await accounts.login(username, password));
+  }));
+
+  // Log out
+  router.delete('/sessions', asyncRoute(async (req, res) => {
+    await accounts.logout(getToken(req));
+    res.status(204).end();
+  }));
+
+  // Logged-in account and its characters
+  router.get('/account', requireAccount, asyncRoute(async (req, res) => {
+    res.json({
+      account: describeAccount(req.account),
+      characters: await accounts.listCharacters(req.account)
+    });
+  }));
+
+  // Create a character
+  router.post('/characters', requireAccount, asyncRoute(async (req, res) => {
+    const invalid = validatePlayerData(req.body);
+    if (invalid) {
+      return res.status(400).json({ message: invalid });
+    }
+
+    const character = await accounts.createCharacter(
+      req.account,
+      req.body.name.trim(),
+      req.body.characterClass.toLowerCase()
+    );
+    res.status(201).json({ character });
+  }));
+
+  // Delete a character, unless it's in a world
+  router.delete('/characters/:id', requireAccount, asyncRoute(async (req, res) => {
+    if (lobby.findCharacter(req.params.id)) {
+      return res.status(409).json({ message: 'That character is in a world. Leave it first.' });
+    }
+
+    await accounts.deleteCharacter(req.account, req.params.id);
+    res.status(204).end();
+  }));
+
+  // Items in the account's stash, to pick a loadout from
+  router.get('/stash', requireAccount, asyncRoute(async (req, res) => {
+    res.json({
+      items: await stash.getItems(req.account.id),
+      capacity: SERVER_CONFIG.MAX_STASH_ITEMS,
+      maxLoadout: SERVER_CONFIG.MAX_LOADOUT_ITEMS
+    });
+  }));
+
+  return router;
+}
+
+module.exports = createAccountRouter;
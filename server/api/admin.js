@@ -0,0 +1,207 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const SERVER_CONFIG = require('../config');
+
+// Names ReplayRecorder gives its files
+const REPLAY_FILE_PATTERN = /^\d+-[\w-]+\.replay\.gz$/;
+
+/**
+ * Reject requests without the admin token in an Authorization: Bearer header
+ */
+function requireAdminToken(req, res, next) {
+  const header = req.get('Authorization') || '';
+  const token = Buffer.from(header.startsWith('Bearer ') ? header.slice(7) : '');
+  const expected = Buffer.from(SERVER_CONFIG.ADMIN_TOKEN);
+
+  // Constant-time compare so the token can't be guessed byte by byte
+  if (token.length !== expected.length || !crypto.timingSafeEqual(token, expected)) {
+    return res.status(401).json({ message: 'Unauthorized' });
+  }
+  next();
+}
+
+/**
+ * Summarize a player for listings
+ * @param {Object} player - Player object
+ * @returns {Object} Player summary
+ */
+function describePlayer(player) {
+  return {
+    id: player.id,
+    name: player.name,
+    characterClass: player.characterClass,
+    level: player.level,
+    health: player.health,
+    position: player.position,
+    disconnected: player.disconnected
+  };
+}
+
+/**
+ * Operator API for moderating live servers
+ * @param {Object} options
+ * @param {Lobby} options.lobby - Running worlds
+ * @param {Object} options.io - Socket.IO server
+ * @param {Map} options.bans - Ban reasons by client address
+ * @param {Map} options.mutes - Chat mutes by account ID
+ * @returns {Object} Express router
+ */
+function createAdminRouter({ lobby, io, bans, mutes }) {
+  const router = express.Router();
+  router.use(requireAdminToken);
+
+  // Load the world and player named in the URL
+  router.param('gameId', (req, res, next, gameId) => {
+    req.game = lobby.getGame(gameId);
+    if (!req.game) {
+      return res.status(404).json({ message: 'World not found' });
+    }
+    next();
+  });
+  router.param('playerId', (req, res, next, playerId) => {
+    req.player = req.game.players.get(playerId);
+    if (!req.player) {
+      return res.status(404).json({ message: 'Player not found' });
+    }
+    next();
+  });
+
+  // List worlds
+  router.get('/games', (req, res) => {
+    res.json({ games: lobby.listGames() });
+  });
+
+  // List players in a world
+  router.get('/games/:gameId/players', (req, res) => {
+    res.json({ players: [...req.game.players.values()].map(describePlayer) });
+  });
+
+  // Full server-side state of a player
+  router.get('/games/:gameId/players/:playerId', (req, res) => {
+    res.json({ player: req.player.serialize() });
+  });
+
+  // Disconnect a player; they can join again
+  router.post('/games/:gameId/players/:playerId/kick', (req, res) => {
+    const reason = (req.body && req.body.reason) || 'Kicked by an administrator';
+    req.game.kickPlayer(req.player.id, reason);
+    res.json({ kicked: req.player.id });
+  });
+
+  // Disconnect a player and refuse new connections from their address
+  router.post('/games/:gameId/players/:playerId/ban', (req, res) => {
+    const socket = io.sockets.sockets.get(req.player.id);
+    if (!socket) {
+      return res.status(409).json({ message: 'Player is not connected, so their address is unknown' });
+    }
+
+    const reason = (req.body && req.body.reason) || 'Banned by an administrator';
+    const address = socket.handshake.address;
+    bans.set(address, { reason, bannedAt: Date.now(), name: req.player.name });
+    req.game.kickPlayer(req.player.id, reason);
+
+    console.log(`Banned ${address} (${req.player.name}): ${reason}`);
+    res.json({ banned: address });
+  });
+
+  // List and lift bans
+  router.get('/bans', (req, res) => {
+    res.json({ bans: [...bans.entries()].map(([address, ban]) => ({ address, ...ban })) });
+  });
+  router.delete('/bans/:address', (req, res) => {
+    if (!bans.delete(req.params.address)) {
+      return res.status(404).json({ message: 'Ban not found' });
+    }
+    res.json({ unbanned: req.params.address });
+  });
+
+  // Stop a player's account from chatting, for some minutes or until lifted
+  router.post('/games/:gameId/players/:playerId/mute', (req, res) => {
+    const { reason = 'Muted by an administrator', minutes } = req.body || {};
+    if (minutes !== undefined && !(Number.isFinite(minutes) && minutes > 0)) {
+      return res.status(400).json({ message: 'minutes must be a positive number' });
+    }
+
+    const until = minutes ? Date.now() + minutes * 60 * 1000 : null;
+    mutes.set(req.player.accountId, { reason, until, name: req.player.name });
+    req.game.sendToPlayer(req.player.id, 'serverMessage', { message: `You were muted: ${reason}` });
+
+    console.log(`Muted ${req.player.name}: ${reason}`);
+    res.json({ muted: req.player.accountId, until });
+  });
+
+  // List and lift mutes
+  router.get('/mutes', (req, res) => {
+    res.json({ mutes: [...mutes.entries()].map(([accountId, mute]) => ({ accountId, ...mute })) });
+  });
+  router.delete('/mutes/:accountId', (req, res) => {
+    if (!mutes.delete(req.params.accountId)) {
+      return res.status(404).json({ message: 'Mute not found' });
+    }
+    res.json({ unmuted: req.params.accountId });
+  });
+
+  // Show a message to every player, or to one world with gameId
+  router.post('/broadcast', (req, res) => {
+    const { message, gameId } = req.body || {};
+    if (typeof message !== 'string' || message.trim().length === 0) {
+      return res.status(400).json({ message: 'A message is required' });
+    }
+
+    const targets = gameId ? [lobby.getGame(gameId)] : [...lobby.games.values()];
+    if (targets.includes(undefined)) {
+      return res.status(404).json({ message: 'World not found' });
+    }
+
+    targets.forEach(game => game.broadcastMessage('serverMessage', { message: message.trim() }));
+    res.json({ games: targets.length });
+  });
+
+  // Spawn a boss now instead of waiting for the random roll
+  router.post('/games/:gameId/boss', (req, res) => {
+    if (typeof req.game.spawnBoss !== 'function') {
+      return res.status(400).json({ message: `Bosses don't spawn in ${req.game.mode} worlds` });
+    }
+
+    const boss = req.game.spawnBoss();
+    if (!boss) {
+      return res.status(409).json({ message: 'No landmark to spawn a boss at' });
+    }
+    res.status(201).json({ boss: boss.serialize() });
+  });
+
+  // List recorded replay files, newest first
+  router.get('/replays', (req, res) => {
+    if (!SERVER_CONFIG.REPLAY_DIR) {
+      return res.status(404).json({ message: 'Replay recording is disabled' });
+    }
+    if (!fs.existsSync(SERVER_CONFIG.REPLAY_DIR)) {
+      return res.json({ replays: [] });
+    }
+
+    const replays = fs.readdirSync(SERVER_CONFIG.REPLAY_DIR)
+      .filter(file => REPLAY_FILE_PATTERN.test(file))
+      .map(file => {
+        const stats = fs.statSync(path.join(SERVER_CONFIG.REPLAY_DIR, file));
+        return { file, size: stats.size, modifiedAt: stats.mtimeMs };
+      })
+      .sort((a, b) => b.modifiedAt - a.modifiedAt);
+    res.json({ replays });
+  });
+
+  // Download a replay to open in the client's replay viewer
+  router.get('/replays/:file', (req, res) => {
+    const file = req.params.file;
+    if (!SERVER_CONFIG.REPLAY_DIR || !REPLAY_FILE_PATTERN.test(file) ||
+        !fs.existsSync(path.join(SERVER_CONFIG.REPLAY_DIR, file))) {
+      return res.status(404).json({ message: 'Replay not found' });
+    }
+    res.download(path.resolve(SERVER_CONFIG.REPLAY_DIR, file));
+  });
+
+  return router;
+}
+
+module.exports = createAdminRouter;
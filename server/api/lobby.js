@@ -0,0 +1,71 @@
+const express = require('express');
+const SERVER_CONFIG = require('../config');
+const { WORLD_MODES } = require('../gameLogic/worldFactory');
+const { getContent } = require('../gameLogic/content');
+
+const MAX_NAME_LENGTH = 32;
+const MAX_PASSWORD_LENGTH = 64;
+const MAX_SEED_LENGTH = 64;
+
+/**
+ * Lobby REST API: list, create and inspect worlds
+ * @param {Lobby} lobby - Running worlds
+ * @returns {Object} Express router
+ */
+function createLobbyRouter(lobby) {
+  const router = express.Router();
+
+  // List running worlds
+  router.get('/worlds', (req, res) => {
+    res.json({ worlds: lobby.listGames() });
+  });
+
+  // Character class definitions, so the client shares the server's numbers
+  router.get('/classes', (req, res) => {
+    res.json({ classes: getContent().classes });
+  });
+
+  // Look up one world, e.g. to check an ID before joining
+  router.get('/worlds/:id', (req, res) => {
+    const game = lobby.getGame(req.params.id);
+    if (!game) {
+      return res.status(404).json({ message: 'World not found' });
+    }
+    res.json({ world: lobby.describeGame(game) });
+  });
+
+  // Create a named world, optionally password-protected
+  router.post('/worlds', async (req, res, next) => {
+    const { name, password, seed, mode = SERVER_CONFIG.WORLD_MODE } = req.body || {};
+
+    if (typeof name !== 'string' || name.trim().length === 0 || name.trim().length > MAX_NAME_LENGTH) {
+      return res.status(400).json({ message: `World name must be 1-${MAX_NAME_LENGTH} characters.` });
+    }
+    if (password !== undefined && password !== '' &&
+        (typeof password !== 'string' || password.length > MAX_PASSWORD_LENGTH)) {
+      return res.status(400).json({ message: `Password must be at most ${MAX_PASSWORD_LENGTH} characters.` });
+    }
+    if (seed !== undefined && !Number.isSafeInteger(seed) &&
+        (typeof seed !== 'string' || seed.length === 0 || seed.length > MAX_SEED_LENGTH)) {
+      return res.status(400).json({ message: `Seed must be an integer or 1-${MAX_SEED_LENGTH} characters.` });
+    }
+    if (!WORLD_MODES.includes(mode)) {
+      return res.status(400).json({ message: `Mode must be one of: ${WORLD_MODES.join(', ')}` });
+    }
+
+    let game;
+    try {
+      game = await lobby.createGame({ mode, name: name.trim(), password: password || null, seed });
+    } catch (error) {
+      return next(error);
+    }
+    if (!game) {
+      return res.status(503).json({ message: 'Too many worlds are running. Try joining one instead.' });
+    }
+    res.status(201).json({ world: lobby.describeGame(game) });
+  });
+
+  return router;
+}
+
+module.exports = createLobbyRouter;
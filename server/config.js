@@ -0,0 +1,108 @@
+const path = require('path');
+
+/**
+ * Server configuration
+ * Values can be overridden with environment variables
+ */
+const SERVER_CONFIG = {
+  // HTTP settings
+  PORT: parseInt(process.env.PORT, 10) || 3000,
+  ADMIN_TOKEN: process.env.ADMIN_TOKEN || null, // Admin API is disabled unless set
+  // Usernames, comma separated, whose characters can run admin chat commands
+  ADMIN_ACCOUNTS: (process.env.ADMIN_ACCOUNTS || '').split(',').map(name => name.trim().toLowerCase()).filter(Boolean),
+
+  // Game settings
+  MAX_PLAYERS_PER_GAME: parseInt(process.env.MAX_PLAYERS_PER_GAME, 10) || 30,
+  MAX_SPECTATORS_PER_GAME: parseInt(process.env.MAX_SPECTATORS_PER_GAME, 10) || 20,
+  MAX_WORLDS: parseInt(process.env.MAX_WORLDS, 10) || 10, // Worlds running at once
+  EMPTY_WORLD_TIMEOUT_MS: 60000, // Lobby-created worlds nobody joins are removed after this
+  // At most JOIN_RATE_LIMIT join or spectate attempts per socket within JOIN_RATE_WINDOW_MS,
+  // so world passwords can't be guessed quickly
+  JOIN_RATE_LIMIT: parseInt(process.env.JOIN_RATE_LIMIT, 10) || 5,
+  JOIN_RATE_WINDOW_MS: 60 * 1000,
+
+  // Simulation steps per second
+  TICK_RATE: parseInt(process.env.TICK_RATE, 10) || 20,
+
+  // Max simulation steps run back to back when the server falls behind
+  MAX_CATCH_UP_TICKS: parseInt(process.env.MAX_CATCH_UP_TICKS, 10) || 5,
+
+  // Movement validation
+  MAX_MOVEMENT_INPUTS_PER_SECOND: 60, // Client sends about 20 per second
+  MOVEMENT_TOLERANCE: 1.5, // Allowed multiple of movement speed per tick
+  POSITION_JUMP_THRESHOLD: 10, // Extra pixels allowed per tick
+  MAX_MOVEMENT_VIOLATIONS: 5, // Violations within the window before a kick
+  VIOLATION_WINDOW_MS: 30 * 1000,
+
+  // Snapshots kept for delta compression; older acks get a full snapshot
+  SNAPSHOT_HISTORY_SIZE: 32,
+
+  // Area of interest: players see their viewport plus this many pixels around it
+  INTEREST_RADIUS: parseInt(process.env.INTEREST_RADIUS, 10) || 300,
+  INTEREST_CELL_SIZE: 500, // Spatial grid cell size in px
+  DEFAULT_VIEWPORT_WIDTH: 1280,
+  DEFAULT_VIEWPORT_HEIGHT: 720,
+  MAX_VIEWPORT_WIDTH: 1920,
+  MAX_VIEWPORT_HEIGHT: 1080,
+
+  // Lag compensation: furthest back in time hit detection will rewind targets
+  MAX_REWIND_MS: parseInt(process.env.MAX_REWIND_MS, 10) || 300,
+
+  // Session resume: how long a disconnected character stays in the world
+  SESSION_GRACE_PERIOD_MS: parseInt(process.env.SESSION_GRACE_PERIOD_MS, 10) || 30000,
+  // Key for signing session tokens. If unset, a random one is used and
+  // saved with the world snapshot so held players can resume after a restart
+  SESSION_SECRET: process.env.SESSION_SECRET || null,
+
+  // Graceful shutdown: warning time before saving worlds and exiting
+  SHUTDOWN_COUNTDOWN_MS: parseInt(process.env.SHUTDOWN_COUNTDOWN_MS, 10) || 10000,
+  // Worlds are saved here on shutdown and restored on the next boot
+  WORLD_SNAPSHOT_FILE: process.env.WORLD_SNAPSHOT_FILE || path.join(__dirname, '../data/worlds.json'),
+
+  // Replay recording: disabled unless REPLAY_DIR is set
+  REPLAY_DIR: process.env.REPLAY_DIR || null,
+  REPLAY_SEGMENT_MS: parseInt(process.env.REPLAY_SEGMENT_MS, 10) || 10 * 60 * 1000, // Start a new file this often
+  REPLAY_KEYFRAME_INTERVAL_MS: 5000, // Full snapshots this often, so playback can seek
+
+  // Accounts: where they're stored ('json' keeps files in STORAGE_DIR)
+  STORAGE_ADAPTER: process.env.STORAGE_ADAPTER || 'json',
+  STORAGE_DIR: process.env.STORAGE_DIR || path.join(__dirname, '../data'),
+  AUTH_TOKEN_TTL_MS: parseInt(process.env.AUTH_TOKEN_TTL_MS, 10) || 30 * 24 * 60 * 60 * 1000, // Login lasts this long
+  MAX_CHARACTERS_PER_ACCOUNT: parseInt(process.env.MAX_CHARACTERS_PER_ACCOUNT, 10) || 5,
+  CHARACTER_SAVE_INTERVAL_MS: 60000, // Characters in worlds are saved this often, and when they leave
+  MAX_STASH_ITEMS: parseInt(process.env.MAX_STASH_ITEMS, 10) || 200, // Extracted items beyond this are lost
+  MAX_LOADOUT_ITEMS: 20, // Items taken from the stash into a world, matching the inventory size
+
+  // Raids: worlds end after RAID_DURATION_MS, and anyone still inside counts as dead
+  RAID_DURATION_MS: parseInt(process.env.RAID_DURATION_MS, 10) || 30 * 60 * 1000,
+  EXIT_OPEN_MS: parseInt(process.env.EXIT_OPEN_MS, 10) || 10 * 60 * 1000, // How long each exit stays open
+  EXTRACTION_CHANNEL_MS: 5000, // Time to stand at an exit, without taking damage, to extract
+  RAID_JOIN_CUTOFF_MS: 2 * 60 * 1000, // New players can't join a raid with less than this left
+
+  // Corpses: only the killer and their party can loot at first, then anyone until it despawns
+  CORPSE_OWNERSHIP_MS: parseInt(process.env.CORPSE_OWNERSHIP_MS, 10) || 60 * 1000,
+  CORPSE_DESPAWN_MS: parseInt(process.env.CORPSE_DESPAWN_MS, 10) || 5 * 60 * 1000,
+  MAX_PARTY_SIZE: parseInt(process.env.MAX_PARTY_SIZE, 10) || 4,
+
+  // Monster and boss drops are reserved for the killer and their party this long
+  LOOT_OWNERSHIP_MS: parseInt(process.env.LOOT_OWNERSHIP_MS, 10) || 30 * 1000,
+
+  // Chat: at most CHAT_RATE_LIMIT messages per socket within CHAT_RATE_WINDOW_MS
+  CHAT_MAX_LENGTH: 200, // Characters per message, matching the client's input
+  CHAT_RATE_LIMIT: parseInt(process.env.CHAT_RATE_LIMIT, 10) || 5,
+  CHAT_RATE_WINDOW_MS: 5000,
+  CHAT_PROXIMITY_RADIUS: 600, // How far proximity chat carries, in pixels
+
+  // Monster, boss, class and biome definitions
+  CONTENT_DIR: process.env.CONTENT_DIR || path.join(__dirname, 'content'),
+  // Edits to content files are applied to running worlds unless set to 'false'
+  CONTENT_HOT_RELOAD: process.env.CONTENT_HOT_RELOAD !== 'false',
+  // Also move living monsters and bosses to reloaded stats, not just new spawns
+  CONTENT_RESCALE_ON_RELOAD: process.env.CONTENT_RESCALE_ON_RELOAD === 'true',
+  CONTENT_RELOAD_DELAY_MS: 200, // Wait for editors to finish writing before reloading
+
+  // World implementation used for new games ('test' or 'full')
+  WORLD_MODE: process.env.WORLD_MODE || 'test'
+};
+
+module.exports = SERVER_CONFIG;
@@ -0,0 +1,282 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { v4: uuidv4 } = require('uuid');
+const SERVER_CONFIG = require('../config');
+
+const scrypt = promisify(crypto.scrypt);
+
+const USERNAME_PATTERN = /^[A-Za-z0-9_-]{3,20}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 128;
+const SALT_BYTES = 16;
+const KEY_LENGTH = 64;
+
+/**
+ * Thrown for requests the account system refuses
+ */
+class AccountError extends Error {
+  /**
+   * @param {string} message - Message to show the player
+   * @param {number} status - Matching HTTP status code
+   */
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'AccountError';
+    this.status = status;
+  }
+}
+
+/**
+ * Player accounts and their character rosters.
+ * Passwords are hashed with scrypt. Logging in returns a random token that
+ * is stored hashed, so a leaked storage file can't be used to log in.
+ * Records live in the storage adapter's 'accounts' (by lowercase username),
+ * 'authTokens' (by token hash) and 'characters' (by ID) collections.
+ */
+class AccountManager {
+  /**
+   * @param {Object} storage - Storage adapter from createStorage
+   */
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  /**
+   * Create an account and log it in
+   * @param {string} username - 3-20 letters, digits, _ or -
+   * @param {string} password - Plain-text password
+   * @returns {Promise<Object>} {token, account}
+   */
+  async register(username, password) {
+    if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+      throw new AccountError('Username must be 3-20 letters, digits, _ or -.');
+    }
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+      throw new AccountError(`Password must be ${MIN_PASSWORD_LENGTH}-${MAX_PASSWORD_LENGTH} characters.`);
+    }
+
+    const key = username.toLowerCase();
+    if (await this.storage.get('accounts', key)) {
+      throw new AccountError('That username is taken.', 409);
+    }
+
+    const account = {
+      id: uuidv4(),
+      username,
+      passwordHash: await hashPassword(password),
+      characterIds: [],
+      createdAt: Date.now()
+    };
+    await this.storage.set('accounts', key, account);
+    console.log(`Account registered: ${username}`);
+
+    return { token: await this.createToken(key), account: describeAccount(account) };
+  }
+
+  /**
+   * Check a username and password
+   * @param {string} username - Username, any case
+   * @param {string} password - Plain-text password
+   * @returns {Promise<Object>} {token, account}
+   */
+  async login(username, password) {
+    const key = typeof username === 'string' ? username.toLowerCase() : '';
+    const account = key && await this.storage.get('accounts', key);
+    if (!account || typeof password !== 'string' || !(await verifyPassword(password, account.passwordHash))) {
+      throw new AccountError('Wrong username or password.', 401);
+    }
+
+    return { token: await this.createToken(key), account: describeAccount(account) };
+  }
+
+  /**
+   * End a login
+   * @param {string} token - Token from register or login
+   */
+  async logout(token) {
+    if (typeof token === 'string') {
+      await this.storage.delete('authTokens', hashToken(token));
+    }
+  }
+
+  /**
+   * Look up the account a token belongs to
+   * @param {string} token - Token from register or login
+   * @returns {Promise<Object|null>} Account record, or null if the token is unknown or expired
+   */
+  async authenticate(token) {
+    if (typeof token !== 'string' || token.length === 0) return null;
+
+    const tokenId = hashToken(token);
+    const login = await this.storage.get('authTokens', tokenId);
+    if (!login) return null;
+
+    if (login.expiresAt < Date.now()) {
+      await this.storage.delete('authTokens', tokenId);
+      return null;
+    }
+    return this.storage.get('accounts', login.accountKey);
+  }
+
+  /**
+   * @param {Object} account - Account record
+   * @returns {Promise<Array>} Character summaries, oldest first
+   */
+  async listCharacters(account) {
+    const characters = await Promise.all(account.characterIds.map(id => this.storage.get('characters', id)));
+    return characters.filter(Boolean).map(describeCharacter);
+  }
+
+  /**
+   * Add a level 1 character to an account's roster
+   * @param {Object} account - Account record
+   * @param {string} name - Validated character name
+   * @param {string} characterClass - Validated class name
+   * @returns {Promise<Object>} Character summary
+   */
+  async createCharacter(account, name, characterClass) {
+    if (account.characterIds.length >= SERVER_CONFIG.MAX_CHARACTERS_PER_ACCOUNT) {
+      throw new AccountError(`Accounts can have at most ${SERVER_CONFIG.MAX_CHARACTERS_PER_ACCOUNT} characters.`, 409);
+    }
+
+    const character = {
+      id: uuidv4(),
+      accountId: account.id,
+      name,
+      characterClass,
+      progress: null, // Saved from the Player once it has played
+      createdAt: Date.now(),
+      updatedAt: Date.now()
+    };
+    await this.storage.set('characters', character.id, character);
+    await this.updateAccount(account, { characterIds: [...account.characterIds, character.id] });
+
+    return describeCharacter(character);
+  }
+
+  /**
+   * @param {Object} account - Account record
+   * @param {string} characterId - Character ID
+   * @returns {Promise<Object|null>} Character record, or null if the account has no such character
+   */
+  async getCharacter(account, characterId) {
+    if (!account.characterIds.includes(characterId)) return null;
+    return this.storage.get('characters', characterId);
+  }
+
+  /**
+   * Remove a character from an account for good
+   * @param {Object} account - Account record
+   * @param {string} characterId - Character ID
+   */
+  async deleteCharacter(account, characterId) {
+    if (!account.characterIds.includes(characterId)) {
+      throw new AccountError('Character not found.', 404);
+    }
+
+    await this.updateAccount(account, { characterIds: account.characterIds.filter(id => id !== characterId) });
+    await this.storage.delete('characters', characterId);
+  }
+
+  /**
+   * Save a player's level, XP, stats, inventory and equipment to its character
+   * @param {Object} player - Player playing an account character
+   * @returns {Promise}
+   */
+  async saveProgress(player) {
+    if (!player.characterId) return;
+
+    // The character may have been deleted while it was playing
+    const character = await this.storage.get('characters', player.characterId);
+    if (!character) return;
+
+    character.progress = player.getProgress();
+    character.updatedAt = Date.now();
+    await this.storage.set('characters', character.id, character);
+  }
+
+  /**
+   * Change fields of an account record
+   * @param {Object} account - Account record, updated in place
+   * @param {Object} changes - Fields to change
+   */
+  async updateAccount(account, changes) {
+    Object.assign(account, changes);
+    await this.storage.set('accounts', account.username.toLowerCase(), account);
+  }
+
+  /**
+   * Log an account in
+   * @param {string} accountKey - Lowercase username
+   * @returns {Promise<string>} Token for later requests
+   */
+  async createToken(accountKey) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    await this.storage.set('authTokens', hashToken(token), {
+      accountKey,
+      expiresAt: Date.now() + SERVER_CONFIG.AUTH_TOKEN_TTL_MS
+    });
+    return token;
+  }
+}
+
+/**
+ * @param {string} password - Plain-text password
+ * @returns {Promise<string>} "scrypt:<salt>:<hash>" in hex
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt:${salt.toString('hex')}:${hash.toString('hex')}`;
+}
+
+/**
+ * @param {string} password - Plain-text password
+ * @param {string} stored - Hash from hashPassword
+ * @returns {Promise<boolean>} True if the password matches
+ */
+async function verifyPassword(password, stored) {
+  const [, salt, hash] = stored.split(':');
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scrypt(password, Buffer.from(salt, 'hex'), expected.length);
+
+  // Constant-time compare so hashes can't be guessed byte by byte
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * @param {string} token - Login token
+ * @returns {string} ID the token is stored under
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * @param {Object} account - Account record
+ * @returns {Object} Account without its password hash
+ */
+function describeAccount(account) {
+  return { id: account.id, username: account.username, createdAt: account.createdAt };
+}
+
+/**
+ * @param {Object} character - Character record
+ * @returns {Object} Character summary for the roster
+ */
+function describeCharacter(character) {
+  return {
+    id: character.id,
+    name: character.name,
+    characterClass: character.characterClass,
+    level: character.progress ? character.progress.level : 1,
+    createdAt: character.createdAt,
+    updatedAt: character.updatedAt
+  };
+}
+
+module.exports = {
+  AccountManager,
+  AccountError,
+  describeAccount
+};
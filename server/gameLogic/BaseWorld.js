@@ -0,0 +1,836 @@
+const { v4: uuidv4 } = require('uuid');
+const Player = require('./entities/Player');
+const Monster = require('./entities/Monster');
+const Corpse = require('./entities/Corpse');
+const SERVER_CONFIG = require('../config');
+const metrics = require('../metrics');
+const { checkPositionJump, flagViolation } = require('./movementValidation');
+const SnapshotManager = require('./SnapshotManager');
+const InterestManager = require('./InterestManager');
+const LagCompensator = require('./LagCompensator');
+const Raid = require('./Raid');
+const { generateSeed, createRandomStreams } = require('./Random');
+const { leaveParty } = require('./parties');
+
+// Measure gameState payload sizes on one broadcast in this many, since
+// serializing every message again just to weigh it is costly
+const PAYLOAD_SAMPLE_INTERVAL = 20;
+
+/**
+ * Shared world interface used by every world implementation.
+ * The server tick loop and the player handlers only talk to worlds
+ * through the methods defined here.
+ */
+class BaseWorld {
+  /**
+   * Create a new world
+   * @param {string} id - Unique world ID
+   * @param {string} mode - World mode name (test, full)
+   * @param {string} [seed] - Seed for the world layout; picked at random if omitted
+   */
+  constructor(id, mode, seed = generateSeed()) {
+    this.id = id;
+    this.mode = mode;
+    this.createdAt = Date.now();
+
+    // Seeded generators for world generation, monster AI and loot. The
+    // seed is public, so AI and loot get a private one of their own
+    this.seed = String(seed);
+    this.secretSeed = generateSeed();
+    this.random = createRandomStreams(this.seed, this.secretSeed);
+
+    this.players = new Map(); // Map of player objects by socket ID
+    this.monsters = new Map(); // Map of monster objects by UUID
+    this.items = new Map(); // Map of dropped items by UUID
+    this.bosses = new Map(); // Map of boss objects by UUID
+    this.projectiles = new Map(); // Map of projectiles by ID
+    this.corpses = new Map(); // Map of lootable player corpses by UUID
+    this.spectators = new Map(); // Camera {id, position} of spectators by socket ID
+
+    // World properties
+    this.width = 4000;
+    this.height = 4000;
+    this.biomes = [];
+    this.exits = [];
+    this.landmarks = [];
+
+    // Delta-compressed state sent to clients
+    this.snapshots = new SnapshotManager();
+    this.interest = new InterestManager();
+    this.broadcastCount = 0;
+
+    // Position history for lag-compensated hit detection
+    this.lagCompensator = new LagCompensator();
+
+    // Raid countdown, exit schedule and extraction channels
+    this.raid = new Raid();
+
+    // Length of one simulation step in ms
+    this.tickInterval = 1000 / SERVER_CONFIG.TICK_RATE;
+
+    // Socket.IO server, attached by the server after creation
+    this.io = null;
+
+    // ReplayRecorder, attached by the lobby when recording is enabled
+    this.replay = null;
+  }
+
+  /**
+   * Attach the Socket.IO server used for broadcasts
+   * @param {Object} io - Socket.IO server instance
+   */
+  attachIo(io) {
+    this.io = io;
+  }
+
+  /**
+   * Add a player to the world
+   * @param {string} socketId - Socket ID of the player
+   * @param {Object} playerData - Player data {name, characterClass}
+   * @returns {Player} The new player
+   */
+  addPlayer(socketId, playerData) {
+    const player = new Player(
+      socketId,
+      playerData.name,
+      playerData.characterClass,
+      this.getRandomSpawnPoint()
+    );
+
+    this.players.set(socketId, player);
+    return player;
+  }
+
+  /**
+   * Remove a player from the world
+   * @param {string} socketId - Socket ID of the player
+   */
+  removePlayer(socketId) {
+    // Gear not carried out through an exit is left behind
+    const player = this.players.get(socketId);
+    if (player) {
+      this.dropPlayerItems(player);
+      leaveParty(this, player);
+    }
+    
+    this.removePlayerState(socketId);
+  }
+
+  /**
+   * Leave everything a player carries in a corpse where they stand
+   * @param {Object} player - Player who died or left without extracting
+   * @param {Object} [killer] - Entity that killed them, if any
+   * @returns {Corpse|null} The corpse, or null if the player carried nothing
+   */
+  dropPlayerItems(player, killer = null) {
+    const items = player.takeAllItems();
+    if (items.length === 0) return null;
+
+    const corpse = new Corpse(uuidv4(), player, items, this.getLootOwnerIds(player, killer));
+    this.corpses.set(corpse.id, corpse);
+    return corpse;
+  }
+
+  /**
+   * Work out who gets first claim on a dead player's gear: a killing
+   * player and their party, or else the victim's own party
+   * @param {Object} victim - Player who died
+   * @param {Object} [killer] - Entity that killed them, if any
+   * @returns {Array} Character IDs of the owners
+   */
+  getLootOwnerIds(victim, killer) {
+    const claimant = killer && killer.entityType === 'player' ? killer : victim;
+    return this.getPartyMembers(claimant).map(player => player.characterId);
+  }
+
+  /**
+   * @param {Object} player - Player object
+   * @returns {Array} Players in the player's party, including the player
+   */
+  getPartyMembers(player) {
+    if (!player.partyId) return [player];
+
+    return [...this.players.values()].filter(other => other.partyId === player.partyId);
+  }
+
+  /**
+   * Reserve dropped loot for the player who earned it and their party
+   * @param {Item} item - Dropped item
+   * @param {Object} player - Player who earned it
+   */
+  claimLoot(item, player) {
+    const ownerIds = this.getPartyMembers(player).map(member => member.characterId);
+    item.setOwners(ownerIds, SERVER_CONFIG.LOOT_OWNERSHIP_MS);
+  }
+
+  /**
+   * Tell a player standing on someone else's loot that they can't take
+   * it, once per item so it isn't repeated every tick
+   * @param {Object} player - Player object
+   * @param {Item} item - Owned item
+   */
+  refusePickup(player, item) {
+    if (player.refusedItemId === item.id) return;
+    player.refusedItemId = item.id;
+
+    const seconds = Math.ceil((item.ownedUntil - Date.now()) / 1000);
+    this.sendToPlayer(player.id, 'error', {
+      message: `${item.name} belongs to another player for ${seconds} more seconds.`
+    });
+  }
+
+  /**
+   * Take an item out of a corpse into a player's inventory
+   * @param {Object} player - Looting player
+   * @param {string} corpseId - Corpse ID
+   * @param {string} itemId - Item ID
+   * @returns {string|null} Reason the item can't be taken, or null if it was
+   */
+  lootCorpse(player, corpseId, itemId) {
+    const corpse = this.corpses.get(corpseId);
+    if (!corpse || corpse.isExpired()) {
+      return 'That corpse is gone.';
+    }
+    const refusal = corpse.checkLoot(player);
+    if (refusal) {
+      return refusal;
+    }
+
+    const item = corpse.takeItem(itemId);
+    if (!item) {
+      return 'Someone already took that item.';
+    }
+    if (!player.addItemToInventory(item)) {
+      corpse.returnItem(item);
+      return 'Your inventory is full.';
+    }
+
+    this.sendToPlayer(player.id, 'itemPickup', {
+      itemId: item.id,
+      name: item.name,
+      type: item.type,
+      rarity: item.rarity,
+      stats: item.stats
+    });
+    return null;
+  }
+
+  /**
+   * Remove corpses that were emptied or have lain long enough
+   */
+  updateCorpses() {
+    for (const [corpseId, corpse] of this.corpses.entries()) {
+      if (corpse.isExpired()) {
+        this.corpses.delete(corpseId);
+      }
+    }
+  }
+
+  /**
+   * Forget a player's socket ID without side effects like dropping items
+   * @param {string} socketId - Socket ID of the player
+   */
+  removePlayerState(socketId) {
+    this.players.delete(socketId);
+    this.raid.cancelExtraction(socketId);
+    this.snapshots.removeClient(socketId);
+    this.interest.removeClient(socketId);
+  }
+
+  /**
+   * Keep a player in the world after their socket disconnected
+   * @param {string} socketId - Socket ID of the player
+   */
+  detachPlayer(socketId) {
+    const player = this.players.get(socketId);
+    if (!player) return;
+
+    // Stand still until the client comes back
+    player.disconnected = true;
+    player.velocity = { x: 0, y: 0 };
+    this.raid.cancelExtraction(socketId);
+    this.snapshots.removeClient(socketId);
+    this.interest.removeClient(socketId);
+  }
+
+  /**
+   * Move a player over to a new socket
+   * @param {string} oldSocketId - Socket ID the player was using
+   * @param {string} newSocketId - Socket ID of the new connection
+   * @returns {Player|null} The player, or null if it's no longer in the world
+   */
+  reattachPlayer(oldSocketId, newSocketId) {
+    const player = this.players.get(oldSocketId);
+    if (!player) return null;
+
+    // Players are keyed by socket ID, so re-key everything that refers to it
+    this.removePlayerState(oldSocketId);
+    player.id = newSocketId;
+    player.projectiles.forEach(projectile => {
+      projectile.ownerId = newSocketId;
+    });
+    player.disconnected = false;
+    this.players.set(newSocketId, player);
+
+    return player;
+  }
+
+  /**
+   * Add a spectator, watching from the middle of the world
+   * @param {string} socketId - Socket ID of the spectator
+   * @returns {Object} The spectator's camera {id, position}
+   */
+  addSpectator(socketId) {
+    const spectator = { id: socketId, position: { x: this.width / 2, y: this.height / 2 } };
+    this.spectators.set(socketId, spectator);
+    return spectator;
+  }
+
+  /**
+   * Remove a spectator
+   * @param {string} socketId - Socket ID of the spectator
+   */
+  removeSpectator(socketId) {
+    this.spectators.delete(socketId);
+    this.snapshots.removeClient(socketId);
+    this.interest.removeClient(socketId);
+  }
+
+  /**
+   * Move a spectator's camera, which decides the area they're sent
+   * @param {string} socketId - Socket ID of the spectator
+   * @param {Object} position - Camera position {x, y}
+   */
+  moveSpectator(socketId, position) {
+    const spectator = this.spectators.get(socketId);
+    if (!spectator || !position || !Number.isFinite(position.x) || !Number.isFinite(position.y)) return;
+
+    spectator.position = {
+      x: Math.max(0, Math.min(this.width, position.x)),
+      y: Math.max(0, Math.min(this.height, position.y))
+    };
+  }
+
+  /**
+   * Get a spawn point for a new player
+   * @returns {Object} Spawn position {x, y}
+   */
+  getRandomSpawnPoint() {
+    return { x: this.width / 2, y: this.height / 2 };
+  }
+
+  /**
+   * Add a monster to the world
+   * @param {string} type - Monster type from content/monsters.json
+   * @param {Object} position - Position {x, y}
+   * @param {Random} [random] - Seeded generator for its stat variations
+   * @returns {Monster} The new monster
+   */
+  spawnMonster(type, position, random = this.random.ai) {
+    const monsterId = uuidv4();
+    const monster = new Monster(monsterId, type, position, random);
+    this.monsters.set(monsterId, monster);
+    return monster;
+  }
+
+  /**
+   * Advance the world by one tick
+   * @param {number} deltaTime - Simulated time for this tick in ms
+   */
+  update(deltaTime) {
+    throw new Error(`${this.constructor.name} must implement update()`);
+  }
+
+  /**
+   * Handle an entity being killed
+   * @param {Object} attacker - The killing entity
+   * @param {Object} target - The killed entity
+   */
+  handleKill(attacker, target) {
+    throw new Error(`${this.constructor.name} must implement handleKill()`);
+  }
+
+  /**
+   * Handle a player dying, from a kill or the /kill command: leave what they
+   * carried in a corpse, respawn them at full health and send them youDied
+   * @param {Object} player - Player who died
+   * @param {Object} [killer] - Entity that killed them, if any
+   */
+  handlePlayerDeath(player, killer) {
+    throw new Error(`${this.constructor.name} must implement handlePlayerDeath()`);
+  }
+
+  /**
+   * Move players and tick their timers
+   * @param {number} deltaTime - Simulated time for this tick in ms
+   */
+  updatePlayers(deltaTime) {
+    this.players.forEach(player => {
+      // Apply velocity and cooldowns
+      player.update(deltaTime);
+
+      // Constrain player to world bounds
+      player.position.x = Math.max(0, Math.min(this.width, player.position.x));
+      player.position.y = Math.max(0, Math.min(this.height, player.position.y));
+
+      // Flag players whose position changed outside the tick
+      if (!checkPositionJump(player, deltaTime)) {
+        this.handleMovementViolation(player, 'position jump');
+      }
+
+      // Update projectiles
+      const expiredProjectiles = player.updateProjectiles(deltaTime);
+
+      // Handle any explosions
+      expiredProjectiles.forEach(projectile => {
+        if (projectile.isExplosion) {
+          this.handleExplosion(projectile);
+        }
+      });
+    });
+  }
+
+  /**
+   * Record a movement violation and kick repeat offenders
+   * @param {Object} player - Player object
+   * @param {string} reason - Description of the violation
+   */
+  handleMovementViolation(player, reason) {
+    if (flagViolation(player, reason)) {
+      this.kickPlayer(player.id, 'Kicked for invalid movement');
+    }
+  }
+
+  /**
+   * Disconnect a player from the server
+   * @param {string} playerId - Socket ID of the player
+   * @param {string} message - Reason shown to the player
+   */
+  kickPlayer(playerId, message) {
+    console.log(`Kicking player ${playerId}: ${message}`);
+    this.sendToPlayer(playerId, 'kicked', { message });
+
+    // Kicked players can't resume their session
+    const player = this.players.get(playerId);
+    if (player) {
+      player.kicked = true;
+    }
+
+    // Disconnecting fires the socket's disconnect handler, which removes the player
+    const socket = this.io && this.io.sockets.sockets.get(playerId);
+    if (socket) {
+      socket.disconnect(true);
+    } else {
+      this.removePlayer(playerId);
+    }
+  }
+
+  /**
+   * Update all projectiles and check for collisions
+   */
+  updateProjectiles() {
+    const targets = [...this.monsters.values(), ...this.bosses.values()];
+
+    // Process each player's projectiles
+    this.players.forEach(player => {
+      player.projectiles.forEach(projectile => {
+        // Add to world projectiles map if not already there
+        if (!this.projectiles.has(projectile.id)) {
+          this.projectiles.set(projectile.id, projectile);
+        }
+
+        // Check for projectile collisions with monsters and bosses where
+        // the owner saw them when firing
+        const hits = this.lagCompensator.withRewind(targets, projectile.rewindAmount, () =>
+          targets.filter(target => !target.isDead() && this.checkProjectileCollision(projectile, target))
+        );
+
+        for (const target of hits) {
+          if (!projectile.active) break;
+          this.handleProjectileHit(projectile, target);
+        }
+      });
+    });
+
+    // Forget projectiles that are no longer owned by any player
+    for (const [id, projectile] of this.projectiles.entries()) {
+      const owner = this.players.get(projectile.ownerId);
+      if (!owner || !owner.projectiles.includes(projectile)) {
+        this.projectiles.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Get the entities a melee attack can hit
+   * @param {Object} attacker - Attacking player
+   * @returns {Array} Living monsters and bosses
+   */
+  getMeleeTargets(attacker) {
+    return [...this.monsters.values(), ...this.bosses.values()].filter(target => !target.isDead());
+  }
+
+  /**
+   * Find melee hits, rewinding targets to where the attacker saw them
+   * @param {Object} attacker - Attacking player
+   * @param {number} range - Attack range in pixels
+   * @param {number} rewindAmount - How far back to rewind targets, in ms
+   * @returns {Array} Entities hit
+   */
+  findMeleeHits(attacker, range, rewindAmount) {
+    const targets = this.getMeleeTargets(attacker);
+
+    return this.lagCompensator.withRewind(targets, rewindAmount, () => {
+      const attackBox = this.getAttackBox(attacker, range);
+      return targets.filter(target => this.rectIntersect(
+        attackBox.x, attackBox.y, attackBox.width, attackBox.height,
+        target.position.x - target.width / 2, target.position.y - target.height / 2,
+        target.width, target.height
+      ));
+    });
+  }
+
+  /**
+   * Apply a melee hit found by findMeleeHits
+   * @param {Object} attacker - Attacking player
+   * @param {Object} target - Entity hit
+   */
+  applyMeleeHit(attacker, target) {
+    this.handleCombat(attacker, target);
+  }
+
+  /**
+   * Check collision between a projectile and target
+   * @param {Object} projectile - The projectile object
+   * @param {Object} target - The target object
+   * @returns {boolean} True if collision detected
+   */
+  checkProjectileCollision(projectile, target) {
+    // Skip if projectile is not active
+    if (!projectile.active) return false;
+
+    // Simple rectangle collision
+    return this.rectIntersect(
+      projectile.position.x - projectile.width / 2,
+      projectile.position.y - projectile.height / 2,
+      projectile.width,
+      projectile.height,
+      target.position.x - target.width / 2,
+      target.position.y - target.height / 2,
+      target.width,
+      target.height
+    );
+  }
+
+  /**
+   * Handle a projectile hit on a target
+   * @param {Object} projectile - The projectile object
+   * @param {Object} target - The target hit
+   */
+  handleProjectileHit(projectile, target) {
+    // Apply damage to target
+    const damage = projectile.damage;
+    target.takeDamage(damage, this.random.ai);
+
+    // Broadcast combat event
+    this.broadcastMessage('combatEvent', {
+      attackerId: projectile.ownerId,
+      targetId: target.id,
+      damage: damage,
+      targetHealth: target.health,
+      targetMaxHealth: target.maxHealth,
+      projectileType: projectile.type
+    });
+
+    // Handle piercing projectiles
+    if (projectile.piercing) {
+      projectile.pierceCount++;
+      if (projectile.pierceCount >= projectile.maxPierceCount) {
+        projectile.active = false;
+      }
+    } else {
+      // Non-piercing projectiles deactivate on hit
+      projectile.active = false;
+    }
+
+    // Handle death
+    if (target.health <= 0) {
+      const attacker = this.players.get(projectile.ownerId);
+      if (attacker) {
+        this.handleKill(attacker, target);
+      }
+    }
+
+    // Handle fireball explosion on impact
+    if (projectile.type === 'fireball' && projectile.explodes) {
+      this.handleExplosion(projectile);
+    }
+  }
+
+  /**
+   * Handle a fireball explosion
+   * @param {Object} projectile - The exploding projectile
+   */
+  handleExplosion(projectile) {
+    // Get all living monsters and bosses in explosion radius
+    const explosionTargets = [...this.monsters.values(), ...this.bosses.values()].filter(target => {
+      return !target.isDead() &&
+        this.getDistance(projectile.position, target.position) <= projectile.explosionRadius;
+    });
+
+    // Apply damage to each target in explosion
+    const owner = this.players.get(projectile.ownerId);
+    if (owner) {
+      explosionTargets.forEach(target => {
+        // Calculate damage (reduced by distance from center)
+        const distance = this.getDistance(projectile.position, target.position);
+        const damageMultiplier = 1 - (distance / projectile.explosionRadius);
+        const damage = Math.floor(projectile.damage * damageMultiplier);
+
+        // Apply damage
+        target.takeDamage(damage, this.random.ai);
+
+        // Broadcast combat event for explosion damage
+        this.broadcastMessage('combatEvent', {
+          attackerId: projectile.ownerId,
+          targetId: target.id,
+          damage: damage,
+          targetHealth: target.health,
+          targetMaxHealth: target.maxHealth,
+          isExplosion: true
+        });
+
+        // Handle death
+        if (target.health <= 0) {
+          this.handleKill(owner, target);
+        }
+      });
+    }
+
+    // Broadcast explosion effect
+    this.broadcastMessage('effectEvent', {
+      type: 'explosion',
+      position: projectile.position,
+      radius: projectile.explosionRadius
+    });
+  }
+
+  /**
+   * Check if two rectangles overlap
+   * @returns {boolean} True if the rectangles intersect
+   */
+  rectIntersect(x1, y1, w1, h1, x2, y2, w2, h2) {
+    return x1 < x2 + w2 &&
+           x1 + w1 > x2 &&
+           y1 < y2 + h2 &&
+           y1 + h1 > y2;
+  }
+
+  /**
+   * Calculate distance between two points
+   * @param {Object} point1 - First point {x, y}
+   * @param {Object} point2 - Second point {x, y}
+   * @returns {number} Distance between points
+   */
+  getDistance(point1, point2) {
+    const dx = point1.x - point2.x;
+    const dy = point1.y - point2.y;
+    return Math.sqrt(dx * dx + dy * dy);
+  }
+
+  /**
+   * Check if a position is inside any exit's safe zone
+   * @param {Object} position - Position to check {x, y}
+   * @returns {boolean} True if position is in a safe zone
+   */
+  isInSafeZone(position) {
+    return this.exits.some(exit => exit.isInSafeZone(position));
+  }
+
+  /**
+   * Start extracting a player through an exit. The player has to stay in
+   * the exit's safe zone without taking damage until the channel ends.
+   * @param {Object} player - Player object
+   * @param {Object} exit - Exit to leave through
+   * @param {Function} onComplete - Takes the player and their gear out of the world
+   * @returns {string|null} Reason the extraction can't start, or null if it started
+   */
+  startExtraction(player, exit, onComplete) {
+    const refusal = this.raid.startExtraction(player, exit, onComplete);
+    if (!refusal) {
+      this.sendToPlayer(player.id, 'extractionStarted', {
+        exitId: exit.id,
+        duration: SERVER_CONFIG.EXTRACTION_CHANNEL_MS
+      });
+    }
+    return refusal;
+  }
+
+  /**
+   * Count a player still in the world when the raid ends as dead:
+   * everything they carry is lost
+   * @param {Object} player - Player object
+   */
+  handleRaidTimeout(player) {
+    this.raid.cancelExtraction(player.id);
+    player.takeAllItems();
+    this.sendToPlayer(player.id, 'raidEnded', {
+      message: 'The raid ended before you got out. Everything you carried is lost.'
+    });
+  }
+
+  /**
+   * Get the static world layout for clients
+   * @returns {Object} Serialized biomes, exits and landmarks
+   */
+  getWorldData() {
+    return {
+      mode: this.mode,
+      seed: this.seed,
+      width: this.width,
+      height: this.height,
+      biomes: this.biomes.map(biome => biome.serialize()),
+      exits: this.exits.map(exit => exit.serialize()),
+      landmarks: this.landmarks.map(landmark => landmark.serialize()),
+      raid: this.raid.serialize()
+    };
+  }
+
+  /**
+   * Get the dynamic game state for clients
+   * @param {Object} [include] - Sets of entity IDs to include by category; all if omitted
+   * @returns {Object} Serialized entities keyed by ID
+   */
+  getGameState(include) {
+    // Convert maps to objects for serialization
+    const serializeMap = (map, ids) => {
+      const serialized = {};
+      for (const [id, entity] of map.entries()) {
+        if (!ids || ids.has(id)) {
+          serialized[id] = entity.serialize();
+        }
+      }
+      return serialized;
+    };
+
+    return {
+      players: serializeMap(this.players, include && include.players),
+      monsters: serializeMap(this.monsters, include && include.monsters),
+      bosses: serializeMap(this.bosses, include && include.bosses),
+      items: serializeMap(this.items, include && include.items),
+      corpses: serializeMap(this.corpses, include && include.corpses)
+    };
+  }
+
+  /**
+   * Send the current game state to every player in this world.
+   * Each player only gets entities in its area of interest, as a delta
+   * against the last snapshot it acknowledged.
+   */
+  broadcastState() {
+    if (!this.io || (this.players.size === 0 && this.spectators.size === 0)) return;
+
+    // Work out what each player and spectator can see
+    this.interest.rebuild(this);
+    const visibleByClient = new Map();
+    const anyVisible = { players: new Set(), monsters: new Set(), bosses: new Set(), items: new Set(), corpses: new Set() };
+    for (const player of this.players.values()) {
+      // Nobody to send to while a player is disconnected
+      if (player.disconnected) continue;
+
+      visibleByClient.set(player.id, this.interest.getVisible(player));
+    }
+    for (const spectator of this.spectators.values()) {
+      // Spectators see every player, so they can pick who to follow,
+      // but only the monsters and items around their camera
+      const visible = this.interest.getVisible(spectator);
+      visible.players = new Set(this.players.keys());
+      visibleByClient.set(spectator.id, visible);
+    }
+    for (const visible of visibleByClient.values()) {
+      for (const category of Object.keys(anyVisible)) {
+        visible[category].forEach(id => anyVisible[category].add(id));
+      }
+    }
+
+    // Only serialize entities somebody can see
+    this.snapshots.capture(this.getGameState(anyVisible));
+    if (this.replay) {
+      this.replay.recordFrame(anyVisible);
+    }
+
+    this.broadcastCount++;
+    const samplePayloads = this.broadcastCount % PAYLOAD_SAMPLE_INTERVAL === 0;
+    for (const [clientId, visible] of visibleByClient.entries()) {
+      const message = this.snapshots.buildFor(clientId, visible);
+
+      // Echo the last movement input applied, for client-side reconciliation
+      const player = this.players.get(clientId);
+      if (player) {
+        message.lastProcessedInput = player.lastProcessedInput;
+        message.inputElapsed = player.inputElapsed;
+      }
+
+      // Tell the client which entities entered or left its area
+      const interestChanges = this.interest.updateVisible(clientId, visible);
+      if (interestChanges) {
+        message.entered = interestChanges.entered;
+        message.left = interestChanges.left;
+      }
+
+      if (samplePayloads) {
+        metrics.observe('game_broadcast_payload_bytes', { world: this.id }, Buffer.byteLength(JSON.stringify(message)));
+      }
+      this.sendToPlayer(clientId, 'gameState', message);
+    }
+  }
+
+  /**
+   * Apply reloaded content definitions. Players read their class definition
+   * as they play, so only biomes and monsters need updating.
+   * @param {boolean} rescale - Also move living monsters and bosses to the new stats
+   */
+  applyContent(rescale) {
+    // Biomes decide what future spawns are
+    for (const biome of this.biomes) {
+      biome.setProperties();
+    }
+    
+    if (rescale) {
+      for (const monster of this.monsters.values()) {
+        monster.rescale();
+      }
+      for (const boss of this.bosses.values()) {
+        boss.rescale();
+      }
+    }
+  }
+
+  /**
+   * Send an event to every socket in this world
+   * @param {string} event - Event name
+   * @param {Object} data - Event data
+   */
+  broadcastMessage(event, data) {
+    if (this.replay) {
+      this.replay.recordEvent(event, data);
+    }
+    if (this.io) {
+      this.io.to(this.id).emit(event, data);
+    }
+  }
+
+  /**
+   * Send an event to a single player
+   * @param {string} playerId - Socket ID of the player
+   * @param {string} event - Event name
+   * @param {Object} data - Event data
+   */
+  sendToPlayer(playerId, event, data) {
+    if (this.io) {
+      this.io.to(playerId).emit(event, data);
+    }
+  }
+}
+
+module.exports = BaseWorld;
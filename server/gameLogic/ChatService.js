@@ -0,0 +1,178 @@
+const SERVER_CONFIG = require('../config');
+
+// Channels players can send on
+const CHAT_CHANNELS = ['world', 'proximity', 'party', 'whisper'];
+
+/**
+ * Chat between players: everyone in the world, players nearby, the
+ * party, or one player anywhere on the server by name. Messages are capped
+ * in length and muted accounts can't send. The server counts each socket's
+ * messages and commands with recordMessage to rate limit them.
+ */
+class ChatService {
+  /**
+   * @param {Lobby} lobby - Running worlds, searched for whisper targets
+   * @param {Map} mutes - Mute details by account ID
+   */
+  constructor(lobby, mutes) {
+    this.lobby = lobby;
+    this.mutes = mutes;
+    this.sendTimes = new Map(); // Recent message times by socket ID
+  }
+
+  /**
+   * Send a chat message from a player
+   * @param {Object} game - World the player is in
+   * @param {Object} player - Sending player
+   * @param {Object} data - Message from the client {channel, text, to?}
+   * @returns {string|null} Why the message wasn't sent, or null if it was
+   */
+  send(game, player, data) {
+    if (!data || !CHAT_CHANNELS.includes(data.channel) || typeof data.text !== 'string') {
+      return 'Invalid chat message.';
+    }
+
+    // Control characters could break the chat box layout
+    const text = data.text.replace(/[\u0000-\u001f\u007f]/g, '').trim();
+    if (text.length === 0) {
+      return 'Message is empty.';
+    }
+    if (text.length > SERVER_CONFIG.CHAT_MAX_LENGTH) {
+      return `Messages can be at most ${SERVER_CONFIG.CHAT_MAX_LENGTH} characters.`;
+    }
+
+    const refusal = this.checkMuted(player);
+    if (refusal) {
+      return refusal;
+    }
+
+    const message = { channel: data.channel, from: player.name, text };
+    switch (data.channel) {
+      case 'world':
+        game.broadcastMessage('chatMessage', message);
+        return null;
+
+      case 'proximity':
+        this.getNearbyPlayers(game, player).forEach(other => {
+          game.sendToPlayer(other.id, 'chatMessage', message);
+        });
+        return null;
+
+      case 'party':
+        if (!player.partyId) {
+          return "You're not in a party.";
+        }
+        game.getPartyMembers(player).forEach(member => {
+          game.sendToPlayer(member.id, 'chatMessage', message);
+        });
+        return null;
+
+      case 'whisper':
+        return this.whisper(game, player, data.to, message);
+    }
+    return null;
+  }
+
+  /**
+   * Send a message to one player by name, and echo it back to the sender
+   * @param {Object} game - World the sender is in
+   * @param {Object} player - Sending player
+   * @param {*} name - Name of the player to whisper to
+   * @param {Object} message - Chat message
+   * @returns {string|null} Why the whisper wasn't sent, or null if it was
+   */
+  whisper(game, player, name, message) {
+    const found = typeof name === 'string' && this.findPlayer(name);
+    if (!found) {
+      return `No player named ${name} is online.`;
+    }
+
+    found.game.sendToPlayer(found.player.id, 'chatMessage', message);
+    game.sendToPlayer(player.id, 'chatMessage', { ...message, to: found.player.name });
+    return null;
+  }
+
+  /**
+   * Find a connected player in any world by name, ignoring case
+   * @param {string} name - Player name
+   * @returns {Object|null} The player and their world {game, player}
+   */
+  findPlayer(name) {
+    const wanted = name.trim().toLowerCase();
+    for (const game of this.lobby.games.values()) {
+      for (const player of game.players.values()) {
+        if (!player.disconnected && player.name.toLowerCase() === wanted) {
+          return { game, player };
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * @param {Object} game - World the player is in
+   * @param {Object} player - Sending player
+   * @returns {Array} Players within proximity chat range, including the sender
+   */
+  getNearbyPlayers(game, player) {
+    return [...game.players.values()].filter(other => {
+      const dx = other.position.x - player.position.x;
+      const dy = other.position.y - player.position.y;
+      return Math.sqrt(dx * dx + dy * dy) <= SERVER_CONFIG.CHAT_PROXIMITY_RADIUS;
+    });
+  }
+
+  /**
+   * Check a player may send something other players see
+   * @param {Object} player - Sending player
+   * @returns {string|null} Why they can't send, or null if they can
+   */
+  checkMuted(player) {
+    const mute = this.getMute(player.accountId);
+    return mute ? `You are muted: ${mute.reason}` : null;
+  }
+
+  /**
+   * Count a message and check the socket isn't flooding the chat
+   * @param {string} socketId - Socket ID of the sender
+   * @returns {boolean} True if the message rate is within limits
+   */
+  recordMessage(socketId) {
+    const now = Date.now();
+
+    // Only messages within the window count towards the limit
+    const times = (this.sendTimes.get(socketId) || []).filter(
+      time => now - time < SERVER_CONFIG.CHAT_RATE_WINDOW_MS
+    );
+    this.sendTimes.set(socketId, times);
+    if (times.length >= SERVER_CONFIG.CHAT_RATE_LIMIT) {
+      return false;
+    }
+
+    times.push(now);
+    return true;
+  }
+
+  /**
+   * @param {string} accountId - Account ID
+   * @returns {Object|null} The account's mute, if it hasn't run out
+   */
+  getMute(accountId) {
+    const mute = this.mutes.get(accountId);
+    if (mute && mute.until && Date.now() >= mute.until) {
+      this.mutes.delete(accountId);
+      return null;
+    }
+    return mute || null;
+  }
+
+  /**
+   * Forget a socket's rate limit state when it disconnects
+   * @param {string} socketId - Socket ID
+   */
+  forget(socketId) {
+    this.sendTimes.delete(socketId);
+  }
+}
+
+module.exports = ChatService;
@@ -0,0 +1,134 @@
+// Permission levels, lowest first; players can run commands up to their own level
+const PERMISSION_LEVELS = ['player', 'admin'];
+
+/**
+ * Slash commands typed into the chat box. Each command declares its
+ * arguments, the permission level needed to run it and a line of help
+ * text; the registry parses the arguments before running it.
+ */
+class CommandRegistry {
+  constructor() {
+    this.commands = new Map(); // Commands by name and alias
+  }
+
+  /**
+   * Add a command
+   * @param {Object} command
+   * @param {string} command.name - Name typed after the slash
+   * @param {Array} [command.aliases] - Other names that run it
+   * @param {string} command.description - One line of help text
+   * @param {string} [command.permission] - Level needed to run it, 'player' by default
+   * @param {Array} [command.args] - Arguments {name, type, optional}. Types are 'word'
+   *   (default), 'integer', 'number' and 'text', which takes the rest of the line
+   * @param {string} [command.usage] - Usage to show instead of the one built from args
+   * @param {Function} command.run - Called with the context {game, player, reply} and
+   *   the arguments by name; returns a reason the command failed, or nothing
+   */
+  register(command) {
+    const entry = { permission: 'player', aliases: [], args: [], ...command };
+    for (const name of [entry.name, ...entry.aliases]) {
+      this.commands.set(name, entry);
+    }
+  }
+
+  /**
+   * @param {Object} command - Registered command
+   * @returns {string} How to type it, e.g. "/spawn <monster> [count]"
+   */
+  getUsage(command) {
+    const args = command.usage || command.args
+      .map(arg => arg.optional ? `[${arg.name}]` : `<${arg.name}>`)
+      .join(' ');
+    return `/${command.name}${args ? ` ${args}` : ''}`;
+  }
+
+  /**
+   * @param {Object} player - Player object
+   * @param {Object} command - Registered command
+   * @returns {boolean} Whether the player's permission level allows the command
+   */
+  canRun(player, command) {
+    const level = player.isAdmin ? 'admin' : 'player';
+    return PERMISSION_LEVELS.indexOf(level) >= PERMISSION_LEVELS.indexOf(command.permission);
+  }
+
+  /**
+   * @param {Object} player - Player object
+   * @returns {Array} Commands the player can run, each listed once
+   */
+  list(player) {
+    return [...new Set(this.commands.values())].filter(command => this.canRun(player, command));
+  }
+
+  /**
+   * @param {Object} player - Player object
+   * @param {string} name - Command name or alias, with or without the slash
+   * @returns {Object|null} The command, if the player can run it
+   */
+  find(player, name) {
+    const command = this.commands.get(name.replace(/^\//, '').toLowerCase());
+    return command && this.canRun(player, command) ? command : null;
+  }
+
+  /**
+   * Parse and run a command typed by a player. Replies go to the player's
+   * chat box as system messages.
+   * @param {Object} game - World the player is in
+   * @param {Object} player - Player who typed it
+   * @param {*} line - Text typed, starting with a slash
+   * @returns {string|null} Why the command didn't run, or null if it did
+   */
+  execute(game, player, line) {
+    if (typeof line !== 'string' || !line.startsWith('/')) {
+      return 'Commands start with a slash.';
+    }
+
+    const [name, ...tokens] = line.slice(1).trim().split(/\s+/);
+    const command = this.find(player, name);
+    if (!command) {
+      return `Unknown command /${name}. Type /help for a list.`;
+    }
+
+    const args = this.parseArgs(command, tokens);
+    if (!args) {
+      return `Usage: ${this.getUsage(command)}`;
+    }
+
+    const reply = (text) => game.sendToPlayer(player.id, 'chatMessage', { channel: 'system', text });
+    return command.run({ game, player, reply }, args) || null;
+  }
+
+  /**
+   * Match typed words to a command's arguments
+   * @param {Object} command - Registered command
+   * @param {Array} tokens - Words typed after the command name
+   * @returns {Object|null} Arguments by name, or null if they don't fit
+   */
+  parseArgs(command, tokens) {
+    const args = {};
+    for (let i = 0; i < command.args.length; i++) {
+      const arg = command.args[i];
+      if (i >= tokens.length || tokens[i] === '') {
+        if (arg.optional) return args;
+        return null;
+      }
+
+      if (arg.type === 'text') {
+        args[arg.name] = tokens.slice(i).join(' ');
+        return args;
+      }
+
+      const value = arg.type === 'integer' || arg.type === 'number' ? Number(tokens[i]) : tokens[i];
+      if ((arg.type === 'integer' && !Number.isInteger(value)) ||
+          (arg.type === 'number' && !Number.isFinite(value))) {
+        return null;
+      }
+      args[arg.name] = value;
+    }
+
+    // Extra words are a typo rather than something to ignore
+    return tokens.length > command.args.length ? null : args;
+  }
+}
+
+module.exports = CommandRegistry;
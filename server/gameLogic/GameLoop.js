@@ -0,0 +1,78 @@
+const { performance } = require('perf_hooks');
+
+/**
+ * Fixed-timestep game loop.
+ * Real elapsed time is collected in an accumulator and consumed in
+ * fixed-size simulation steps, so the game runs at the same speed even
+ * when the timer fires late. After a stall the loop runs several steps
+ * in a row to catch up, up to maxCatchUpTicks per timer callback.
+ */
+class GameLoop {
+  /**
+   * Create a new game loop
+   * @param {Object} options - Loop options
+   * @param {number} options.tickRate - Simulation steps per second
+   * @param {number} options.maxCatchUpTicks - Max steps run in one timer callback
+   * @param {Function} options.onTick - Called once per step with deltaTime in ms
+   * @param {Function} options.onAfterTicks - Called once after the steps of a callback
+   */
+  constructor({ tickRate, maxCatchUpTicks, onTick, onAfterTicks }) {
+    this.tickRate = tickRate;
+    this.tickInterval = 1000 / tickRate;
+    this.maxCatchUpTicks = maxCatchUpTicks;
+    this.onTick = onTick;
+    this.onAfterTicks = onAfterTicks || (() => {});
+
+    this.accumulator = 0;
+    this.lastTime = 0;
+    this.timer = null;
+  }
+
+  /**
+   * Start running the loop
+   */
+  start() {
+    if (this.timer) return;
+
+    this.accumulator = 0;
+    this.lastTime = performance.now();
+    this.timer = setInterval(() => this.run(), this.tickInterval);
+  }
+
+  /**
+   * Stop running the loop
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Consume elapsed time in fixed steps
+   */
+  run() {
+    const now = performance.now();
+    this.accumulator += now - this.lastTime;
+    this.lastTime = now;
+
+    let steps = 0;
+    while (this.accumulator >= this.tickInterval && steps < this.maxCatchUpTicks) {
+      this.onTick(this.tickInterval);
+      this.accumulator -= this.tickInterval;
+      steps++;
+    }
+
+    // Drop time we can't catch up on instead of spiralling further behind
+    if (this.accumulator >= this.tickInterval) {
+      const droppedTicks = Math.floor(this.accumulator / this.tickInterval);
+      console.log(`Game loop is behind, skipping ${droppedTicks} ticks`);
+      this.accumulator %= this.tickInterval;
+    }
+
+    if (steps > 0) {
+      this.onAfterTicks();
+    }
+  }
+}
+
+module.exports = GameLoop;
@@ -1,26 +1,30 @@
 const { v4: uuidv4 } = require('uuid');
-const Player = require('./entities/Player');
-const Monster = require('./entities/Monster');
+const BaseWorld = require('./BaseWorld');
 const Boss = require('./entities/Boss');
 const Item = require('./items/Item');
 const WorldGenerator = require('./WorldGenerator');
+const { getContent } = require('./content');
+const { restoreWorld } = require('./worldSnapshot');
 
-class GameWorld {
-  constructor(id) {
-    this.id = id;
-    this.players = new Map(); // Map of player objects by socket ID
-    this.monsters = new Map(); // Map of monster objects by UUID
-    this.items = new Map(); // Map of dropped items by UUID
-    this.bosses = new Map(); // Map of boss objects by UUID
-    
-    // World properties
-    this.width = 4000;
-    this.height = 4000;
-    this.biomes = []; // Will be populated by WorldGenerator
-    
-    // Initialize the world
-    this.worldGenerator = new WorldGenerator(this.width, this.height);
-    this.generateWorld();
+class GameWorld extends BaseWorld {
+  /**
+   * @param {string} id - Unique world ID
+   * @param {Object} [options]
+   * @param {string} [options.seed] - World seed; the same seed generates the same layout
+   * @param {Object} [options.snapshot] - Saved state to restore instead of generating a new world
+   */
+  constructor(id, { seed, snapshot = null } = {}) {
+    super(id, 'full', seed);
+    
+    // Initialize the world, or reload one saved at shutdown
+    this.worldGenerator = new WorldGenerator(this.width, this.height, this.random.generation);
+    if (snapshot) {
+      restoreWorld(this, snapshot);
+    } else {
+      this.generateWorld();
+      // The exit schedule is part of the layout, so the same seed gives the same one
+      this.raid.scheduleExits(this.exits, this.random.generation);
+    }
     
     // Game timers
     this.lastBossSpawnCheck = Date.now();
@@ -44,21 +48,14 @@ class GameWorld {
       const monsterCount = biome.getMonsterSpawnCount();
       
       for (let i = 0; i < monsterCount; i++) {
-        const monsterType = biome.getRandomMonsterType();
-        const position = biome.getRandomPosition();
+        const monsterType = biome.getRandomMonsterType(this.random.generation);
+        const position = biome.getRandomPosition(this.random.generation);
         
-        this.spawnMonster(monsterType, position);
+        this.spawnMonster(monsterType, position, this.random.generation);
       }
     }
   }
   
-  spawnMonster(type, position) {
-    const monsterId = uuidv4();
-    const monster = new Monster(monsterId, type, position);
-    this.monsters.set(monsterId, monster);
-    return monster;
-  }
-  
   checkBossSpawn() {
     const now = Date.now();
     
@@ -67,19 +64,24 @@ class GameWorld {
       this.lastBossSpawnCheck = now;
       
       // Roll for boss spawn
-      if (Math.random() < this.bossSpawnChance) {
+      if (this.random.ai.next() < this.bossSpawnChance) {
         this.spawnBoss();
       }
     }
   }
   
   spawnBoss() {
+    // Bosses can only spawn at landmarks
+    if (this.landmarks.length === 0) {
+      return null;
+    }
+    
     // Get a random landmark for boss spawn
-    const landmark = this.landmarks[Math.floor(Math.random() * this.landmarks.length)];
+    const landmark = this.landmarks[Math.floor(this.random.ai.next() * this.landmarks.length)];
     const bossId = uuidv4();
     const bossType = this.getBossTypeForLandmark(landmark);
     
-    const boss = new Boss(bossId, bossType, landmark.position);
+    const boss = new Boss(bossId, bossType, landmark.position, this.random.ai);
     this.bosses.set(bossId, boss);
     
     // Broadcast boss spawn to all players
@@ -95,76 +97,38 @@ class GameWorld {
   }
   
   getBossTypeForLandmark(landmark) {
-    // This would have more logic based on landmark type
-    const bossTypes = ['dragon', 'lich', 'giant', 'demon'];
-    return bossTypes[Math.floor(Math.random() * bossTypes.length)];
-  }
-  
-  addPlayer(socketId, playerData) {
-    // Find a spawn point
-    const spawnPoint = this.getRandomSpawnPoint();
-    
-    // Create new player
-    const player = new Player(
-      socketId, 
-      playerData.name, 
-      playerData.characterClass,
-      spawnPoint
-    );
-    
-    this.players.set(socketId, player);
-    return player;
-  }
-  
-  removePlayer(socketId) {
-    const player = this.players.get(socketId);
-    
-    if (player) {
-      // Drop player's items on death if they have any
-      this.dropPlayerItems(player);
-      this.players.delete(socketId);
-    }
-  }
-  
-  dropPlayerItems(player) {
-    if (!player.equipment) return;
-    
-    // Create dropped items from player's equipment
-    for (const [slot, item] of Object.entries(player.equipment)) {
-      if (item) {
-        const droppedItemId = uuidv4();
-        const droppedItem = new Item(
-          droppedItemId,
-          item.type,
-          item.rarity,
-          item.stats,
-          player.position
-        );
-        
-        this.items.set(droppedItemId, droppedItem);
-      }
-    }
+    // Any boss in the content files; 'default' only fills in for unknown types
+    const bossTypes = Object.keys(getContent().bosses).filter(type => type !== 'default');
+    if (bossTypes.length === 0) return 'default';
+    return bossTypes[Math.floor(this.random.ai.next() * bossTypes.length)];
   }
   
   getRandomSpawnPoint() {
     // For now, just a random position away from edges
     return {
-      x: 100 + Math.random() * (this.width - 200),
-      y: 100 + Math.random() * (this.height - 200)
+      x: 100 + this.random.ai.next() * (this.width - 200),
+      y: 100 + this.random.ai.next() * (this.height - 200)
     };
   }
   
-  update() {
+  update(deltaTime) {
     // Update all entities
-    this.updateMonsters();
-    this.updateBosses();
+    this.updatePlayers(deltaTime);
+    this.updateProjectiles();
+    this.updateMonsters(deltaTime);
+    this.updateBosses(deltaTime);
     this.checkBossSpawn();
     this.checkCollisions();
+    this.updateCorpses();
+    this.raid.update(this, deltaTime);
+    
+    // Remember positions for lag compensation
+    this.lagCompensator.record(this);
   }
   
-  updateMonsters() {
+  updateMonsters(deltaTime) {
     for (const monster of this.monsters.values()) {
-      monster.update(this);
+      monster.update(this, deltaTime);
       
       // Respawn monsters if needed
       if (monster.isDead() && monster.canRespawn()) {
@@ -172,17 +136,17 @@ class GameWorld {
         
         // Find a biome to spawn in
         const biome = this.getRandomBiome();
-        const monsterType = biome.getRandomMonsterType();
-        const position = biome.getRandomPosition();
+        const monsterType = biome.getRandomMonsterType(this.random.ai);
+        const position = biome.getRandomPosition(this.random.ai);
         
         this.spawnMonster(monsterType, position);
       }
     }
   }
   
-  updateBosses() {
+  updateBosses(deltaTime) {
     for (const boss of this.bosses.values()) {
-      boss.update(this);
+      boss.update(this, deltaTime);
       
       // Remove dead bosses
       if (boss.isDead()) {
@@ -194,28 +158,10 @@ class GameWorld {
   checkCollisions() {
     // Check player-monster collisions (attacks)
     for (const player of this.players.values()) {
-      // Only check for active attacks
+      // Only check for active attacks, against targets as the player saw them
       if (player.isAttacking) {
-        // Check against monsters
-        for (const monster of this.monsters.values()) {
-          if (this.checkAttackCollision(player, monster)) {
-            this.handleCombat(player, monster);
-          }
-        }
-        
-        // Check against bosses
-        for (const boss of this.bosses.values()) {
-          if (this.checkAttackCollision(player, boss)) {
-            this.handleCombat(player, boss);
-          }
-        }
-        
-        // Check against other players (PVP)
-        for (const otherPlayer of this.players.values()) {
-          if (player.id !== otherPlayer.id && this.checkAttackCollision(player, otherPlayer)) {
-            this.handlePvpCombat(player, otherPlayer);
-          }
-        }
+        const hits = this.findMeleeHits(player, player.getAttackRange(), player.attackRewind);
+        hits.forEach(target => this.applyMeleeHit(player, target));
       }
       
       // Check item pickups
@@ -313,7 +259,7 @@ class GameWorld {
     const damage = this.calculateDamage(attacker, target);
     
     // Apply damage to target
-    target.takeDamage(damage);
+    target.takeDamage(damage, this.random.ai);
     
     // Send combat event to clients
     this.broadcastMessage('combatEvent', {
@@ -330,6 +276,23 @@ class GameWorld {
     }
   }
   
+  getMeleeTargets(attacker) {
+    // Other players can be hit too (PVP)
+    const otherPlayers = [...this.players.values()].filter(player => {
+      return player.id !== attacker.id && !player.isDead();
+    });
+    
+    return [...super.getMeleeTargets(attacker), ...otherPlayers];
+  }
+  
+  applyMeleeHit(attacker, target) {
+    if (target.entityType === 'player') {
+      this.handlePvpCombat(attacker, target);
+    } else {
+      this.handleCombat(attacker, target);
+    }
+  }
+  
   handlePvpCombat(attacker, target) {
     // Only allow PVP outside safe zones
     if (this.isInSafeZone(target.position)) {
@@ -339,22 +302,6 @@ class GameWorld {
     this.handleCombat(attacker, target);
   }
   
-  isInSafeZone(position) {
-    // Check if position is near any exit (safe zone)
-    for (const exit of this.exits) {
-      const distance = Math.sqrt(
-        Math.pow(position.x - exit.position.x, 2) + 
-        Math.pow(position.y - exit.position.y, 2)
-      );
-      
-      if (distance < exit.safeZoneRadius) {
-        return true;
-      }
-    }
-    
-    return false;
-  }
-  
   calculateDamage(attacker, target) {
     // Base damage calculation from spec:
     // Base Damage (weapon) + Primary Stat (Strength/Intelligence/Dexterity) × Modifier - Enemy Defense
@@ -370,19 +317,20 @@ class GameWorld {
   }
   
   handleKill(attacker, target) {
-    // Handle player killing a monster or boss
-    if (attacker.type === 'player') {
-      if (target.type === 'monster') {
+    // Handle player killing a monster, boss or another player
+    if (attacker.entityType === 'player') {
+      if (target.entityType === 'monster') {
         this.handleMonsterKill(attacker, target);
-      } else if (target.type === 'boss') {
+      } else if (target.entityType === 'boss') {
         this.handleBossKill(attacker, target);
-      } else if (target.type === 'player') {
+      } else if (target.entityType === 'player') {
         this.handlePlayerKill(attacker, target);
       }
+      return;
     }
     
     // Handle monster or boss killing a player
-    if (target.type === 'player') {
+    if (target.entityType === 'player') {
       this.handlePlayerDeath(target);
     }
   }
@@ -393,7 +341,7 @@ class GameWorld {
     player.addXp(xpGained);
     
     // Generate loot
-    const loot = monster.generateLoot();
+    const loot = monster.generateLoot(this.random.loot);
     if (loot) {
       const itemId = uuidv4();
       const droppedItem = new Item(
@@ -401,8 +349,10 @@ class GameWorld {
         loot.type,
         loot.rarity,
         loot.stats,
-        monster.position
+        monster.position,
+        this.random.loot
       );
+      this.claimLoot(droppedItem, player);
       
       this.items.set(itemId, droppedItem);
     }
@@ -421,7 +371,7 @@ class GameWorld {
     player.addXp(xpGained);
     
     // Generate guaranteed loot (rare+)
-    const loot = boss.generateLoot();
+    const loot = boss.generateLoot(this.random.loot);
     
     // Create the dropped items
     for (const lootItem of loot) {
@@ -431,8 +381,10 @@ class GameWorld {
         lootItem.type,
         lootItem.rarity,
         lootItem.stats,
-        boss.position
+        boss.position,
+        this.random.loot
       );
+      this.claimLoot(droppedItem, player);
       
       this.items.set(itemId, droppedItem);
     }
@@ -460,17 +412,17 @@ class GameWorld {
       killerName: killer.name
     });
     
-    // Handle victim death (drop items)
-    this.handlePlayerDeath(victim);
+    // Handle victim death (leaves a corpse the killer can loot)
+    this.handlePlayerDeath(victim, killer);
   }
   
-  handlePlayerDeath(player) {
-    // Drop all equipped items
-    this.dropPlayerItems(player);
+  handlePlayerDeath(player, killer = null) {
+    // Leave everything carried in a corpse
+    this.dropPlayerItems(player, killer);
     
     // Respawn player at a spawn point
     const spawnPoint = this.getRandomSpawnPoint();
-    player.position = spawnPoint;
+    player.teleport(spawnPoint);
     player.health = player.getMaxHealth();
     
     // Notify the player
@@ -486,40 +438,20 @@ class GameWorld {
       Math.pow(player.position.x - item.position.x, 2) + 
       Math.pow(player.position.y - item.position.y, 2)
     );
+    if (distance > pickupRange) {
+      return false;
+    }
     
-    return distance <= pickupRange;
-  }
-  
-  getRandomBiome() {
-    return this.biomes[Math.floor(Math.random() * this.biomes.length)];
-  }
-  
-  broadcastState(io) {
-    // Prepare game state for clients
-    const gameState = this.getGameState();
-    
-    // Send game state to all players in this game
-    for (const playerId of this.players.keys()) {
-      io.to(playerId).emit('gameState', gameState);
+    // Loot earned by other players is theirs until ownership runs out
+    if (!item.isOwnedBy(player)) {
+      this.refusePickup(player, item);
+      return false;
     }
+    return true;
   }
   
-  getGameState() {
-    // Prepare a serialized game state to send to clients
-    return {
-      players: Array.from(this.players.values()).map(player => player.serialize()),
-      monsters: Array.from(this.monsters.values()).map(monster => monster.serialize()),
-      bosses: Array.from(this.bosses.values()).map(boss => boss.serialize()),
-      items: Array.from(this.items.values()).map(item => item.serialize())
-    };
-  }
-  
-  broadcastMessage(event, data) {
-    // To be implemented with Socket.IO
-  }
-  
-  sendToPlayer(playerId, event, data) {
-    // To be implemented with Socket.IO
+  getRandomBiome() {
+    return this.biomes[Math.floor(this.random.ai.next() * this.biomes.length)];
   }
 }
 
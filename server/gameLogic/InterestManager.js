@@ -0,0 +1,153 @@
+const SERVER_CONFIG = require('../config');
+
+// Entity collections filtered by area of interest
+const INTEREST_CATEGORIES = ['players', 'monsters', 'bosses', 'items', 'corpses'];
+
+/**
+ * Spatial area-of-interest manager.
+ * Entities are bucketed into a uniform grid once per broadcast, and each
+ * player only sees entities inside its viewport grown by INTEREST_RADIUS.
+ * Tracks what every player saw last broadcast to report entities
+ * entering and leaving that area.
+ */
+class InterestManager {
+  constructor() {
+    this.cellSize = SERVER_CONFIG.INTEREST_CELL_SIZE;
+    this.grid = new Map(); // Entity refs by "cellX,cellY"
+    this.viewports = new Map(); // Viewport size by player ID
+    this.lastVisible = new Map(); // Visible IDs by player ID
+  }
+
+  /**
+   * Rebuild the spatial grid from the world's entities
+   * @param {Object} world - World to index
+   */
+  rebuild(world) {
+    this.grid.clear();
+
+    for (const category of INTEREST_CATEGORIES) {
+      for (const [id, entity] of world[category].entries()) {
+        const key = this.getCellKey(
+          Math.floor(entity.position.x / this.cellSize),
+          Math.floor(entity.position.y / this.cellSize)
+        );
+
+        if (!this.grid.has(key)) {
+          this.grid.set(key, []);
+        }
+        this.grid.get(key).push({ category, id, position: entity.position });
+      }
+    }
+  }
+
+  /**
+   * Get the IDs of entities a player can see
+   * @param {Object} player - Player object
+   * @returns {Object} Sets of visible IDs by category
+   */
+  getVisible(player) {
+    const viewport = this.viewports.get(player.id) || {
+      width: SERVER_CONFIG.DEFAULT_VIEWPORT_WIDTH,
+      height: SERVER_CONFIG.DEFAULT_VIEWPORT_HEIGHT
+    };
+
+    // Viewport centred on the player, grown by the interest radius
+    const halfWidth = viewport.width / 2 + SERVER_CONFIG.INTEREST_RADIUS;
+    const halfHeight = viewport.height / 2 + SERVER_CONFIG.INTEREST_RADIUS;
+    const minX = player.position.x - halfWidth;
+    const maxX = player.position.x + halfWidth;
+    const minY = player.position.y - halfHeight;
+    const maxY = player.position.y + halfHeight;
+
+    const visible = {};
+    for (const category of INTEREST_CATEGORIES) {
+      visible[category] = new Set();
+    }
+
+    // Players always see themselves
+    visible.players.add(player.id);
+
+    for (let cellX = Math.floor(minX / this.cellSize); cellX <= Math.floor(maxX / this.cellSize); cellX++) {
+      for (let cellY = Math.floor(minY / this.cellSize); cellY <= Math.floor(maxY / this.cellSize); cellY++) {
+        const cell = this.grid.get(this.getCellKey(cellX, cellY));
+        if (!cell) continue;
+
+        for (const ref of cell) {
+          if (ref.position.x >= minX && ref.position.x <= maxX &&
+              ref.position.y >= minY && ref.position.y <= maxY) {
+            visible[ref.category].add(ref.id);
+          }
+        }
+      }
+    }
+
+    return visible;
+  }
+
+  /**
+   * Store a player's visible set and work out what entered and left
+   * @param {string} playerId - Player ID
+   * @param {Object} visible - Sets of visible IDs by category
+   * @returns {Object} {entered, left} with ID arrays by category, or null if nothing changed
+   */
+  updateVisible(playerId, visible) {
+    const previous = this.lastVisible.get(playerId);
+    this.lastVisible.set(playerId, visible);
+
+    const entered = {};
+    const left = {};
+    let changed = false;
+
+    for (const category of INTEREST_CATEGORIES) {
+      const before = previous ? previous[category] : new Set();
+      const enteredIds = [...visible[category]].filter(id => !before.has(id));
+      const leftIds = [...before].filter(id => !visible[category].has(id));
+
+      if (enteredIds.length > 0) {
+        entered[category] = enteredIds;
+        changed = true;
+      }
+      if (leftIds.length > 0) {
+        left[category] = leftIds;
+        changed = true;
+      }
+    }
+
+    return changed ? { entered, left } : null;
+  }
+
+  /**
+   * Set the viewport size reported by a client
+   * @param {string} playerId - Player ID
+   * @param {number} width - Viewport width in px
+   * @param {number} height - Viewport height in px
+   */
+  setViewport(playerId, width, height) {
+    if (!Number.isFinite(width) || !Number.isFinite(height)) return;
+
+    // Clamp so clients can't widen their view by lying about screen size
+    this.viewports.set(playerId, {
+      width: Math.max(0, Math.min(SERVER_CONFIG.MAX_VIEWPORT_WIDTH, width)),
+      height: Math.max(0, Math.min(SERVER_CONFIG.MAX_VIEWPORT_HEIGHT, height))
+    });
+  }
+
+  /**
+   * Remove all state for a player
+   * @param {string} playerId - Player ID
+   */
+  removeClient(playerId) {
+    this.viewports.delete(playerId);
+    this.lastVisible.delete(playerId);
+  }
+
+  /**
+   * Build the grid key for a cell
+   * @returns {string} Cell key
+   */
+  getCellKey(cellX, cellY) {
+    return `${cellX},${cellY}`;
+  }
+}
+
+module.exports = InterestManager;
@@ -0,0 +1,132 @@
+const SERVER_CONFIG = require('../config');
+
+// Entity collections whose positions are recorded for rewinding
+const REWIND_CATEGORIES = ['players', 'monsters', 'bosses'];
+
+/**
+ * Lag compensation for hit detection.
+ * Keeps a short history of entity positions so attacks can be resolved
+ * against where targets were on the attacker's screen. Clients send the
+ * server time they were viewing when they attacked; how far back we
+ * rewind is capped at MAX_REWIND_MS so high-ping players can't reach
+ * too far into the past.
+ */
+class LagCompensator {
+  constructor() {
+    this.history = new Map(); // [{time, x, y}] by entity ID, oldest first
+  }
+
+  /**
+   * Record the current position of every entity
+   * @param {Object} world - World to record
+   */
+  record(world) {
+    const now = Date.now();
+    const cutoff = now - SERVER_CONFIG.MAX_REWIND_MS - 100;
+
+    for (const category of REWIND_CATEGORIES) {
+      for (const [id, entity] of world[category].entries()) {
+        if (!this.history.has(id)) {
+          this.history.set(id, []);
+        }
+        this.history.get(id).push({ time: now, x: entity.position.x, y: entity.position.y });
+      }
+    }
+
+    // Drop old samples, and entities that stopped being recorded
+    for (const [id, samples] of this.history.entries()) {
+      while (samples.length > 0 && samples[0].time < cutoff) {
+        samples.shift();
+      }
+      if (samples.length === 0) {
+        this.history.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Work out how far to rewind for an attack
+   * @param {number} viewTime - Server time the client was rendering when it attacked
+   * @returns {number} Rewind amount in ms, between 0 and MAX_REWIND_MS
+   */
+  getRewindAmount(viewTime) {
+    if (!Number.isFinite(viewTime)) return 0;
+
+    const rewind = Date.now() - viewTime;
+    return Math.max(0, Math.min(SERVER_CONFIG.MAX_REWIND_MS, rewind));
+  }
+
+  /**
+   * Get an entity's recorded position at a past time
+   * @param {string} id - Entity ID
+   * @param {number} time - Server time
+   * @returns {Object|null} Position {x, y}, or null if not recorded
+   */
+  getPositionAt(id, time) {
+    const samples = this.history.get(id);
+    if (!samples || samples.length === 0) return null;
+
+    // Before the oldest sample: use the oldest
+    if (time <= samples[0].time) {
+      return { x: samples[0].x, y: samples[0].y };
+    }
+
+    // Interpolate between the samples around the requested time
+    for (let i = samples.length - 1; i >= 0; i--) {
+      const from = samples[i];
+      if (from.time <= time) {
+        const to = samples[i + 1];
+        if (!to) {
+          return { x: from.x, y: from.y };
+        }
+
+        const t = (time - from.time) / (to.time - from.time);
+        return {
+          x: from.x + (to.x - from.x) * t,
+          y: from.y + (to.y - from.y) * t
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Run a hit check with targets moved back in time.
+   * Positions are restored afterwards, even if the check throws, so the
+   * check should only find hits and leave applying damage to the caller.
+   * @param {Array} targets - Entities to rewind
+   * @param {number} rewindAmount - How far back to move them, in ms
+   * @param {Function} check - Hit check to run while rewound
+   * @returns {*} Whatever the check returns
+   */
+  withRewind(targets, rewindAmount, check) {
+    if (!rewindAmount) {
+      return check();
+    }
+
+    const time = Date.now() - rewindAmount;
+    const saved = [];
+
+    for (const target of targets) {
+      const pastPosition = this.getPositionAt(target.id, time);
+      if (pastPosition) {
+        saved.push({ target, position: target.position, pastPosition });
+        target.position = pastPosition;
+      }
+    }
+
+    try {
+      return check();
+    } finally {
+      for (const { target, position, pastPosition } of saved) {
+        // Leave alone anything the check moved on purpose
+        if (target.position === pastPosition) {
+          target.position = position;
+        }
+      }
+    }
+  }
+}
+
+module.exports = LagCompensator;
@@ -0,0 +1,322 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { v4: uuidv4 } = require('uuid');
+const SERVER_CONFIG = require('../config');
+const metrics = require('../metrics');
+const { createWorld } = require('./worldFactory');
+const { snapshotWorld } = require('./worldSnapshot');
+const ReplayRecorder = require('./ReplayRecorder');
+
+// Hashing off the main thread keeps password checks from stalling the game loop
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * Running game worlds.
+ * Public worlds are filled automatically by quick join; named worlds can
+ * be created from the lobby, optionally with a password, and joined by ID.
+ */
+class Lobby {
+  /**
+   * Create the lobby
+   * @param {Object} io - Socket.IO server attached to new worlds
+   */
+  constructor(io) {
+    this.io = io;
+    this.games = new Map(); // Map of game worlds by ID
+    this.passwords = new Map(); // {salt, hash} of private worlds by ID
+  }
+
+  /**
+   * Create a new world
+   * @param {Object} options - World options
+   * @param {string} options.mode - World mode name
+   * @param {string} [options.name] - Name shown in the world list
+   * @param {string} [options.password] - Password needed to join
+   * @param {string} [options.seed] - World seed, to replay a known layout
+   * @returns {Promise<Object|null>} The new world, or null if MAX_WORLDS are already running
+   */
+  async createGame({ mode = SERVER_CONFIG.WORLD_MODE, name, password, seed } = {}) {
+    // Hash before checking capacity, so the check still holds when the world is added
+    let stored = null;
+    if (password) {
+      const salt = crypto.randomBytes(16);
+      stored = { salt, hash: await scrypt(password, salt, 32) };
+    }
+
+    if (this.isAtCapacity()) {
+      console.log(`Refused to create a ${mode} world: ${this.games.size} worlds are already running`);
+      return null;
+    }
+
+    const gameId = uuidv4();
+    const game = createWorld(mode, gameId, { seed });
+    game.name = name || `World ${gameId.slice(0, 8)}`;
+    game.attachIo(this.io);
+    this.startRecording(game);
+    this.games.set(gameId, game);
+    if (stored) {
+      this.passwords.set(gameId, stored);
+    }
+
+    console.log(`Created new ${mode} game world "${game.name}" with ID: ${gameId}, seed: ${game.seed}`);
+    return game;
+  }
+
+  /**
+   * Save every world, e.g. at shutdown
+   * @returns {Array} Saved worlds
+   */
+  snapshotGames() {
+    return [...this.games.values()].map(game => {
+      const password = this.passwords.get(game.id);
+      return {
+        ...snapshotWorld(game),
+        password: password
+          ? { salt: password.salt.toString('hex'), hash: password.hash.toString('hex') }
+          : null
+      };
+    });
+  }
+
+  /**
+   * Bring back worlds saved by snapshotGames
+   * @param {Array} saved - Saved worlds
+   */
+  restoreGames(saved) {
+    for (const data of saved) {
+      // MAX_WORLDS may have been lowered since the worlds were saved
+      if (this.isAtCapacity()) {
+        console.log(`Not restoring game world "${data.name}": ${this.games.size} worlds are already running`);
+        continue;
+      }
+
+      const game = createWorld(data.mode, data.id, { snapshot: data });
+      game.attachIo(this.io);
+      this.startRecording(game);
+      this.games.set(game.id, game);
+
+      if (data.password) {
+        this.passwords.set(game.id, {
+          salt: Buffer.from(data.password.salt, 'hex'),
+          hash: Buffer.from(data.password.hash, 'hex')
+        });
+      }
+
+      console.log(`Restored ${data.mode} game world "${game.name}" with ${game.players.size} players`);
+    }
+  }
+
+  /**
+   * Record a world to REPLAY_DIR, if replay recording is enabled
+   * @param {Object} game - World to record
+   */
+  startRecording(game) {
+    if (SERVER_CONFIG.REPLAY_DIR) {
+      game.replay = new ReplayRecorder(game, SERVER_CONFIG.REPLAY_DIR);
+    }
+  }
+
+  /**
+   * Finish every world's replay file, e.g. at shutdown
+   * @returns {Promise} Resolves once all replays are written
+   */
+  closeReplays() {
+    const games = [...this.games.values()].filter(game => game.replay);
+    return Promise.all(games.map(game => game.replay.close()));
+  }
+
+  /**
+   * Find a public world with space, creating one if they're all full
+   * @param {string} mode - World mode name
+   * @returns {Promise<Object|null>} World to join, or null if they're all full and no more can be created
+   */
+  async findOrCreateGame(mode = SERVER_CONFIG.WORLD_MODE) {
+    for (const game of this.games.values()) {
+      if (game.mode === mode && !this.isPrivate(game.id) && !this.isFull(game) && !this.isEnding(game)) {
+        return game;
+      }
+    }
+
+    return this.createGame({ mode });
+  }
+
+  /**
+   * Get a world by ID
+   * @param {string} gameId - World ID
+   * @returns {Object|undefined} The world
+   */
+  getGame(gameId) {
+    return this.games.get(gameId);
+  }
+
+  /**
+   * Find where an account character is playing
+   * @param {string} characterId - Character ID
+   * @returns {Object|null} {game, player}, or null if it isn't in a world
+   */
+  findCharacter(characterId) {
+    for (const game of this.games.values()) {
+      for (const player of game.players.values()) {
+        if (player.characterId === characterId) {
+          return { game, player };
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Content types that something in a world depends on, so a content
+   * reload can't remove them
+   * @returns {Object} Sets of types by content file {classes, monsters, bosses}
+   */
+  getContentInUse() {
+    const inUse = { classes: new Set(), monsters: new Set(), bosses: new Set() };
+    for (const game of this.games.values()) {
+      game.players.forEach(player => inUse.classes.add(player.characterClass));
+      game.monsters.forEach(monster => inUse.monsters.add(monster.type));
+      game.bosses.forEach(boss => inUse.bosses.add(boss.type));
+    }
+    return inUse;
+  }
+
+  /**
+   * Remove a world
+   * @param {string} gameId - World ID
+   */
+  removeGame(gameId) {
+    const game = this.games.get(gameId);
+    if (game && game.replay) {
+      game.replay.close();
+    }
+
+    // Spectators may still be watching
+    this.io.to(gameId).emit('worldClosed', { message: 'The world you were watching has closed.' });
+    this.games.delete(gameId);
+    this.passwords.delete(gameId);
+    metrics.removeLabelValue('world', gameId);
+    console.log(`Removed empty game: ${gameId}`);
+  }
+
+  /**
+   * Remove worlds that were created but nobody joined
+   */
+  removeIdleGames() {
+    for (const game of this.games.values()) {
+      if (game.players.size === 0 && Date.now() - game.createdAt > SERVER_CONFIG.EMPTY_WORLD_TIMEOUT_MS) {
+        this.removeGame(game.id);
+      }
+    }
+  }
+
+  /**
+   * Check whether a player may join a world, apart from its password
+   * @param {Object} game - World to join
+   * @returns {string|null} Reason the join is refused, or null if allowed
+   */
+  checkJoin(game) {
+    if (this.isFull(game)) {
+      return 'That world is full.';
+    }
+    if (this.isEnding(game)) {
+      return 'The raid in that world is nearly over.';
+    }
+    return null;
+  }
+
+  /**
+   * Check whether a client may spectate a world, apart from its password
+   * @param {Object} game - World to watch
+   * @returns {string|null} Reason spectating is refused, or null if allowed
+   */
+  checkSpectate(game) {
+    if (game.spectators.size >= SERVER_CONFIG.MAX_SPECTATORS_PER_GAME) {
+      return 'That world has too many spectators.';
+    }
+    return null;
+  }
+
+  /**
+   * Check the password of a private world
+   * @param {Object} game - World
+   * @param {string} password - Password given by the client
+   * @returns {Promise<string|null>} Reason the password is refused, or null if allowed
+   */
+  async checkPassword(game, password) {
+    const stored = this.passwords.get(game.id);
+    if (stored) {
+      if (typeof password !== 'string' || password.length === 0) {
+        return 'That world is private. A password is required.';
+      }
+      const hash = await scrypt(password, stored.salt, 32);
+      if (!crypto.timingSafeEqual(hash, stored.hash)) {
+        return 'Wrong password.';
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * @param {string} gameId - World ID
+   * @returns {boolean} Whether the world needs a password
+   */
+  isPrivate(gameId) {
+    return this.passwords.has(gameId);
+  }
+
+  /**
+   * @returns {boolean} Whether MAX_WORLDS are running, so no more can be created
+   */
+  isAtCapacity() {
+    return this.games.size >= SERVER_CONFIG.MAX_WORLDS;
+  }
+
+  /**
+   * @param {Object} game - World
+   * @returns {boolean} Whether the world has no space left
+   */
+  isFull(game) {
+    return game.players.size >= SERVER_CONFIG.MAX_PLAYERS_PER_GAME;
+  }
+
+  /**
+   * @param {Object} game - World
+   * @returns {boolean} Whether the raid is too close to its end for new players
+   */
+  isEnding(game) {
+    // Short raids, e.g. while testing, stay joinable for their first half
+    const cutoff = Math.min(SERVER_CONFIG.RAID_JOIN_CUTOFF_MS, game.raid.duration / 2);
+    return game.raid.getRemaining() < cutoff;
+  }
+
+  /**
+   * Describe a world for the world list
+   * @param {Object} game - World
+   * @returns {Object} Public world info
+   */
+  describeGame(game) {
+    return {
+      id: game.id,
+      name: game.name,
+      mode: game.mode,
+      seed: game.seed,
+      players: game.players.size,
+      maxPlayers: SERVER_CONFIG.MAX_PLAYERS_PER_GAME,
+      spectators: game.spectators.size,
+      age: Date.now() - game.createdAt,
+      raidRemaining: game.raid.getRemaining(),
+      isPrivate: this.isPrivate(game.id)
+    };
+  }
+
+  /**
+   * List every running world
+   * @returns {Array} Public world info, oldest first
+   */
+  listGames() {
+    return [...this.games.values()].map(game => this.describeGame(game));
+  }
+}
+
+module.exports = Lobby;
@@ -0,0 +1,169 @@
+const SERVER_CONFIG = require('../config');
+
+/**
+ * Raid lifecycle of a world: a countdown from the moment the world was
+ * created, exits that open and close on a schedule, and extraction
+ * channels. Players still in the world when the countdown ends count as dead.
+ */
+class Raid {
+  /**
+   * @param {number} [duration] - Length of the raid in ms
+   * @param {number} [startedAt] - When the raid started, as a Date.now() timestamp
+   */
+  constructor(duration = SERVER_CONFIG.RAID_DURATION_MS, startedAt = Date.now()) {
+    this.duration = duration;
+    this.startedAt = startedAt;
+    this.extractions = new Map(); // Extraction channels by player ID
+    this.openExitIds = null; // Exits open at the last update, to announce changes
+  }
+
+  /**
+   * @returns {number} Time since the raid started in ms
+   */
+  getElapsed() {
+    return Date.now() - this.startedAt;
+  }
+
+  /**
+   * @returns {number} Time left before the raid ends in ms
+   */
+  getRemaining() {
+    return Math.max(0, this.duration - this.getElapsed());
+  }
+
+  /**
+   * @returns {boolean} Whether the countdown has run out
+   */
+  isOver() {
+    return this.getRemaining() === 0;
+  }
+
+  /**
+   * Give each exit a window in which it's open. Windows are spread over
+   * the raid so they overlap, and the last one lasts until the end.
+   * @param {Array} exits - World exits
+   * @param {Random} random - Seeded generator used to shuffle the order
+   */
+  scheduleExits(exits, random) {
+    const order = [...exits];
+    for (let i = order.length - 1; i > 0; i--) {
+      const j = Math.floor(random.next() * (i + 1));
+      [order[i], order[j]] = [order[j], order[i]];
+    }
+
+    const window = Math.min(SERVER_CONFIG.EXIT_OPEN_MS, this.duration);
+    const step = order.length > 1 ? (this.duration - window) / (order.length - 1) : 0;
+    order.forEach((exit, index) => {
+      exit.opensAt = Math.round(index * step);
+      exit.closesAt = index === order.length - 1 ? null : exit.opensAt + window;
+    });
+  }
+
+  /**
+   * @param {Array} exits - World exits
+   * @returns {Array} Exits open right now
+   */
+  getOpenExits(exits) {
+    const elapsed = this.getElapsed();
+    return exits.filter(exit => exit.isOpen(elapsed));
+  }
+
+  /**
+   * Start channelling an extraction
+   * @param {Object} player - Player object
+   * @param {Object} exit - Exit to leave through
+   * @param {Function} onComplete - Called with the player and exit when the channel finishes
+   * @returns {string|null} Reason the extraction can't start, or null if it started
+   */
+  startExtraction(player, exit, onComplete) {
+    if (!exit.isOpen(this.getElapsed())) {
+      return `${exit.name} is closed.`;
+    }
+    if (!exit.canInteract(player.position)) {
+      return 'Too far from exit';
+    }
+
+    this.extractions.set(player.id, {
+      exit,
+      onComplete,
+      remaining: SERVER_CONFIG.EXTRACTION_CHANNEL_MS,
+      health: player.health // Any drop from this means the player took damage
+    });
+    return null;
+  }
+
+  /**
+   * Stop a player's extraction channel
+   * @param {string} playerId - Socket ID of the player
+   * @returns {boolean} Whether the player was extracting
+   */
+  cancelExtraction(playerId) {
+    return this.extractions.delete(playerId);
+  }
+
+  /**
+   * Advance extraction channels and announce exits opening or closing
+   * @param {Object} world - World the raid belongs to
+   * @param {number} deltaTime - Simulated time for this tick in ms
+   */
+  update(world, deltaTime) {
+    const openExits = this.getOpenExits(world.exits).map(exit => exit.id);
+    if (this.openExitIds && openExits.join() !== this.openExitIds.join()) {
+      world.broadcastMessage('exitsChanged', { openExits });
+    }
+    this.openExitIds = openExits;
+
+    for (const [playerId, channel] of this.extractions.entries()) {
+      const player = world.players.get(playerId);
+      if (!player) {
+        this.extractions.delete(playerId);
+        continue;
+      }
+
+      const interruption = this.getInterruption(player, channel);
+      if (interruption) {
+        this.extractions.delete(playerId);
+        world.sendToPlayer(playerId, 'extractionInterrupted', { message: interruption });
+        continue;
+      }
+
+      channel.health = player.health;
+      channel.remaining -= deltaTime;
+      if (channel.remaining <= 0) {
+        this.extractions.delete(playerId);
+        channel.onComplete(player, channel.exit);
+      }
+    }
+  }
+
+  /**
+   * @param {Object} player - Extracting player
+   * @param {Object} channel - The player's extraction channel
+   * @returns {string|null} Why the channel breaks off, or null if it carries on
+   */
+  getInterruption(player, channel) {
+    if (player.health < channel.health) {
+      return 'Extraction interrupted: you took damage.';
+    }
+    if (!channel.exit.isInSafeZone(player.position)) {
+      return 'Extraction interrupted: you left the exit.';
+    }
+    if (!channel.exit.isOpen(this.getElapsed())) {
+      return `Extraction interrupted: ${channel.exit.name} closed.`;
+    }
+    return null;
+  }
+
+  /**
+   * Describe the raid clock for clients
+   * @returns {Object} Raid duration and time remaining in ms
+   */
+  serialize() {
+    return {
+      duration: this.duration,
+      remaining: this.getRemaining()
+    };
+  }
+}
+
+module.exports = Raid;
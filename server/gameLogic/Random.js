@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+
+/**
+ * Seeded pseudo-random number generator (mulberry32).
+ * The same seed always gives the same sequence, so a world can be
+ * regenerated or a bug reproduced from its seed alone.
+ */
+class Random {
+  /**
+   * Create a generator
+   * @param {string} seed - Any string; hashed into the 32-bit state
+   */
+  constructor(seed) {
+    this.state = hashSeed(seed);
+  }
+
+  /**
+   * Next number in the sequence, like Math.random()
+   * @returns {number} Float in [0, 1)
+   */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Random UUID-formatted ID drawn from this sequence
+   * @returns {string} Version 4 style UUID
+   */
+  uuid() {
+    const hex = Array.from({ length: 4 }, () =>
+      Math.floor(this.next() * 4294967296).toString(16).padStart(8, '0')
+    ).join('');
+    const variant = ((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16);
+
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-4${hex.slice(13, 16)}-${variant}${hex.slice(17, 20)}-${hex.slice(20)}`;
+  }
+}
+
+/**
+ * Hash a seed string to a 32-bit integer (FNV-1a)
+ * @param {string} seed - Seed string
+ * @returns {number} Unsigned 32-bit hash
+ */
+function hashSeed(seed) {
+  let hash = 0x811C9DC5;
+  for (const char of String(seed)) {
+    hash ^= char.codePointAt(0);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Pick a seed for a world created without one
+ * @returns {string} Random seed
+ */
+function generateSeed() {
+  return String(crypto.randomInt(2 ** 32 - 1));
+}
+
+/**
+ * Independent generators for a world, so extra rolls in one system
+ * (say, a monster deciding to patrol) don't change the results of another.
+ * Only the layout comes from the public seed; monster AI and loot use a
+ * seed kept on the server, so knowing the world seed doesn't reveal drops
+ * @param {string} seed - World seed, shared with players
+ * @param {string} secretSeed - Seed for AI and loot, never sent to clients
+ * @returns {Object} Generators for layout, monster AI and loot
+ */
+function createRandomStreams(seed, secretSeed) {
+  return {
+    generation: new Random(`${seed}:generation`),
+    ai: new Random(`${secretSeed}:ai`),
+    loot: new Random(`${secretSeed}:loot`)
+  };
+}
+
+module.exports = {
+  Random,
+  generateSeed,
+  createRandomStreams
+};
@@ -0,0 +1,137 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const SERVER_CONFIG = require('../config');
+
+// Snapshot client ID the recorder uses to get its own delta chain
+const REPLAY_CLIENT_ID = 'replay';
+
+/**
+ * Records a world to gzipped replay files for later review.
+ * Each file is newline-delimited JSON: a header with the world layout,
+ * then gameState frames (a full snapshot every REPLAY_KEYFRAME_INTERVAL_MS
+ * and deltas in between, the same format clients receive), player inputs
+ * and broadcast events. Frames cover everything any player could see.
+ * A new file is started every REPLAY_SEGMENT_MS.
+ */
+class ReplayRecorder {
+  /**
+   * Create a recorder
+   * @param {Object} world - World to record
+   * @param {string} dir - Directory replay files are written to
+   */
+  constructor(world, dir) {
+    this.world = world;
+    this.dir = dir;
+
+    // Open segment; nothing is written until the first frame
+    this.output = null;
+    this.file = null;
+    this.flushed = null; // Resolves once the open file is fully written
+    this.segmentStartedAt = 0;
+    this.lastKeyframeAt = 0;
+  }
+
+  /**
+   * Record the snapshot just captured for this broadcast
+   * @param {Object} visible - Sets of entity IDs any player can see, by category
+   */
+  recordFrame(visible) {
+    const now = Date.now();
+    if (!this.output || now - this.segmentStartedAt >= SERVER_CONFIG.REPLAY_SEGMENT_MS) {
+      this.startSegment(now);
+    }
+
+    // Forget our last ack so this frame is a full snapshot
+    const snapshots = this.world.snapshots;
+    if (now - this.lastKeyframeAt >= SERVER_CONFIG.REPLAY_KEYFRAME_INTERVAL_MS) {
+      snapshots.resync(REPLAY_CLIENT_ID);
+      this.lastKeyframeAt = now;
+    }
+
+    const frame = snapshots.buildFor(REPLAY_CLIENT_ID, visible);
+    snapshots.acknowledge(REPLAY_CLIENT_ID, frame.snapshotId);
+    this.write({ type: 'frame', ...frame });
+  }
+
+  /**
+   * Record a player input
+   * @param {string} playerId - Socket ID of the player
+   * @param {Object} input - Input data as received
+   */
+  recordInput(playerId, input) {
+    this.write({ type: 'input', time: Date.now(), playerId, input });
+  }
+
+  /**
+   * Record an event broadcast to the whole world
+   * @param {string} event - Event name
+   * @param {Object} data - Event data
+   */
+  recordEvent(event, data) {
+    this.write({ type: 'event', time: Date.now(), event, data });
+  }
+
+  /**
+   * Close the current file and open a new one, starting with a header
+   * @param {number} now - Current time
+   */
+  startSegment(now) {
+    this.close();
+
+    fs.mkdirSync(this.dir, { recursive: true });
+    const file = path.join(this.dir, `${now}-${this.world.id}.replay.gz`);
+    this.file = file;
+    const fileStream = fs.createWriteStream(file);
+    fileStream.on('error', (error) => {
+      console.error(`Failed to write replay ${file}:`, error);
+    });
+    this.flushed = new Promise(resolve => fileStream.on('close', resolve));
+
+    this.output = zlib.createGzip();
+    this.output.pipe(fileStream);
+
+    this.segmentStartedAt = now;
+    this.lastKeyframeAt = 0;
+
+    this.write({
+      type: 'header',
+      version: 1,
+      worldId: this.world.id,
+      name: this.world.name,
+      startedAt: now,
+      tickRate: SERVER_CONFIG.TICK_RATE,
+      worldData: this.world.getWorldData()
+    });
+    console.log(`Recording world "${this.world.name}" to ${this.file}`);
+  }
+
+  /**
+   * Append a record to the current file
+   * @param {Object} record - Record to write
+   */
+  write(record) {
+    // Inputs and events before the first frame have nothing to show them against
+    if (this.output) {
+      this.output.write(JSON.stringify(record) + '\n');
+    }
+  }
+
+  /**
+   * Finish the current file
+   * @returns {Promise} Resolves once the file is flushed to disk
+   */
+  close() {
+    const output = this.output;
+    this.output = null;
+    this.world.snapshots.removeClient(REPLAY_CLIENT_ID);
+
+    if (!output) {
+      return Promise.resolve();
+    }
+    output.end();
+    return this.flushed;
+  }
+}
+
+module.exports = ReplayRecorder;
@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const SERVER_CONFIG = require('../config');
+
+/**
+ * Player sessions for resuming after a disconnect.
+ * Each joined player gets a signed token. When their socket drops, the
+ * character is held in the world for SESSION_GRACE_PERIOD_MS; connecting
+ * again with the token reattaches the new socket to the same Player.
+ */
+class SessionManager {
+  /**
+   * @param {string} [secret] - Key for signing tokens; SESSION_SECRET, or random if that isn't set
+   */
+  constructor(secret = SERVER_CONFIG.SESSION_SECRET || crypto.randomBytes(32).toString('hex')) {
+    this.secret = secret;
+    this.sessions = new Map(); // {gameId, playerId, expiryTimer} by session ID
+  }
+
+  /**
+   * Start a session for a player who just joined
+   * @param {string} gameId - ID of the player's world
+   * @param {Object} player - Player object
+   * @returns {string} Signed session token
+   */
+  createSession(gameId, player) {
+    const sessionId = uuidv4();
+    this.sessions.set(sessionId, { gameId, playerId: player.id, expiryTimer: null });
+    player.sessionId = sessionId;
+
+    const payload = Buffer.from(JSON.stringify({ sid: sessionId })).toString('base64url');
+    return `${payload}.${this.sign(payload)}`;
+  }
+
+  /**
+   * Recreate the session of a player restored from a world snapshot.
+   * Old tokens only verify if the secret is the same as before the restart.
+   * @param {string} sessionId - Session ID saved with the player
+   * @param {string} gameId - ID of the player's world
+   * @param {string} playerId - Player ID
+   */
+  restore(sessionId, gameId, playerId) {
+    this.sessions.set(sessionId, { gameId, playerId, expiryTimer: null });
+  }
+
+  /**
+   * Look up the session for a token
+   * @param {string} token - Token from the client
+   * @returns {Object|null} {sessionId, session}, or null if the token is invalid or expired
+   */
+  verify(token) {
+    if (typeof token !== 'string') return null;
+
+    const [payload, signature] = token.split('.');
+    if (!payload || !signature) return null;
+
+    // Constant-time compare so signatures can't be guessed byte by byte
+    const expected = Buffer.from(this.sign(payload));
+    const actual = Buffer.from(signature);
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+      return null;
+    }
+
+    try {
+      const { sid } = JSON.parse(Buffer.from(payload, 'base64url').toString());
+      const session = this.sessions.get(sid);
+      return session ? { sessionId: sid, session } : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Keep a disconnected player's session alive for the grace period
+   * @param {string} sessionId - Session ID
+   * @param {Function} onExpire - Called if the player doesn't come back in time
+   */
+  hold(sessionId, onExpire) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return;
+
+    clearTimeout(session.expiryTimer);
+    session.expiryTimer = setTimeout(() => {
+      this.sessions.delete(sessionId);
+      onExpire();
+    }, SERVER_CONFIG.SESSION_GRACE_PERIOD_MS);
+  }
+
+  /**
+   * Reattach a session to a new socket
+   * @param {string} sessionId - Session ID
+   * @param {string} socketId - ID of the new socket
+   */
+  resume(sessionId, socketId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return;
+
+    clearTimeout(session.expiryTimer);
+    session.expiryTimer = null;
+    session.playerId = socketId;
+  }
+
+  /**
+   * End a session so its token can't be used again
+   * @param {string} sessionId - Session ID
+   */
+  end(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return;
+
+    clearTimeout(session.expiryTimer);
+    this.sessions.delete(sessionId);
+  }
+
+  /**
+   * Sign a token payload
+   * @param {string} payload - Encoded payload
+   * @returns {string} HMAC signature
+   */
+  sign(payload) {
+    return crypto.createHmac('sha256', this.secret).update(payload).digest('base64url');
+  }
+}
+
+module.exports = SessionManager;
@@ -0,0 +1,218 @@
+const SERVER_CONFIG = require('../config');
+
+// Entity collections included in every snapshot
+const SNAPSHOT_CATEGORIES = ['players', 'monsters', 'bosses', 'items', 'corpses'];
+
+/**
+ * Builds delta-compressed gameState snapshots.
+ * Every broadcast gets a snapshot ID. Clients acknowledge the IDs they
+ * have applied, and each client is then sent only what changed since its
+ * last acknowledged snapshot: created entities in full, changed fields of
+ * updated entities, and the IDs of removed entities. Clients without a
+ * usable ack (new joins, resyncs, very late acks) get a full snapshot.
+ * Each client only gets the entities in its area of interest, so the
+ * visible IDs sent to each client are kept alongside the shared history.
+ */
+class SnapshotManager {
+  constructor() {
+    this.nextSnapshotId = 1;
+    this.history = new Map(); // Encoded snapshots by ID, oldest first
+    this.ackedSnapshots = new Map(); // Last acknowledged snapshot ID by client ID
+    this.clientVisible = new Map(); // Visible IDs by snapshot ID, by client ID
+
+    // Snapshot for the current broadcast
+    this.current = null;
+  }
+
+  /**
+   * Take a snapshot of the world for this broadcast
+   * @param {Object} state - Game state with entity collections keyed by ID
+   * @returns {number} The new snapshot ID
+   */
+  capture(state) {
+    const snapshotId = this.nextSnapshotId++;
+
+    // Encode each field so later snapshots can be compared cheaply
+    const encoded = {};
+    for (const category of SNAPSHOT_CATEGORIES) {
+      encoded[category] = {};
+      for (const [id, entity] of Object.entries(state[category] || {})) {
+        encoded[category][id] = encodeFields(entity);
+      }
+    }
+
+    this.current = { id: snapshotId, timestamp: Date.now(), state, encoded };
+
+    this.history.set(snapshotId, encoded);
+    if (this.history.size > SERVER_CONFIG.SNAPSHOT_HISTORY_SIZE) {
+      this.history.delete(this.history.keys().next().value);
+    }
+
+    return snapshotId;
+  }
+
+  /**
+   * Build the gameState message for a client from the current snapshot
+   * @param {string} clientId - Socket ID of the client
+   * @param {Object} visible - Sets of entity IDs the client can see, by category
+   * @returns {Object} Full snapshot or delta
+   */
+  buildFor(clientId, visible) {
+    // Remember what this client was sent, for future deltas
+    if (!this.clientVisible.has(clientId)) {
+      this.clientVisible.set(clientId, new Map());
+    }
+    const visibleHistory = this.clientVisible.get(clientId);
+    visibleHistory.set(this.current.id, visible);
+    for (const snapshotId of visibleHistory.keys()) {
+      if (!this.history.has(snapshotId)) {
+        visibleHistory.delete(snapshotId);
+      }
+    }
+
+    const baseId = this.ackedSnapshots.get(clientId);
+    if (baseId === undefined || !this.history.has(baseId) || !visibleHistory.has(baseId)) {
+      return this.buildFull(visible);
+    }
+
+    return this.buildDelta(baseId, visibleHistory.get(baseId), visible);
+  }
+
+  /**
+   * Build a full snapshot of the visible part of the current state
+   * @param {Object} visible - Sets of visible entity IDs by category
+   * @returns {Object} Full snapshot
+   */
+  buildFull(visible) {
+    const snapshot = {
+      snapshotId: this.current.id,
+      timestamp: this.current.timestamp,
+      full: true
+    };
+
+    for (const category of SNAPSHOT_CATEGORIES) {
+      const currentState = this.current.state[category] || {};
+      snapshot[category] = {};
+      for (const id of visible[category]) {
+        if (currentState[id]) {
+          snapshot[category][id] = currentState[id];
+        }
+      }
+    }
+
+    return snapshot;
+  }
+
+  /**
+   * Build a delta between an earlier snapshot and the current one
+   * @param {number} baseId - ID of the snapshot the client already has
+   * @param {Object} baseVisible - Sets of entity IDs the client got in the base snapshot
+   * @param {Object} visible - Sets of entity IDs the client can see now
+   * @returns {Object} Delta snapshot
+   */
+  buildDelta(baseId, baseVisible, visible) {
+    const base = this.history.get(baseId);
+    const delta = {
+      snapshotId: this.current.id,
+      timestamp: this.current.timestamp,
+      baseId,
+      full: false
+    };
+
+    for (const category of SNAPSHOT_CATEGORIES) {
+      const baseEntities = base[category];
+      const currentEntities = this.current.encoded[category];
+      const currentState = this.current.state[category] || {};
+      const changes = { created: {}, updated: {}, removed: [] };
+      let hasChanges = false;
+
+      for (const id of visible[category]) {
+        const fields = currentEntities[id];
+        if (!fields) continue;
+
+        // New since the base snapshot: send everything
+        const baseFields = baseVisible[category].has(id) ? baseEntities[id] : null;
+        if (!baseFields) {
+          changes.created[id] = currentState[id];
+          hasChanges = true;
+          continue;
+        }
+
+        // Existing entity: send only fields that differ
+        let changedFields = null;
+        for (const [field, value] of Object.entries(fields)) {
+          if (baseFields[field] !== value) {
+            changedFields = changedFields || {};
+            changedFields[field] = currentState[id][field];
+          }
+        }
+        if (changedFields) {
+          changes.updated[id] = changedFields;
+          hasChanges = true;
+        }
+      }
+
+      // Gone from the world or out of the client's area of interest
+      for (const id of baseVisible[category]) {
+        if (!visible[category].has(id) || !currentEntities[id]) {
+          changes.removed.push(id);
+          hasChanges = true;
+        }
+      }
+
+      // Unchanged collections are left out of the delta
+      if (hasChanges) {
+        delta[category] = changes;
+      }
+    }
+
+    return delta;
+  }
+
+  /**
+   * Record that a client applied a snapshot
+   * @param {string} clientId - Socket ID of the client
+   * @param {number} snapshotId - Acknowledged snapshot ID
+   */
+  acknowledge(clientId, snapshotId) {
+    // Ignore acks for unknown or out of order snapshots
+    if (!this.history.has(snapshotId)) return;
+
+    const previous = this.ackedSnapshots.get(clientId);
+    if (previous === undefined || snapshotId > previous) {
+      this.ackedSnapshots.set(clientId, snapshotId);
+    }
+  }
+
+  /**
+   * Forget a client's ack so it receives a full snapshot next
+   * @param {string} clientId - Socket ID of the client
+   */
+  resync(clientId) {
+    this.ackedSnapshots.delete(clientId);
+  }
+
+  /**
+   * Remove all state for a client
+   * @param {string} clientId - Socket ID of the client
+   */
+  removeClient(clientId) {
+    this.ackedSnapshots.delete(clientId);
+    this.clientVisible.delete(clientId);
+  }
+}
+
+/**
+ * Encode each top-level field of a serialized entity as a string
+ * @param {Object} entity - Serialized entity
+ * @returns {Object} Encoded fields
+ */
+function encodeFields(entity) {
+  const fields = {};
+  for (const [field, value] of Object.entries(entity)) {
+    fields[field] = JSON.stringify(value);
+  }
+  return fields;
+}
+
+module.exports = SnapshotManager;
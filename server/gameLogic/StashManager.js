@@ -0,0 +1,92 @@
+const SERVER_CONFIG = require('../config');
+const { AccountError } = require('./AccountManager');
+
+/**
+ * Per-account stash for gear carried out of worlds through an exit.
+ * Players take a loadout from it when joining a world, and lose whatever
+ * they carry if they die or leave without extracting. Stashes live in the
+ * storage adapter's 'stashes' collection, by account ID.
+ */
+class StashManager {
+  /**
+   * @param {Object} storage - Storage adapter from createStorage
+   */
+  constructor(storage) {
+    this.storage = storage;
+    this.queues = new Map(); // Last pending change, by account ID
+  }
+
+  /**
+   * @param {string} accountId - Account ID
+   * @returns {Promise<Array>} Stashed items
+   */
+  async getItems(accountId) {
+    const stash = await this.storage.get('stashes', accountId);
+    return stash ? stash.items : [];
+  }
+
+  /**
+   * Put extracted items in the stash, as many as fit
+   * @param {string} accountId - Account ID
+   * @param {Array} items - Items carried out of a world
+   * @returns {Promise<Object>} {stored, lost} item counts
+   */
+  deposit(accountId, items) {
+    return this.update(accountId, (stashed) => {
+      const space = Math.max(0, SERVER_CONFIG.MAX_STASH_ITEMS - stashed.length);
+      const stored = items.slice(0, space).map(item => ({ ...item, position: null }));
+      return {
+        items: [...stashed, ...stored],
+        result: { stored: stored.length, lost: items.length - stored.length }
+      };
+    });
+  }
+
+  /**
+   * Take items out of the stash to carry into a world
+   * @param {string} accountId - Account ID
+   * @param {Array} itemIds - IDs of the items to take
+   * @returns {Promise<Array>} The items taken
+   * @throws {AccountError} If any of the items isn't in the stash
+   */
+  withdraw(accountId, itemIds) {
+    return this.update(accountId, (stashed) => {
+      const wanted = new Set(itemIds);
+      const taken = stashed.filter(item => wanted.has(item.id));
+      if (taken.length !== wanted.size) {
+        throw new AccountError('Some of those items are no longer in your stash.', 409);
+      }
+      return {
+        items: stashed.filter(item => !wanted.has(item.id)),
+        result: taken
+      };
+    });
+  }
+
+  /**
+   * Change a stash after the changes already queued for it, so two
+   * requests can't both take the same item
+   * @param {string} accountId - Account ID
+   * @param {Function} change - Gets the stashed items, returns {items, result}
+   * @returns {Promise} Resolves with the change's result
+   */
+  update(accountId, change) {
+    const previous = this.queues.get(accountId) || Promise.resolve();
+    const next = previous.catch(() => {}).then(async () => {
+      const { items, result } = change(await this.getItems(accountId));
+      await this.storage.set('stashes', accountId, { items });
+      return result;
+    });
+
+    this.queues.set(accountId, next);
+    next.catch(() => {}).then(() => {
+      // Forget finished queues so idle accounts don't pile up
+      if (this.queues.get(accountId) === next) {
+        this.queues.delete(accountId);
+      }
+    });
+    return next;
+  }
+}
+
+module.exports = StashManager;
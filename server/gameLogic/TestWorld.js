@@ -1,41 +1,41 @@
 const { v4: uuidv4 } = require('uuid');
+const BaseWorld = require('./BaseWorld');
 const Player = require('./entities/Player');
-const Monster = require('./entities/Monster');
 const Item = require('./items/Item');
 const Biome = require('./world/Biome');
 const Exit = require('./world/Exit');
+const { restoreWorld } = require('./worldSnapshot');
 
-class TestWorld {
-  constructor(id) {
-    this.id = id;
-    this.players = new Map(); // Map of player objects by socket ID
-    this.monsters = new Map(); // Map of monster objects by UUID
-    this.items = new Map(); // Map of dropped items by UUID
-    this.bosses = new Map(); // Empty for test world
-    
-    // Projectiles collection
-    this.projectiles = new Map(); // Map of projectiles by ID
+class TestWorld extends BaseWorld {
+  /**
+   * @param {string} id - Unique world ID
+   * @param {Object} [options]
+   * @param {string} [options.seed] - World seed
+   * @param {Object} [options.snapshot] - Saved state to restore instead of creating a new world
+   */
+  constructor(id, { seed, snapshot = null } = {}) {
+    super(id, 'test', seed);
     
-    // Updated world properties to match client's expanded size
-    this.width = 4000;
-    this.height = 4000;
+    // Reload a world saved at shutdown
+    if (snapshot) {
+      restoreWorld(this, snapshot);
+      return;
+    }
     
     // Create a single biome for the entire world
     this.biomes = [
-      new Biome('forest', {
-        x: 0,
-        y: 0
-      }, this.width, this.height, {
-        monsterTypes: ['wolf', 'bear', 'spider'],
-        baseMonsterDensity: 0.00001 // Very low density
-      })
+      new Biome('test-forest', 'forest', {
+        x: this.width / 2,
+        y: this.height / 2
+      }, this.width / 2)
     ];
     
     // Create exits for navigation reference
     this.exits = [
-      new Exit('north', { x: this.width / 2, y: 10 }),
-      new Exit('south', { x: this.width / 2, y: this.height - 10 })
+      new Exit('north', 'North Exit', { x: this.width / 2, y: 10 }, 100),
+      new Exit('south', 'South Exit', { x: this.width / 2, y: this.height - 10 }, 100)
     ];
+    this.raid.scheduleExits(this.exits, this.random.generation);
     
     // No landmarks in test world
     this.landmarks = [];
@@ -45,18 +45,15 @@ class TestWorld {
   }
   
   spawnTestMonster() {
-    const monsterId = uuidv4();
     const position = {
       x: this.width / 2 + 50,
       y: this.height / 2
     };
     
-    const monster = new Monster(monsterId, 'wolf', position);
+    const monster = this.spawnMonster('wolf', position, this.random.generation);
     monster.health = 50;
     monster.maxHealth = 50;
     monster.aggroRange = 150;
-    
-    this.monsters.set(monsterId, monster);
   }
   
   addPlayer(socketId, playerData) {
@@ -74,13 +71,6 @@ class TestWorld {
     return player;
   }
   
-  removePlayer(socketId) {
-    if (this.players.has(socketId)) {
-      const player = this.players.get(socketId);
-      this.players.delete(socketId);
-    }
-  }
-  
   getRandomSpawnPoint() {
     // Spawn players in the center area of the map for the larger world
     const centerX = this.width / 2;
@@ -88,61 +78,29 @@ class TestWorld {
     
     // Add some randomness but keep them near the center (within 500 units)
     return { 
-      x: centerX + (Math.random() * 1000 - 500),
-      y: centerY + (Math.random() * 1000 - 500)
+      x: centerX + (this.random.ai.next() * 1000 - 500),
+      y: centerY + (this.random.ai.next() * 1000 - 500)
     };
   }
   
-  update() {
-    // Update players' positions based on velocity
-    this.players.forEach(player => {
-      // Only apply movement if velocity is non-zero
-      if (player.velocity.x !== 0 || player.velocity.y !== 0) {
-        // Apply velocity to position
-        player.position.x += player.velocity.x * 0.05; // Assume 50ms update rate
-        player.position.y += player.velocity.y * 0.05;
-        
-        // Constrain player to world bounds
-        player.position.x = Math.max(0, Math.min(this.width, player.position.x));
-        player.position.y = Math.max(0, Math.min(this.height, player.position.y));
-      }
-      
-      // Decrement cooldowns
-      if (player.attackCooldown > 0) {
-        player.attackCooldown -= 50; // Decrease by update interval
-      }
-      
-      if (player.attackDuration > 0) {
-        player.attackDuration -= 50;
-        if (player.attackDuration <= 0) {
-          player.isAttacking = false;
-          player.attackDirection = null;
-        }
-      }
-      
-      // Update projectiles
-      const expiredProjectiles = player.updateProjectiles(50);
-      
-      // Handle any explosions
-      expiredProjectiles.forEach(projectile => {
-        if (projectile.isExplosion) {
-          this.handleExplosion(projectile);
-        }
-      });
-      
-      // Update skill cooldowns
-      for (const skillId in player.skillCooldowns) {
-        if (player.skillCooldowns[skillId] > 0) {
-          player.skillCooldowns[skillId] -= 50;
-        }
-      }
-    });
+  update(deltaTime) {
+    // Move players and tick their timers
+    this.updatePlayers(deltaTime);
     
     // Update projectile positions and check collisions
     this.updateProjectiles();
     
     // Check for collisions
     this.checkCollisions();
+    
+    // Remove emptied and old corpses
+    this.updateCorpses();
+    
+    // Tick extraction channels and the exit schedule
+    this.raid.update(this, deltaTime);
+    
+    // Remember positions for lag compensation
+    this.lagCompensator.record(this);
   }
   
   checkCollisions() {
@@ -156,16 +114,10 @@ class TestWorld {
         this.checkItemPickup(player, item);
       }
       
-      // Check player attacks against monsters
+      // Check player attacks against monsters, as the player saw them
       if (player.isAttacking) {
-        const attackBox = this.getAttackBox(player, player.getAttackRange());
-        
-        // Check against monsters
-        for (const monster of this.monsters.values()) {
-          if (!monster.isDead() && this.checkAttackCollision(attackBox, monster)) {
-            this.handleCombat(player, monster);
-          }
-        }
+        const hits = this.findMeleeHits(player, player.getAttackRange(), player.attackRewind);
+        hits.forEach(target => this.applyMeleeHit(player, target));
       }
       
       // Check monster attacks against player
@@ -234,13 +186,6 @@ class TestWorld {
     };
   }
   
-  rectIntersect(x1, y1, w1, h1, x2, y2, w2, h2) {
-    return x1 < x2 + w2 && 
-           x1 + w1 > x2 && 
-           y1 < y2 + h2 && 
-           y1 + h1 > y2;
-  }
-  
   handleCombat(attacker, target) {
     // Skip if target is already dead
     if (target.isDead()) return;
@@ -249,7 +194,7 @@ class TestWorld {
     const damage = this.calculateDamage(attacker, target);
     
     // Apply damage
-    target.takeDamage(damage);
+    target.takeDamage(damage, this.random.ai);
     
     // Broadcast combat event
     this.broadcastMessage('combatEvent', {
@@ -283,7 +228,7 @@ class TestWorld {
     if (target.entityType === 'monster') {
       this.handleMonsterKill(attacker, target);
     } else if (target.entityType === 'player') {
-      this.handlePlayerDeath(target);
+      this.handlePlayerDeath(target, attacker);
     }
   }
   
@@ -293,82 +238,44 @@ class TestWorld {
     
     // Award XP
     const xpGain = monster.getXpValue();
-    player.addExperience(xpGain);
+    player.addXp(xpGain);
     
     // Generate loot
-    const loot = monster.generateLoot();
-    
-    // Drop items in the world
-    if (loot.length > 0) {
-      for (const itemData of loot) {
-        const itemId = uuidv4();
-        const item = new Item(
-          itemId,
-          itemData.name,
-          itemData.type,
-          itemData.rarity,
-          monster.position,
-          itemData.stats
-        );
-        
-        this.items.set(itemId, item);
-      }
+    const loot = monster.generateLoot(this.random.loot);
+    
+    // Drop item in the world
+    if (loot) {
+      const itemId = uuidv4();
+      const item = new Item(
+        itemId,
+        loot.type,
+        loot.rarity,
+        loot.stats,
+        { ...monster.position },
+        this.random.loot
+      );
+      this.claimLoot(item, player);
+      
+      this.items.set(itemId, item);
     }
     
     // Set monster as dead (will respawn later)
     monster.deathTime = Date.now();
   }
   
-  handlePlayerDeath(player) {
-    // Drop all items
-    this.dropPlayerItems(player);
-    
-    // Set death state
-    player.death();
-    
-    // Notify player
-    this.sendToPlayer(player.id, 'youDied', {});
-  }
-  
-  dropPlayerItems(player) {
-    // Drop equipped items
-    for (const slot in player.equipment) {
-      const equippedItem = player.equipment[slot];
-      if (equippedItem) {
-        const itemId = uuidv4();
-        const item = new Item(
-          itemId,
-          equippedItem.name,
-          equippedItem.type,
-          equippedItem.rarity,
-          player.position,
-          equippedItem.stats
-        );
-        
-        this.items.set(itemId, item);
-        player.equipment[slot] = null;
-      }
-    }
-    
-    // Drop inventory items
-    for (const inventoryItem of player.inventory) {
-      if (inventoryItem) {
-        const itemId = uuidv4();
-        const item = new Item(
-          itemId,
-          inventoryItem.name,
-          inventoryItem.type,
-          inventoryItem.rarity,
-          player.position,
-          inventoryItem.stats
-        );
-        
-        this.items.set(itemId, item);
-      }
-    }
-    
-    // Clear inventory
-    player.inventory = [];
+  handlePlayerDeath(player, killer = null) {
+    // Leave everything carried in a corpse
+    this.dropPlayerItems(player, killer);
+    
+    // Respawn player at a spawn point
+    const spawnPoint = this.getRandomSpawnPoint();
+    player.teleport(spawnPoint);
+    player.health = player.getMaxHealth();
+    
+    // Notify the player
+    this.sendToPlayer(player.id, 'youDied', {
+      respawnPosition: spawnPoint
+    });
   }
   
   checkItemPickup(player, item) {
@@ -382,8 +289,14 @@ class TestWorld {
     
     // Check if player is close enough to pick up
     if (distance <= 30) { // Pickup range
+      // Loot earned by other players is theirs until ownership runs out
+      if (!item.isOwnedBy(player)) {
+        this.refusePickup(player, item);
+        return;
+      }
+      
       // Check if player has room in inventory
-      if (player.addToInventory(item)) {
+      if (player.addItemToInventory(item)) {
         // Remove item from world
         this.items.delete(item.id);
         
@@ -395,232 +308,6 @@ class TestWorld {
       }
     }
   }
-  
-  isInSafeZone(position) {
-    // Check if position is near any exit (safe zone)
-    for (const exit of this.exits) {
-      const dx = position.x - exit.position.x;
-      const dy = position.y - exit.position.y;
-      const distance = Math.sqrt(dx * dx + dy * dy);
-      
-      if (distance <= 100) { // Safe zone radius
-        return true;
-      }
-    }
-    
-    return false;
-  }
-  
-  broadcastState(io) {
-    io.to(this.id).emit('gameState', this.getGameState());
-  }
-  
-  getGameState() {
-    // Convert maps to objects for serialization
-    const serializedPlayers = {};
-    const serializedMonsters = {};
-    const serializedItems = {};
-    
-    // Serialize players
-    for (const [id, player] of this.players.entries()) {
-      serializedPlayers[id] = player.serialize();
-    }
-    
-    // Serialize monsters
-    for (const [id, monster] of this.monsters.entries()) {
-      serializedMonsters[id] = monster.serialize();
-    }
-    
-    // Serialize items
-    for (const [id, item] of this.items.entries()) {
-      serializedItems[id] = item.serialize();
-    }
-    
-    return {
-      players: serializedPlayers,
-      monsters: serializedMonsters,
-      items: serializedItems
-    };
-  }
-  
-  broadcastMessage(event, data) {
-    // This would use io.to(this.id).emit() in the actual implementation
-    // Since we don't have direct access to io here, we'll handle it in the server
-  }
-  
-  sendToPlayer(playerId, event, data) {
-    // This would use io.to(playerId).emit() in the actual implementation
-    // Since we don't have direct access to io here, we'll handle it in the server
-  }
-  
-  /**
-   * Update all projectiles and check for collisions
-   */
-  updateProjectiles() {
-    // Process each player's projectiles
-    this.players.forEach(player => {
-      player.projectiles.forEach(projectile => {
-        // Add to world projectiles map if not already there
-        if (!this.projectiles.has(projectile.id)) {
-          this.projectiles.set(projectile.id, projectile);
-        }
-        
-        // Check for projectile collisions with monsters
-        this.monsters.forEach(monster => {
-          if (this.checkProjectileCollision(projectile, monster)) {
-            // Handle hit
-            this.handleProjectileHit(projectile, monster);
-          }
-        });
-        
-        // Check for projectile collisions with players (PvP would be enabled here)
-        // Uncomment to enable PvP
-        /* 
-        this.players.forEach(otherPlayer => {
-          if (projectile.ownerId !== otherPlayer.id) { // Don't hit self
-            if (this.checkProjectileCollision(projectile, otherPlayer)) {
-              // Handle hit
-              this.handleProjectileHit(projectile, otherPlayer);
-            }
-          }
-        });
-        */
-      });
-    });
-  }
-  
-  /**
-   * Check collision between a projectile and target
-   * @param {Object} projectile - The projectile object
-   * @param {Object} target - The target object
-   * @returns {boolean} True if collision detected
-   */
-  checkProjectileCollision(projectile, target) {
-    // Skip if projectile is not active
-    if (!projectile.active) return false;
-    
-    // Simple rectangle collision
-    return this.rectIntersect(
-      projectile.position.x - projectile.width / 2,
-      projectile.position.y - projectile.height / 2,
-      projectile.width,
-      projectile.height,
-      target.position.x - target.width / 2,
-      target.position.y - target.height / 2,
-      target.width,
-      target.height
-    );
-  }
-  
-  /**
-   * Handle a projectile hit on a target
-   * @param {Object} projectile - The projectile object
-   * @param {Object} target - The target hit
-   */
-  handleProjectileHit(projectile, target) {
-    // Apply damage to target
-    const damage = projectile.damage;
-    target.takeDamage(damage);
-    
-    // Broadcast combat event
-    this.broadcastMessage('combatEvent', {
-      attackerId: projectile.ownerId,
-      targetId: target.id,
-      damage: damage,
-      targetHealth: target.health,
-      targetMaxHealth: target.maxHealth,
-      projectileType: projectile.type
-    });
-    
-    // Handle piercing projectiles
-    if (projectile.piercing) {
-      projectile.pierceCount++;
-      if (projectile.pierceCount >= projectile.maxPierceCount) {
-        projectile.active = false;
-      }
-    } else {
-      // Non-piercing projectiles deactivate on hit
-      projectile.active = false;
-    }
-    
-    // Handle death
-    if (target.health <= 0) {
-      const attacker = this.players.get(projectile.ownerId);
-      if (attacker) {
-        this.handleKill(attacker, target);
-      }
-    }
-    
-    // Handle fireball explosion on impact
-    if (projectile.type === 'fireball' && projectile.explodes) {
-      this.handleExplosion(projectile);
-    }
-  }
-  
-  /**
-   * Handle a fireball explosion
-   * @param {Object} projectile - The exploding projectile
-   */
-  handleExplosion(projectile) {
-    // Get all entities in explosion radius
-    const explosionTargets = [];
-    
-    // Check monsters in explosion radius
-    this.monsters.forEach(monster => {
-      const distance = this.getDistance(projectile.position, monster.position);
-      if (distance <= projectile.explosionRadius) {
-        explosionTargets.push(monster);
-      }
-    });
-    
-    // Apply damage to each target in explosion
-    const owner = this.players.get(projectile.ownerId);
-    if (owner) {
-      explosionTargets.forEach(target => {
-        // Calculate damage (reduced by distance from center)
-        const distance = this.getDistance(projectile.position, target.position);
-        const damageMultiplier = 1 - (distance / projectile.explosionRadius);
-        const damage = Math.floor(projectile.damage * damageMultiplier);
-        
-        // Apply damage
-        target.takeDamage(damage);
-        
-        // Broadcast combat event for explosion damage
-        this.broadcastMessage('combatEvent', {
-          attackerId: projectile.ownerId,
-          targetId: target.id,
-          damage: damage,
-          targetHealth: target.health,
-          targetMaxHealth: target.maxHealth,
-          isExplosion: true
-        });
-        
-        // Handle death
-        if (target.health <= 0) {
-          this.handleKill(owner, target);
-        }
-      });
-    }
-    
-    // Broadcast explosion effect
-    this.broadcastMessage('effectEvent', {
-      type: 'explosion',
-      position: projectile.position,
-      radius: projectile.explosionRadius
-    });
-  }
-  
-  /**
-   * Calculate distance between two points
-   * @param {Object} point1 - First point {x, y}
-   * @param {Object} point2 - Second point {x, y}
-   * @returns {number} Distance between points
-   */
-  getDistance(point1, point2) {
-    const dx = point1.x - point2.x;
-    const dy = point1.y - point2.y;
-    return Math.sqrt(dx * dx + dy * dy);
-  }
 }
 
 module.exports = TestWorld; 
\ No newline at end of file
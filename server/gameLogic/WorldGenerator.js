@@ -1,12 +1,18 @@
-const { v4: uuidv4 } = require('uuid');
 const Biome = require('./world/Biome');
 const Exit = require('./world/Exit');
 const Landmark = require('./world/Landmark');
+const { getContent } = require('./content');
 
 class WorldGenerator {
-  constructor(width, height) {
+  /**
+   * @param {number} width - World width
+   * @param {number} height - World height
+   * @param {Random} random - Seeded generator; the same seed generates the same world
+   */
+  constructor(width, height, random) {
     this.width = width;
     this.height = height;
+    this.random = random;
     this.biomeSize = 400; // Average size of biomes
     this.exitRadius = 100; // Safe zone radius around exits
     this.landmarkDensity = 0.0005; // Landmarks per pixel (adjust as needed)
@@ -46,13 +52,8 @@ class WorldGenerator {
     const averageBiomeArea = this.biomeSize * this.biomeSize;
     const biomeCount = Math.ceil(totalArea / averageBiomeArea);
     
-    // Define biome types and their weights (chance of spawning)
-    const biomeTypes = [
-      { type: 'forest', weight: 0.4 },
-      { type: 'swamp', weight: 0.3 },
-      { type: 'ruins', weight: 0.2 },
-      { type: 'mountains', weight: 0.1 }
-    ];
+    // Biome types and their weights (chance of spawning) from content/biomes.json
+    const biomeTypes = Object.entries(getContent().biomes).map(([type, biome]) => ({ type, weight: biome.weight }));
     
     // Use Voronoi-like approach to distribute biomes
     // This is a simplified approach - a real implementation would use a proper Voronoi algorithm
@@ -63,11 +64,11 @@ class WorldGenerator {
       const biomeType = this.weightedRandomSelection(biomeTypes);
       
       biomeSeeds.push({
-        id: uuidv4(),
+        id: this.random.uuid(),
         type: biomeType,
-        x: Math.floor(Math.random() * this.width),
-        y: Math.floor(Math.random() * this.height),
-        size: this.biomeSize * (0.8 + Math.random() * 0.4) // Vary size a bit
+        x: Math.floor(this.random.next() * this.width),
+        y: Math.floor(this.random.next() * this.height),
+        size: this.biomeSize * (0.8 + this.random.next() * 0.4) // Vary size a bit
       });
     }
     
@@ -100,7 +101,7 @@ class WorldGenerator {
     
     for (const exitData of exits) {
       const exit = new Exit(
-        uuidv4(),
+        this.random.uuid(),
         exitData.name,
         exitData.position,
         this.exitRadius
@@ -133,8 +134,8 @@ class WorldGenerator {
     for (let i = 0; i < landmarkCount; i++) {
       // Pick a random position
       const position = {
-        x: Math.floor(Math.random() * this.width),
-        y: Math.floor(Math.random() * this.height)
+        x: Math.floor(this.random.next() * this.width),
+        y: Math.floor(this.random.next() * this.height)
       };
       
       // Find which biome this position belongs to
@@ -143,20 +144,21 @@ class WorldGenerator {
       if (biome) {
         // Get landmark types for this biome
         const biomeTypes = landmarkTypes[biome.type] || landmarkTypes.forest;
-        const landmarkType = biomeTypes[Math.floor(Math.random() * biomeTypes.length)];
+        const landmarkType = biomeTypes[Math.floor(this.random.next() * biomeTypes.length)];
         
         // Create landmark name
         const adjectives = ['ancient', 'mysterious', 'forgotten', 'haunted', 'sacred', 'ruined'];
-        const adjective = adjectives[Math.floor(Math.random() * adjectives.length)];
+        const adjective = adjectives[Math.floor(this.random.next() * adjectives.length)];
         const name = `${adjective} ${landmarkType}`;
         
         // Create landmark
         const landmark = new Landmark(
-          uuidv4(),
+          this.random.uuid(),
           name,
           position,
           landmarkType,
-          biome.type
+          biome.type,
+          this.random
         );
         
         world.landmarks.push(landmark);
@@ -202,7 +204,7 @@ class WorldGenerator {
     const totalWeight = items.reduce((sum, item) => sum + item.weight, 0);
     
     // Pick a random value
-    let random = Math.random() * totalWeight;
+    let random = this.random.next() * totalWeight;
     
     // Find the item that corresponds to the random value
     for (const item of items) {
@@ -0,0 +1,258 @@
+// Slash commands for players, and admin commands for moderating and
+// setting up test scenarios
+
+const { v4: uuidv4 } = require('uuid');
+const CommandRegistry = require('./CommandRegistry');
+const Item = require('./items/Item');
+const { getContent } = require('./content');
+const { invitePlayer, acceptInvite, leaveParty } = require('./parties');
+
+// Most monsters one /spawn can create
+const MAX_SPAWN_COUNT = 20;
+
+// How far from the admin /spawn places monsters
+const SPAWN_RADIUS = 100;
+
+/**
+ * Find the player a command targets, by name, defaulting to whoever typed it
+ * @param {Object} context - Command context {game, player}
+ * @param {string} [name] - Player name, any case
+ * @returns {Object|null} The player, or null if nobody in the world has that name
+ */
+function findTarget({ game, player }, name) {
+  if (!name) return player;
+
+  const wanted = name.toLowerCase();
+  return [...game.players.values()].find(other => other.name.toLowerCase() === wanted) || null;
+}
+
+/**
+ * Move a position inside the world's bounds
+ * @param {Object} game - World
+ * @param {Object} position - Position {x, y}
+ * @returns {Object} Clamped position {x, y}
+ */
+function clampToWorld(game, { x, y }) {
+  return {
+    x: Math.max(0, Math.min(game.width, x)),
+    y: Math.max(0, Math.min(game.height, y))
+  };
+}
+
+/**
+ * Create the command registry with every chat command
+ * @param {ChatService} chat - Chat service, used by /whisper and /roll
+ * @returns {CommandRegistry} Registry to run typed commands with
+ */
+function createChatCommands(chat) {
+  const commands = new CommandRegistry();
+
+  commands.register({
+    name: 'help',
+    description: 'List commands, or show how to use one',
+    args: [{ name: 'command', optional: true }],
+    run({ player, reply }, { command }) {
+      if (command) {
+        const found = commands.find(player, command);
+        if (!found) return `Unknown command /${command.replace(/^\//, '')}.`;
+        reply(`${commands.getUsage(found)} - ${found.description}`);
+        return;
+      }
+      reply(commands.list(player).map(found => `${commands.getUsage(found)} - ${found.description}`).join('\n'));
+    }
+  });
+
+  commands.register({
+    name: 'who',
+    description: 'List the players in this world',
+    run({ game, reply }) {
+      const players = [...game.players.values()]
+        .filter(other => !other.disconnected)
+        .map(other => `${other.name} (level ${other.level} ${other.characterClass})`);
+      reply(`${players.length} in ${game.name}: ${players.join(', ')}`);
+    }
+  });
+
+  commands.register({
+    name: 'roll',
+    description: 'Roll a number from 1 to max (100 by default) for everyone to see',
+    args: [{ name: 'max', type: 'integer', optional: true }],
+    run({ game, player }, { max = 100 }) {
+      if (max < 2 || max > 1000000) return 'Roll between 2 and 1000000.';
+      const refusal = chat.checkMuted(player);
+      if (refusal) return refusal;
+
+      const roll = 1 + Math.floor(Math.random() * max);
+      game.broadcastMessage('chatMessage', { channel: 'system', text: `${player.name} rolls ${roll} (1-${max}).` });
+    }
+  });
+
+  commands.register({
+    name: 'whisper',
+    aliases: ['w'],
+    description: 'Send a message to one player',
+    args: [{ name: 'player' }, { name: 'message', type: 'text' }],
+    run({ game, player }, args) {
+      return chat.send(game, player, { channel: 'whisper', to: args.player, text: args.message });
+    }
+  });
+
+  commands.register({
+    name: 'party',
+    description: 'Invite a player to your party, accept an invite or leave your party',
+    args: [{ name: 'action' }, { name: 'player', optional: true }],
+    usage: 'invite <player> | accept | leave',
+    run({ game, player, reply }, { action, player: name }) {
+      switch (action.toLowerCase()) {
+        case 'invite': {
+          if (!name) break;
+          const refusal = invitePlayer(game, player, name);
+          if (refusal) return refusal;
+          reply(`Invited ${name} to your party.`);
+          return;
+        }
+        case 'accept':
+          return acceptInvite(game, player);
+        case 'leave':
+          return leaveParty(game, player);
+      }
+      return 'Usage: /party invite <player> | accept | leave';
+    }
+  });
+
+  commands.register({
+    name: 'tp',
+    description: 'Teleport to a position or to a player',
+    permission: 'admin',
+    args: [{ name: 'target' }, { name: 'y', type: 'number', optional: true }],
+    usage: '<x> <y> | <player>',
+    run({ game, player, reply }, { target, y }) {
+      let position;
+      if (y !== undefined) {
+        const x = Number(target);
+        if (!Number.isFinite(x)) return 'Usage: /tp <x> <y> | <player>';
+        position = clampToWorld(game, { x, y });
+      } else {
+        const other = findTarget({ game, player }, target);
+        if (!other) return `No player named ${target} in this world.`;
+        position = other.position;
+      }
+
+      player.teleport(position);
+      reply(`Teleported to ${Math.round(position.x)}, ${Math.round(position.y)}.`);
+    }
+  });
+
+  commands.register({
+    name: 'spawn',
+    description: 'Spawn monsters around you',
+    permission: 'admin',
+    args: [{ name: 'monster' }, { name: 'count', type: 'integer', optional: true }],
+    run({ game, player, reply }, { monster, count = 1 }) {
+      const type = monster.toLowerCase();
+      const types = Object.keys(getContent().monsters);
+      if (!types.includes(type)) return `Unknown monster ${monster}. Try ${types.join(', ')}.`;
+      if (count < 1 || count > MAX_SPAWN_COUNT) return `Spawn between 1 and ${MAX_SPAWN_COUNT} at a time.`;
+
+      // Spread them evenly in a circle around the admin, inside the world near its edges
+      for (let i = 0; i < count; i++) {
+        const angle = (i / count) * Math.PI * 2;
+        game.spawnMonster(type, clampToWorld(game, {
+          x: player.position.x + Math.cos(angle) * SPAWN_RADIUS,
+          y: player.position.y + Math.sin(angle) * SPAWN_RADIUS
+        }));
+      }
+      reply(`Spawned ${count} ${type}.`);
+    }
+  });
+
+  commands.register({
+    name: 'give',
+    description: 'Put a new item in your inventory',
+    permission: 'admin',
+    args: [{ name: 'itemType' }, { name: 'rarity' }],
+    run({ game, player, reply }, args) {
+      const type = args.itemType.toLowerCase();
+      const rarity = args.rarity.toLowerCase();
+      if (!Item.TYPES.includes(type)) return `Unknown item type ${args.itemType}. Try ${Item.TYPES.join(', ')}.`;
+      if (!Item.RARITIES.includes(rarity)) return `Unknown rarity ${args.rarity}. Try ${Item.RARITIES.join(', ')}.`;
+
+      const stats = Item.generateStats(type, rarity, player.level, game.random.loot);
+      const item = new Item(uuidv4(), type, rarity, stats, { ...player.position }, game.random.loot);
+
+      // Drop it at the admin's feet when their inventory is full
+      if (!player.addItemToInventory(item)) {
+        game.items.set(item.id, item);
+        reply(`Inventory full; dropped ${item.name}.`);
+        return;
+      }
+      game.sendToPlayer(player.id, 'itemPickup', {
+        itemId: item.id,
+        name: item.name,
+        type: item.type,
+        rarity: item.rarity,
+        stats: item.stats
+      });
+      reply(`Gave ${item.name}.`);
+    }
+  });
+
+  commands.register({
+    name: 'heal',
+    description: 'Restore a player to full health, yourself by default',
+    permission: 'admin',
+    args: [{ name: 'player', optional: true }],
+    run(context, { player: name }) {
+      const target = findTarget(context, name);
+      if (!target) return `No player named ${name} in this world.`;
+
+      target.health = target.getMaxHealth();
+      context.reply(`Healed ${target.name}.`);
+    }
+  });
+
+  commands.register({
+    name: 'kill',
+    description: 'Kill a player, yourself by default',
+    permission: 'admin',
+    args: [{ name: 'player', optional: true }],
+    run(context, { player: name }) {
+      const target = findTarget(context, name);
+      if (!target) return `No player named ${name} in this world.`;
+
+      context.game.handlePlayerDeath(target);
+      context.reply(`Killed ${target.name}.`);
+    }
+  });
+
+  commands.register({
+    name: 'godmode',
+    description: 'Toggle taking no damage for a player, yourself by default',
+    permission: 'admin',
+    args: [{ name: 'player', optional: true }],
+    run(context, { player: name }) {
+      const target = findTarget(context, name);
+      if (!target) return `No player named ${name} in this world.`;
+
+      target.godMode = !target.godMode;
+      context.reply(`God mode ${target.godMode ? 'on' : 'off'} for ${target.name}.`);
+    }
+  });
+
+  commands.register({
+    name: 'boss',
+    description: 'Spawn a boss at a random landmark',
+    permission: 'admin',
+    run({ game, reply }) {
+      if (typeof game.spawnBoss !== 'function') return `Bosses don't spawn in ${game.mode} worlds.`;
+
+      const boss = game.spawnBoss();
+      if (!boss) return 'No landmark to spawn a boss at.';
+      reply(`Spawned ${boss.type}.`);
+    }
+  });
+
+  return commands;
+}
+
+module.exports = { createChatCommands };
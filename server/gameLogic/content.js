@@ -0,0 +1,185 @@
+const fs = require('fs');
+const path = require('path');
+const SERVER_CONFIG = require('../config');
+const { CONTENT_SCHEMAS, validate, getDefaults } = require('./contentSchemas');
+
+// Stats used for monster types without a definition
+const MONSTER_DEFAULTS = getDefaults(CONTENT_SCHEMAS.monsters.values);
+
+/**
+ * Thrown when content files are missing or invalid
+ */
+class ContentError extends Error {
+  /**
+   * @param {Array} errors - One message per problem found
+   */
+  constructor(errors) {
+    super(`Invalid content:\n  ${errors.join('\n  ')}`);
+    this.name = 'ContentError';
+    this.errors = errors;
+  }
+}
+
+// Definitions loaded from CONTENT_DIR, by file name
+let content = null;
+
+/**
+ * Load and validate every content file, and use the definitions from now on
+ * @param {string} [dir] - Directory with the content files
+ * @returns {Object} Definitions by file name {monsters, bosses, classes, biomes}
+ * @throws {ContentError} Listing every problem found, if any
+ */
+function loadContent(dir = SERVER_CONFIG.CONTENT_DIR) {
+  content = readContent(dir);
+  return content;
+}
+
+/**
+ * Read and validate every content file
+ * @param {string} dir - Directory with the content files
+ * @returns {Object} Definitions by file name
+ * @throws {ContentError} Listing every problem found, if any
+ */
+function readContent(dir) {
+  const loaded = {};
+  const errors = [];
+
+  for (const [name, schema] of Object.entries(CONTENT_SCHEMAS)) {
+    const file = path.join(dir, `${name}.json`);
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      errors.push(`${file}: ${error.message}`);
+      continue;
+    }
+
+    const fileErrors = [];
+    loaded[name] = validate(data, schema, '', fileErrors);
+    errors.push(...fileErrors.map(message => `${file}: ${message}`));
+  }
+
+  // Biomes can only spawn monsters that are defined
+  if (loaded.biomes && loaded.monsters) {
+    for (const [type, biome] of Object.entries(loaded.biomes)) {
+      (biome.monsterTypes || []).forEach((monsterType, index) => {
+        if (!loaded.monsters[monsterType]) {
+          errors.push(`${path.join(dir, 'biomes.json')}: ${type}.monsterTypes[${index}] "${monsterType}" is not in monsters.json`);
+        }
+      });
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ContentError(errors);
+  }
+  return loaded;
+}
+
+/**
+ * Check reloaded definitions still cover every type live entities use
+ * @param {Object} reloaded - Definitions by file name
+ * @param {Object} inUse - Sets of types in use by file name, e.g. {classes, monsters, bosses}
+ * @param {string} dir - Directory with the content files, for error messages
+ * @throws {ContentError} Listing each type that was removed while in use
+ */
+function checkTypesInUse(reloaded, inUse, dir) {
+  const errors = [];
+  for (const [name, types] of Object.entries(inUse)) {
+    for (const type of types) {
+      if (!reloaded[name][type]) {
+        errors.push(`${path.join(dir, `${name}.json`)}: ${type} was removed but is still in use`);
+      }
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ContentError(errors);
+  }
+}
+
+/**
+ * Reload content whenever a file in the directory changes. Broken edits,
+ * and edits removing a type something in a world still uses, are logged
+ * and the previous definitions stay in use.
+ * @param {Function} onReload - Called with the new definitions after each successful reload
+ * @param {Function} getTypesInUse - Returns sets of types in use by file name, e.g. {classes, monsters, bosses}
+ * @param {string} [dir] - Directory with the content files
+ * @returns {fs.FSWatcher} Watcher, so it can be closed
+ */
+function watchContent(onReload, getTypesInUse, dir = SERVER_CONFIG.CONTENT_DIR) {
+  let timer = null;
+
+  const reload = () => {
+    let reloaded;
+    try {
+      reloaded = readContent(dir);
+      checkTypesInUse(reloaded, getTypesInUse(), dir);
+    } catch (error) {
+      console.error(`Content not reloaded, keeping the previous definitions. ${error.message}`);
+      return;
+    }
+    content = reloaded;
+    onReload(reloaded);
+  };
+
+  return fs.watch(dir, (eventType, filename) => {
+    if (filename && !filename.endsWith('.json')) return;
+    // Editors often save in several writes, so wait for them to settle
+    clearTimeout(timer);
+    timer = setTimeout(reload, SERVER_CONFIG.CONTENT_RELOAD_DELAY_MS);
+  });
+}
+
+/**
+ * Get the loaded definitions, loading them on first use
+ * @returns {Object} Definitions by file name
+ */
+function getContent() {
+  return content || loadContent();
+}
+
+/**
+ * @param {string} type - Monster type
+ * @returns {Object} Monster definition, or default stats for unknown types
+ */
+function getMonsterDefinition(type) {
+  return getContent().monsters[type] || MONSTER_DEFAULTS;
+}
+
+/**
+ * @param {string} type - Boss type
+ * @returns {Object} Boss definition, or the 'default' boss for unknown types
+ */
+function getBossDefinition(type) {
+  const { bosses } = getContent();
+  return bosses[type] || bosses.default;
+}
+
+/**
+ * @param {string} name - Character class name
+ * @returns {Object|undefined} Class definition
+ */
+function getClassDefinition(name) {
+  return getContent().classes[name];
+}
+
+/**
+ * @param {string} type - Biome type
+ * @returns {Object} Biome definition, or forest for unknown types
+ */
+function getBiomeDefinition(type) {
+  const { biomes } = getContent();
+  return biomes[type] || biomes.forest;
+}
+
+module.exports = {
+  ContentError,
+  loadContent,
+  watchContent,
+  getContent,
+  getMonsterDefinition,
+  getBossDefinition,
+  getClassDefinition,
+  getBiomeDefinition
+};
@@ -0,0 +1,233 @@
+// Schemas for the JSON content files, and a small validator for them.
+//
+// A schema is {type, ...}: 'number' and 'integer' take min/max, 'string'
+// takes oneOf, 'array' takes items, 'object' takes properties (each with an
+// optional default; properties without one are required), and 'map' is an
+// object keyed by ID with a schema for its values and optional requiredKeys.
+
+const STAT_NAMES = ['vitality', 'strength', 'intelligence', 'dexterity'];
+
+// Stat name -> number, e.g. share of level-up points or defense per point
+const statMap = (min = 0) => ({ type: 'map', keys: STAT_NAMES, values: { type: 'number', min } });
+
+const monsterSchema = {
+  type: 'object',
+  properties: {
+    level: { type: 'integer', min: 1, default: 1 },
+    maxHealth: { type: 'number', min: 1, default: 50 },
+    damage: { type: 'number', min: 0, default: 5 },
+    defense: { type: 'number', min: 0, default: 2 },
+    movementSpeed: { type: 'number', min: 0, default: 60 }, // Pixels per second
+    attackRange: { type: 'number', min: 0, default: 30 }, // Pixels
+    attackSpeed: { type: 'number', min: 1, default: 1000 }, // Milliseconds between attacks
+    xpValue: { type: 'number', min: 0, default: 20 }, // XP awarded on kill
+    width: { type: 'number', min: 1, default: 32 },
+    height: { type: 'number', min: 1, default: 32 },
+    aggroRange: { type: 'number', min: 0, default: 200 }, // Range at which monster notices players
+    initialState: { type: 'string', oneOf: ['idle', 'patrol'], default: 'idle' },
+    // Ranged variant, rolled per monster when chance is below 1
+    ranged: {
+      type: 'object',
+      default: null,
+      properties: {
+        chance: { type: 'number', min: 0, max: 1, default: 1 },
+        attackRange: { type: 'number', min: 0 },
+        damage: { type: 'number', min: 0, default: null }
+      }
+    }
+  }
+};
+
+const bossSchema = {
+  type: 'object',
+  properties: {
+    level: { type: 'integer', min: 1 },
+    maxHealth: { type: 'number', min: 1 },
+    damage: { type: 'number', min: 0 },
+    defense: { type: 'number', min: 0 },
+    movementSpeed: { type: 'number', min: 0 },
+    attackRange: { type: 'number', min: 0 },
+    attackSpeed: { type: 'number', min: 1 },
+    xpValue: { type: 'number', min: 0 },
+    specialAttack: { type: 'string' },
+    width: { type: 'number', min: 1, default: 64 },
+    height: { type: 'number', min: 1, default: 64 },
+    isRanged: { type: 'boolean', default: false }
+  }
+};
+
+const classSchema = {
+  type: 'object',
+  properties: {
+    primaryStat: { type: 'string', oneOf: STAT_NAMES },
+    stats: {
+      type: 'object',
+      properties: Object.fromEntries(STAT_NAMES.map(stat => [stat, { type: 'integer', min: 0 }]))
+    },
+    levelUpStats: statMap(), // Share of each level's points per stat
+    movementSpeed: { type: 'number', min: 0 },
+    attackRange: { type: 'number', min: 0 },
+    attackDuration: { type: 'number', min: 0 },
+    attackCooldown: { type: 'number', min: 0 },
+    defenseFromStats: { ...statMap(), default: {} }, // Defense per stat point
+    // Basic attacks fire this projectile instead of hitting in melee
+    projectile: {
+      type: 'object',
+      default: null,
+      properties: {
+        type: { type: 'string' },
+        width: { type: 'number', min: 1 },
+        height: { type: 'number', min: 1 },
+        speed: { type: 'number', min: 0 }, // Pixels per second
+        damageMultiplier: { type: 'number', min: 0, default: 1 },
+        lifespan: { type: 'number', min: 1, default: 2000 },
+        explodes: { type: 'boolean', default: false },
+        explosionRadius: { type: 'number', min: 0, default: 0 },
+        piercing: { type: 'boolean', default: false },
+        maxPierceCount: { type: 'integer', min: 0, default: 0 }
+      }
+    },
+    skills: {
+      type: 'map',
+      keys: ['1', '2', '3', '4'],
+      values: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          cooldown: { type: 'number', min: 0 }
+        }
+      }
+    }
+  }
+};
+
+const biomeSchema = {
+  type: 'object',
+  properties: {
+    weight: { type: 'number', min: 0 }, // Chance of world generation picking this biome
+    monsterTypes: { type: 'array', items: { type: 'string' }, minItems: 1 },
+    monsterDensity: { type: 'number', min: 0 }, // Monsters per square pixel
+    dangerLevel: { type: 'integer', min: 1 },
+    color: { type: 'string' }
+  }
+};
+
+// Content file name -> schema. Unknown boss and biome types fall back to 'default' and 'forest',
+// and each class's skills are coded in playerHandlers, so those classes must be defined.
+const CONTENT_SCHEMAS = {
+  monsters: { type: 'map', values: monsterSchema },
+  bosses: { type: 'map', values: bossSchema, requiredKeys: ['default'] },
+  classes: { type: 'map', values: classSchema, requiredKeys: ['warrior', 'mage', 'ranger'] },
+  biomes: { type: 'map', values: biomeSchema, requiredKeys: ['forest'] }
+};
+
+/**
+ * Check a value against a schema
+ * @param {*} value - Parsed JSON value
+ * @param {Object} schema - Schema to check against
+ * @param {string} at - Path of the value, for error messages
+ * @param {Array} errors - Error messages are added here
+ * @returns {*} The value with defaults filled in
+ */
+function validate(value, schema, at, errors) {
+  const fail = (expected) => {
+    errors.push(`${at || 'The file'} must be ${expected} (got ${JSON.stringify(value)})`);
+    return value;
+  };
+
+  switch (schema.type) {
+    case 'number':
+    case 'integer': {
+      const isInteger = schema.type === 'integer';
+      if (typeof value !== 'number' || !Number.isFinite(value) || (isInteger && !Number.isInteger(value))) {
+        return fail(isInteger ? 'an integer' : 'a number');
+      }
+      if (schema.min !== undefined && value < schema.min) return fail(`at least ${schema.min}`);
+      if (schema.max !== undefined && value > schema.max) return fail(`at most ${schema.max}`);
+      return value;
+    }
+
+    case 'string':
+      if (typeof value !== 'string' || value.length === 0) return fail('a non-empty string');
+      if (schema.oneOf && !schema.oneOf.includes(value)) return fail(`one of ${schema.oneOf.join(', ')}`);
+      return value;
+
+    case 'boolean':
+      return typeof value === 'boolean' ? value : fail('true or false');
+
+    case 'array':
+      if (!Array.isArray(value)) return fail('an array');
+      if (schema.minItems && value.length < schema.minItems) return fail(`a list of at least ${schema.minItems}`);
+      return value.map((item, index) => validate(item, schema.items, `${at}[${index}]`, errors));
+
+    case 'object': {
+      if (!isPlainObject(value)) return fail('an object');
+      const result = {};
+      for (const key of Object.keys(value)) {
+        if (!schema.properties[key]) {
+          errors.push(`${joinPath(at, key)} is not a known property (expected ${Object.keys(schema.properties).join(', ')})`);
+        }
+      }
+      for (const [key, propertySchema] of Object.entries(schema.properties)) {
+        // null stands for "none" where that's the default
+        const isSet = value[key] !== undefined && !(value[key] === null && propertySchema.default === null);
+        if (isSet) {
+          result[key] = validate(value[key], propertySchema, joinPath(at, key), errors);
+        } else if (propertySchema.default !== undefined) {
+          result[key] = propertySchema.default;
+        } else {
+          errors.push(`${joinPath(at, key)} is required`);
+        }
+      }
+      return result;
+    }
+
+    case 'map': {
+      if (!isPlainObject(value)) return fail('an object');
+      const result = {};
+      for (const key of schema.requiredKeys || []) {
+        if (value[key] === undefined) errors.push(`${joinPath(at, key)} is required`);
+      }
+      for (const [key, entry] of Object.entries(value)) {
+        if (schema.keys && !schema.keys.includes(key)) {
+          errors.push(`${joinPath(at, key)} is not allowed (expected ${schema.keys.join(', ')})`);
+          continue;
+        }
+        result[key] = validate(entry, schema.values, joinPath(at, key), errors);
+      }
+      return result;
+    }
+
+    default:
+      throw new Error(`Unknown schema type ${schema.type}`);
+  }
+}
+
+/**
+ * Get a schema's defaults, e.g. for a monster type with no definition
+ * @param {Object} schema - Object schema
+ * @returns {Object} Properties that have defaults
+ */
+function getDefaults(schema) {
+  const defaults = {};
+  for (const [key, propertySchema] of Object.entries(schema.properties)) {
+    if (propertySchema.default !== undefined) {
+      defaults[key] = propertySchema.default;
+    }
+  }
+  return defaults;
+}
+
+function joinPath(at, key) {
+  return at ? `${at}.${key}` : key;
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+module.exports = {
+  CONTENT_SCHEMAS,
+  validate,
+  getDefaults
+};
@@ -1,4 +1,5 @@
 const Monster = require('./Monster');
+const { getBossDefinition } = require('../content');
 
 /**
  * Represents a boss monster in the game
@@ -10,16 +11,14 @@ class Boss extends Monster {
    * @param {string} id - Unique ID
    * @param {string} type - Boss type (dragon, lich, etc.)
    * @param {Object} position - Starting position {x, y}
+   * @param {Random} random - Seeded generator for type variations
    */
-  constructor(id, type, position) {
-    super(id, type, position);
+  constructor(id, type, position, random) {
+    super(id, type, position, random);
     
     // Override entity type
     this.entityType = 'boss';
     
-    // Override properties for bosses
-    this.setProperties();
-    
     // Specific boss properties
     this.specialAttackCooldown = 0;
     this.specialAttackChance = 0.3; // 30% chance to use special attack
@@ -33,151 +32,41 @@ class Boss extends Monster {
   }
   
   /**
-   * Set boss-specific properties
+   * Copy stats from the current content definition. Overrides the monster
+   * stats, so the Monster constructor sets boss stats too.
    */
-  setProperties() {
-    // Scale up size
-    this.width = 64;
-    this.height = 64;
-    
-    // Type-specific properties
-    switch (this.type) {
-      case 'dragon':
-        this.level = 10;
-        this.maxHealth = 500;
-        this.health = this.maxHealth;
-        this.damage = 25;
-        this.defense = 15;
-        this.movementSpeed = 80;
-        this.attackRange = 70;
-        this.attackSpeed = 1500; // ms between attacks
-        this.xpValue = 250;
-        this.specialAttack = 'fireBreath';
-        this.width = 96;
-        this.height = 96;
-        this.isRanged = true;
-        break;
-        
-      case 'lich':
-        this.level = 8;
-        this.maxHealth = 350;
-        this.health = this.maxHealth;
-        this.damage = 30;
-        this.defense = 8;
-        this.movementSpeed = 50;
-        this.attackRange = 200;
-        this.attackSpeed = 1200;
-        this.xpValue = 200;
-        this.specialAttack = 'summonUndead';
-        this.isRanged = true;
-        break;
-        
-      case 'giant':
-        this.level = 9;
-        this.maxHealth = 600;
-        this.health = this.maxHealth;
-        this.damage = 35;
-        this.defense = 20;
-        this.movementSpeed = 40;
-        this.attackRange = 80;
-        this.attackSpeed = 2000;
-        this.xpValue = 220;
-        this.specialAttack = 'groundSmash';
-        this.width = 112;
-        this.height = 112;
-        break;
-        
-      case 'demon':
-        this.level = 12;
-        this.maxHealth = 450;
-        this.health = this.maxHealth;
-        this.damage = 40;
-        this.defense = 12;
-        this.movementSpeed = 90;
-        this.attackRange = 60;
-        this.attackSpeed = 1000;
-        this.xpValue = 300;
-        this.specialAttack = 'hellfire';
-        this.width = 80;
-        this.height = 80;
-        break;
-        
-      case 'treant':
-        this.level = 7;
-        this.maxHealth = 400;
-        this.health = this.maxHealth;
-        this.damage = 20;
-        this.defense = 25;
-        this.movementSpeed = 30;
-        this.attackRange = 90;
-        this.attackSpeed = 1800;
-        this.xpValue = 180;
-        this.specialAttack = 'rootEnsnare';
-        this.width = 88;
-        this.height = 88;
-        break;
-        
-      case 'ghost king':
-        this.level = 8;
-        this.maxHealth = 300;
-        this.health = this.maxHealth;
-        this.damage = 35;
-        this.defense = 5;
-        this.movementSpeed = 70;
-        this.attackRange = 150;
-        this.attackSpeed = 1100;
-        this.xpValue = 190;
-        this.specialAttack = 'terrify';
-        this.isRanged = true;
-        break;
-        
-      case 'slime king':
-        this.level = 6;
-        this.maxHealth = 350;
-        this.health = this.maxHealth;
-        this.damage = 15;
-        this.defense = 10;
-        this.movementSpeed = 50;
-        this.attackRange = 60;
-        this.attackSpeed = 1200;
-        this.xpValue = 170;
-        this.specialAttack = 'split';
-        this.width = 96;
-        this.height = 96;
-        break;
-        
-      default:
-        // Generic boss stats if type not recognized
-        this.level = 10;
-        this.maxHealth = 400;
-        this.health = this.maxHealth;
-        this.damage = 30;
-        this.defense = 15;
-        this.movementSpeed = 60;
-        this.attackRange = 70;
-        this.attackSpeed = 1500;
-        this.xpValue = 200;
-        this.specialAttack = 'areaAttack';
-    }
+  applyDefinition() {
+    // Stats come from content/bosses.json; unknown types use the 'default' boss
+    const definition = getBossDefinition(this.type);
+    this.level = definition.level;
+    this.maxHealth = definition.maxHealth;
+    this.damage = definition.damage;
+    this.defense = definition.defense;
+    this.movementSpeed = definition.movementSpeed;
+    this.attackRange = definition.attackRange;
+    this.attackSpeed = definition.attackSpeed; // ms between attacks
+    this.xpValue = definition.xpValue;
+    this.specialAttack = definition.specialAttack;
+    this.width = definition.width;
+    this.height = definition.height;
+    this.isRanged = definition.isRanged;
   }
   
   /**
    * Update boss state
    * @param {Object} gameWorld - Reference to the game world
+   * @param {number} deltaTime - Time since last update in ms
    */
-  update(gameWorld) {
+  update(gameWorld, deltaTime) {
     // Check if we should change phases based on health
     this.checkPhaseTransition();
     
     // Use parent update method for main behavior
-    super.update(gameWorld);
+    super.update(gameWorld, deltaTime);
     
     // Update special attack cooldown
     if (this.specialAttackCooldown > 0) {
-      const now = Date.now();
-      const deltaTime = now - this.lastStateChange;
       this.specialAttackCooldown -= deltaTime;
-      this.lastStateChange = now;
     }
   }
   
@@ -228,10 +117,11 @@ class Boss extends Monster {
   
   /**
    * Override attack method to potentially use special attack
+   * @param {Random} random - Seeded generator for the special attack roll
    */
-  attack() {
+  attack(random) {
     // Chance to use special attack instead of regular attack
-    if (this.specialAttackCooldown <= 0 && Math.random() < this.specialAttackChance) {
+    if (this.specialAttackCooldown <= 0 && random.next() < this.specialAttackChance) {
       this.useSpecialAttack();
     } else {
       // Use regular attack from parent class
@@ -263,11 +153,12 @@ class Boss extends Monster {
   
   /**
    * Generate loot when boss is killed
+   * @param {Random} random - Seeded loot generator
    * @returns {Array} Array of loot items
    */
-  generateLoot() {
+  generateLoot(random) {
     // Bosses always drop multiple items
-    const lootCount = 2 + Math.floor(Math.random() * 3); // 2-4 items
+    const lootCount = 2 + Math.floor(random.next() * 3); // 2-4 items
     const loot = [];
     
     // Generate guaranteed rare+ items
@@ -276,18 +167,18 @@ class Boss extends Monster {
       const possibleTypes = ['weapon', 'helmet', 'chest', 'legs', 'boots', 'gloves', 'ring', 'amulet'];
       
       // Generate a random item
-      const itemType = possibleTypes[Math.floor(Math.random() * possibleTypes.length)];
+      const itemType = possibleTypes[Math.floor(random.next() * possibleTypes.length)];
       
       // Rarity - bosses only drop rare or legendary
       let rarity = 'rare'; // Default blue
-      const rarityRoll = Math.random();
+      const rarityRoll = random.next();
       
       if (rarityRoll < 0.2) {
         rarity = 'legendary'; // 20% chance for legendary
       }
       
       // Generate item stats based on boss level and rarity
-      const stats = this.generateItemStats(itemType, rarity);
+      const stats = this.generateItemStats(itemType, rarity, random);
       
       // Add the loot item
       loot.push({
@@ -0,0 +1,109 @@
+const SERVER_CONFIG = require('../../config');
+
+/**
+ * Container left where a player died, holding everything they carried.
+ * Only its owners, the killer and their party, can loot it at first;
+ * after the ownership period anyone can. It despawns after a while,
+ * or as soon as it's empty.
+ */
+class Corpse {
+  /**
+   * Create a new corpse
+   * @param {string} id - Unique ID
+   * @param {Object} victim - Player who died
+   * @param {Array} items - Items the victim carried
+   * @param {Array} ownerIds - Character IDs of the players allowed to loot it first
+   */
+  constructor(id, victim, items, ownerIds) {
+    this.id = id;
+    this.entityType = 'corpse';
+    this.playerName = victim.name;
+    this.characterClass = victim.characterClass;
+    this.position = { ...victim.position };
+    this.items = items;
+    this.ownerIds = ownerIds;
+
+    const now = Date.now();
+    this.ownedUntil = now + SERVER_CONFIG.CORPSE_OWNERSHIP_MS;
+    this.despawnAt = now + SERVER_CONFIG.CORPSE_DESPAWN_MS;
+    this.lootRadius = 60; // How close a player needs to be to loot
+  }
+
+  /**
+   * Check if a player may loot this corpse
+   * @param {Object} player - The player
+   * @returns {string|null} Reason the player can't loot, or null if they can
+   */
+  checkLoot(player) {
+    const distance = Math.sqrt(
+      Math.pow(player.position.x - this.position.x, 2) +
+      Math.pow(player.position.y - this.position.y, 2)
+    );
+    if (distance > this.lootRadius) {
+      return 'Too far from corpse';
+    }
+
+    if (Date.now() < this.ownedUntil && !this.ownerIds.includes(player.characterId)) {
+      const seconds = Math.ceil((this.ownedUntil - Date.now()) / 1000);
+      return `This corpse belongs to someone else for ${seconds} more seconds.`;
+    }
+    return null;
+  }
+
+  /**
+   * Take an item out of the corpse
+   * @param {string} itemId - Item ID
+   * @returns {Item|null} The item, or null if it's gone
+   */
+  takeItem(itemId) {
+    const index = this.items.findIndex(item => item.id === itemId);
+    if (index === -1) return null;
+
+    return this.items.splice(index, 1)[0];
+  }
+
+  /**
+   * Put an item back, e.g. when the looter's inventory is full
+   * @param {Item} item - Item taken with takeItem
+   */
+  returnItem(item) {
+    this.items.push(item);
+  }
+
+  /**
+   * @returns {boolean} True once the corpse should be removed
+   */
+  isExpired() {
+    return this.items.length === 0 || Date.now() >= this.despawnAt;
+  }
+
+  /**
+   * Serialize corpse data for network transmission
+   * @returns {Object} Serialized corpse, without its contents
+   */
+  serialize() {
+    return {
+      id: this.id,
+      playerName: this.playerName,
+      characterClass: this.characterClass,
+      position: this.position,
+      itemCount: this.items.length,
+      ownerIds: Date.now() < this.ownedUntil ? this.ownerIds : []
+    };
+  }
+
+  /**
+   * Describe the corpse's contents for a player's loot window
+   * @returns {Object} Corpse ID, name and items
+   */
+  serializeContents() {
+    return {
+      corpseId: this.id,
+      playerName: this.playerName,
+      ownedFor: Math.max(0, this.ownedUntil - Date.now()),
+      items: this.items.map(item => item.serialize())
+    };
+  }
+}
+
+module.exports = Corpse;
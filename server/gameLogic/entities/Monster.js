@@ -1,3 +1,6 @@
+const { getMonsterDefinition } = require('../content');
+const Item = require('../items/Item');
+
 /**
  * Represents a monster in the game
  */
@@ -7,22 +10,18 @@ class Monster {
    * @param {string} id - Unique ID
    * @param {string} type - Monster type (wolf, troll, etc.)
    * @param {Object} position - Starting position {x, y}
+   * @param {Random} random - Seeded generator for type variations
    */
-  constructor(id, type, position) {
+  constructor(id, type, position, random) {
     this.id = id;
     this.type = type;
     this.position = position;
     this.velocity = { x: 0, y: 0 };
-    this.width = 32;
-    this.height = 32;
     this.entityType = 'monster';
     
     // Direction the monster is facing
     this.facingDirection = 'down'; // 'up', 'down', 'left', 'right'
     
-    // Set monster properties based on type
-    this.setMonsterProperties();
-    
     // Combat state
     this.isAttacking = false;
     this.attackDirection = null;
@@ -34,11 +33,13 @@ class Monster {
     this.target = null; // Target player to chase/attack
     this.idleTime = 0; // Time spent in idle state
     this.patrolPoint = null; // Current patrol destination
-    this.aggroRange = 200; // Range at which monster notices players
     this.leashRange = 400; // Maximum distance from spawn before returning
     this.timeToRespawn = 30000; // 30 seconds after death
     this.lastStateChange = Date.now();
     
+    // Set monster properties based on type
+    this.setMonsterProperties(random);
+    
     // Spawn and death
     this.spawnPosition = { ...position }; // Remember where monster spawned
     this.deathTime = 0; // Time of death (0 if alive)
@@ -46,175 +47,65 @@ class Monster {
   
   /**
    * Set properties based on monster type
+   * @param {Random} random - Seeded generator for type variations
    */
-  setMonsterProperties() {
-    // Default properties
-    this.level = 1;
-    this.maxHealth = 50;
+  setMonsterProperties(random) {
+    const definition = getMonsterDefinition(this.type);
+    
+    // Some types are always ranged, others only sometimes
+    const ranged = definition.ranged;
+    this.isRanged = Boolean(ranged) && (ranged.chance >= 1 || random.next() < ranged.chance);
+    
+    this.applyDefinition();
     this.health = this.maxHealth;
-    this.damage = 5;
-    this.defense = 2;
-    this.movementSpeed = 60; // Pixels per second
-    this.attackRange = 30; // Pixels
-    this.attackSpeed = 1000; // Milliseconds between attacks
-    this.xpValue = 20; // XP awarded on kill
-    this.isRanged = false;
-    
-    // Type-specific adjustments
-    switch (this.type) {
-      // FOREST MONSTERS
-      case 'wolf':
-        this.movementSpeed = 100;
-        this.maxHealth = 40;
-        this.health = 40;
-        this.damage = 6;
-        this.defense = 1;
-        this.aggroRange = 250; // More alert
-        this.state = 'patrol'; // Actively patrols
-        this.xpValue = 15;
-        break;
-        
-      case 'bear':
-        this.movementSpeed = 70;
-        this.maxHealth = 80;
-        this.health = 80;
-        this.damage = 10;
-        this.defense = 4;
-        this.width = 48; // Larger
-        this.height = 48;
-        this.xpValue = 30;
-        break;
-        
-      case 'bandit':
-        this.movementSpeed = 60;
-        this.maxHealth = 50;
-        this.health = 50;
-        this.damage = 7;
-        this.defense = 2;
-        this.isRanged = Math.random() < 0.3; // 30% chance to be archer
-        if (this.isRanged) {
-          this.attackRange = 150;
-          this.damage = 5;
-        }
-        this.xpValue = 25;
-        break;
-        
-      // SWAMP MONSTERS
-      case 'slime':
-        this.movementSpeed = 40;
-        this.maxHealth = 60;
-        this.health = 60;
-        this.damage = 4;
-        this.defense = 3;
-        this.width = 28;
-        this.height = 28;
-        this.xpValue = 18;
-        break;
-        
-      case 'troll':
-        this.movementSpeed = 40;
-        this.maxHealth = 120;
-        this.health = 120;
-        this.damage = 15;
-        this.defense = 6;
-        this.width = 56;
-        this.height = 56;
-        this.attackSpeed = 1500; // Slower attacks
-        this.xpValue = 45;
-        break;
-        
-      case 'snake':
-        this.movementSpeed = 120;
-        this.maxHealth = 30;
-        this.health = 30;
-        this.damage = 8;
-        this.defense = 1;
-        this.width = 24;
-        this.height = 24;
-        this.xpValue = 20;
-        break;
-        
-      // RUINS MONSTERS
-      case 'skeleton':
-        this.movementSpeed = 50;
-        this.maxHealth = 45;
-        this.health = 45;
-        this.damage = 9;
-        this.defense = 3;
-        this.xpValue = 22;
-        this.isRanged = Math.random() < 0.5; // 50% chance to be archer
-        if (this.isRanged) {
-          this.attackRange = 180;
-          this.damage = 7;
-        }
-        break;
-        
-      case 'ghost':
-        this.movementSpeed = 70;
-        this.maxHealth = 35;
-        this.health = 35;
-        this.damage = 12;
-        this.defense = 0;
-        this.isRanged = true;
-        this.attackRange = 120;
-        this.xpValue = 28;
-        break;
-        
-      case 'cultist':
-        this.movementSpeed = 55;
-        this.maxHealth = 40;
-        this.health = 40;
-        this.damage = 14;
-        this.defense = 2;
-        this.isRanged = true;
-        this.attackRange = 200;
-        this.xpValue = 35;
-        break;
-        
-      // MOUNTAIN MONSTERS
-      case 'golem':
-        this.movementSpeed = 30;
-        this.maxHealth = 150;
-        this.health = 150;
-        this.damage = 20;
-        this.defense = 10;
-        this.width = 64;
-        this.height = 64;
-        this.attackSpeed = 2000; // Very slow attacks
-        this.xpValue = 50;
-        break;
-        
-      case 'griffon':
-        this.movementSpeed = 110;
-        this.maxHealth = 70;
-        this.health = 70;
-        this.damage = 12;
-        this.defense = 3;
-        this.width = 48;
-        this.height = 48;
-        this.isRanged = true;
-        this.attackRange = 100;
-        this.xpValue = 40;
-        break;
-        
-      case 'harpy':
-        this.movementSpeed = 90;
-        this.maxHealth = 55;
-        this.health = 55;
-        this.damage = 10;
-        this.defense = 2;
-        this.isRanged = true;
-        this.attackRange = 140;
-        this.xpValue = 30;
-        break;
+    this.state = definition.initialState;
+  }
+  
+  /**
+   * Copy stats from the current content definition; called again on
+   * respawn and when content is reloaded
+   */
+  applyDefinition() {
+    // Stats come from content/monsters.json
+    const definition = getMonsterDefinition(this.type);
+    this.level = definition.level;
+    this.maxHealth = definition.maxHealth;
+    this.damage = definition.damage;
+    this.defense = definition.defense;
+    this.movementSpeed = definition.movementSpeed; // Pixels per second
+    this.attackRange = definition.attackRange; // Pixels
+    this.attackSpeed = definition.attackSpeed; // Milliseconds between attacks
+    this.xpValue = definition.xpValue; // XP awarded on kill
+    this.width = definition.width;
+    this.height = definition.height;
+    this.aggroRange = definition.aggroRange;
+    
+    // Ranged monsters stay ranged unless their type loses its ranged variant
+    const ranged = definition.ranged;
+    this.isRanged = this.isRanged && Boolean(ranged);
+    if (this.isRanged) {
+      this.attackRange = ranged.attackRange;
+      if (ranged.damage !== null) {
+        this.damage = ranged.damage;
+      }
     }
   }
   
+  /**
+   * Switch to reloaded stats, keeping the same share of health
+   */
+  rescale() {
+    const healthShare = this.health / this.maxHealth;
+    this.applyDefinition();
+    this.health = Math.ceil(this.maxHealth * healthShare);
+  }
+  
   /**
    * Update monster state
    * @param {Object} gameWorld - Reference to the game world
+   * @param {number} deltaTime - Time since last update in ms
    */
-  update(gameWorld) {
+  update(gameWorld, deltaTime) {
     // Don't update if dead
     if (this.isDead()) {
       if (this.canRespawn()) {
@@ -224,10 +115,6 @@ class Monster {
       return;
     }
     
-    // Calculate deltaTime since last state change
-    const now = Date.now();
-    const deltaTime = now - this.lastStateChange;
-    
     // Update based on current state
     switch (this.state) {
       case 'idle':
@@ -273,8 +160,6 @@ class Monster {
     if (this.state === 'chase' || this.state === 'attack') {
       this.checkLeashRange();
     }
-    
-    this.lastStateChange = now;
   }
   
   /**
@@ -297,6 +182,7 @@ class Monster {
    * Respawn the monster
    */
   respawn() {
+    this.applyDefinition(); // Pick up any content reloaded since spawning
     this.health = this.maxHealth;
     this.position = { ...this.spawnPosition };
     this.velocity = { x: 0, y: 0 };
@@ -320,9 +206,9 @@ class Monster {
     this.idleTime += deltaTime;
     if (this.idleTime > 3000) { // 3 seconds of idle
       this.idleTime = 0;
-      if (Math.random() < 0.7) { // 70% chance to start patrolling
+      if (gameWorld.random.ai.next() < 0.7) { // 70% chance to start patrolling
         this.changeState('patrol');
-        this.setRandomPatrolPoint();
+        this.setRandomPatrolPoint(gameWorld.random.ai);
       }
     }
   }
@@ -335,7 +221,7 @@ class Monster {
   updatePatrolState(deltaTime, gameWorld) {
     // If no patrol point, set one
     if (!this.patrolPoint) {
-      this.setRandomPatrolPoint();
+      this.setRandomPatrolPoint(gameWorld.random.ai);
     }
     
     // Move toward patrol point
@@ -350,10 +236,10 @@ class Monster {
     const distToTarget = this.getDistanceToPoint(this.patrolPoint);
     if (distToTarget < 10) {
       // Reached patrol point, go idle or set new patrol point
-      if (Math.random() < 0.3) { // 30% chance to go idle
+      if (gameWorld.random.ai.next() < 0.3) { // 30% chance to go idle
         this.changeState('idle');
       } else {
-        this.setRandomPatrolPoint();
+        this.setRandomPatrolPoint(gameWorld.random.ai);
       }
     }
   }
@@ -426,7 +312,7 @@ class Monster {
     
     // Attack if cooldown is ready
     if (this.attackCooldown <= 0) {
-      this.attack();
+      this.attack(gameWorld.random.ai);
     }
   }
   
@@ -477,12 +363,13 @@ class Monster {
   
   /**
    * Set a random patrol point
+   * @param {Random} random - Seeded generator
    */
-  setRandomPatrolPoint() {
+  setRandomPatrolPoint(random) {
     // Set a random point within patrol range of spawn
     const patrolRange = 100; // pixels
-    const angle = Math.random() * 2 * Math.PI;
-    const distance = Math.random() * patrolRange;
+    const angle = random.next() * 2 * Math.PI;
+    const distance = random.next() * patrolRange;
     
     this.patrolPoint = {
       x: this.spawnPosition.x + Math.cos(angle) * distance,
@@ -601,15 +488,16 @@ class Monster {
   /**
    * Apply damage to the monster
    * @param {number} damage - Amount of damage
+   * @param {Random} random - Seeded generator for the flee roll
    * @returns {boolean} True if killed
    */
-  takeDamage(damage) {
+  takeDamage(damage, random) {
     this.health = Math.max(0, this.health - damage);
     
     // If health is low and not already fleeing, maybe flee
     if (this.health < this.maxHealth * 0.2 && this.state !== 'flee') {
       // 30% chance to flee when low health
-      if (Math.random() < 0.3) {
+      if (random.next() < 0.3) {
         this.changeState('flee');
       }
     }
@@ -658,11 +546,12 @@ class Monster {
   
   /**
    * Generate loot when killed
+   * @param {Random} random - Seeded loot generator
    * @returns {Object|null} Loot item or null
    */
-  generateLoot() {
+  generateLoot(random) {
     // 25% chance to drop nothing
-    if (Math.random() < 0.25) {
+    if (random.next() < 0.25) {
       return null;
     }
     
@@ -670,11 +559,11 @@ class Monster {
     const possibleTypes = ['weapon', 'helmet', 'chest', 'legs', 'boots', 'gloves', 'ring', 'amulet', 'potion'];
     
     // Generate a random item
-    const itemType = possibleTypes[Math.floor(Math.random() * possibleTypes.length)];
+    const itemType = possibleTypes[Math.floor(random.next() * possibleTypes.length)];
     
     // Rarity chance
     let rarity = 'common'; // Default white
-    const rarityRoll = Math.random();
+    const rarityRoll = random.next();
     
     if (rarityRoll < 0.01) {
       rarity = 'legendary'; // 1% gold
@@ -683,7 +572,7 @@ class Monster {
     }
     
     // Generate item stats based on monster level and rarity
-    const stats = this.generateItemStats(itemType, rarity);
+    const stats = this.generateItemStats(itemType, rarity, random);
     
     // Return the loot item
     return {
@@ -697,58 +586,11 @@ class Monster {
    * Generate random stats for an item
    * @param {string} itemType - Type of item
    * @param {string} rarity - Rarity of item
+   * @param {Random} random - Seeded loot generator
    * @returns {Object} Item stats
    */
-  generateItemStats(itemType, rarity) {
-    // Base stats
-    const stats = {};
-    
-    // Stat multiplier based on rarity
-    let statMultiplier = 1;
-    let statCount = 1;
-    
-    switch (rarity) {
-      case 'common':
-        statMultiplier = 1;
-        statCount = 1;
-        break;
-      case 'rare':
-        statMultiplier = 2;
-        statCount = 2;
-        break;
-      case 'legendary':
-        statMultiplier = 3;
-        statCount = 3;
-        break;
-    }
-    
-    // Add base stats based on item type
-    if (itemType === 'weapon') {
-      stats.damage = Math.floor(this.level * 2 * statMultiplier + Math.random() * 5);
-    } else if (itemType === 'potion') {
-      stats.potency = Math.floor(20 * statMultiplier + Math.random() * 10);
-      stats.effect = 'healing';
-      return stats;
-    } else {
-      // Armor items
-      stats.defense = Math.floor(this.level * statMultiplier + Math.random() * 3);
-    }
-    
-    // Add random bonus stats
-    const possibleStats = ['strength', 'intelligence', 'dexterity', 'vitality', 'health', 'speed'];
-    
-    for (let i = 0; i < statCount - 1; i++) {
-      const statType = possibleStats[Math.floor(Math.random() * possibleStats.length)];
-      const statValue = Math.floor(this.level * 0.5 * statMultiplier + Math.random() * 2);
-      
-      if (!stats[statType]) {
-        stats[statType] = statValue;
-      } else {
-        stats[statType] += statValue;
-      }
-    }
-    
-    return stats;
+  generateItemStats(itemType, rarity, random) {
+    return Item.generateStats(itemType, rarity, this.level, random);
   }
   
   /**
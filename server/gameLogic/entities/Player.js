@@ -1,3 +1,6 @@
+const { getClassDefinition } = require('../content');
+const Item = require('../items/Item');
+
 /**
  * Represents a player in the game
  */
@@ -18,10 +21,37 @@ class Player {
     this.width = 32;
     this.height = 32;
     this.type = 'player';
+    this.entityType = 'player';
     
     // Direction the player is facing
     this.facingDirection = 'down'; // 'up', 'down', 'left', 'right'
     
+    // Movement validation state
+    this.lastTickPosition = null;
+    this.movementInputCount = 0;
+    this.movementInputWindowStart = 0;
+    this.movementViolations = []; // Timestamps of recent violations
+    
+    // Account character this player plays, saved as it progresses
+    this.accountId = null;
+    this.characterId = null;
+    this.isAdmin = false; // Can run admin chat commands
+    this.godMode = false; // Takes no damage, set with /godmode
+    
+    // Players sharing a party ID share first claim on loot
+    this.partyId = null;
+    this.partyInvite = null; // Last party invite {fromCharacterId, from}, until accepted
+    this.refusedItemId = null; // Last owned item the player was told they can't take
+    
+    // Session resume state
+    this.sessionId = null;
+    this.disconnected = false; // Held in the world waiting for the client to come back
+    this.kicked = false;
+    
+    // Client prediction: last movement input applied and how long it has been applied
+    this.lastProcessedInput = 0;
+    this.inputElapsed = 0;
+    
     // Stats
     this.level = 1;
     this.experience = 0;
@@ -39,6 +69,7 @@ class Player {
     this.attackDirection = null;
     this.attackCooldown = 0;
     this.attackDuration = 0;
+    this.attackRewind = 0; // Lag compensation for the current melee attack, in ms
     
     // Projectile attacks
     this.projectiles = [];
@@ -66,38 +97,21 @@ class Player {
     };
   }
   
+  /**
+   * Get this player's class definition from content/classes.json
+   * @returns {Object} Class definition
+   */
+  getClass() {
+    return getClassDefinition(this.characterClass);
+  }
+  
   /**
    * Initialize stats based on character class
    */
   initializeStats() {
-    // Base stats for all classes
-    this.stats = {
-      vitality: 10,
-      strength: 5,
-      intelligence: 5,
-      dexterity: 5
-    };
-    
-    // Class-specific stat adjustments
-    switch (this.characterClass) {
-      case 'warrior':
-        this.stats.strength += 5;
-        this.stats.vitality += 5;
-        this.primaryStat = 'strength';
-        break;
-        
-      case 'mage':
-        this.stats.intelligence += 8;
-        this.stats.vitality -= 2;
-        this.primaryStat = 'intelligence';
-        break;
-        
-      case 'ranger':
-        this.stats.dexterity += 7;
-        this.stats.vitality += 2;
-        this.primaryStat = 'dexterity';
-        break;
-    }
+    const characterClass = this.getClass();
+    this.stats = { ...characterClass.stats };
+    this.primaryStat = characterClass.primaryStat;
   }
   
   /**
@@ -108,6 +122,7 @@ class Player {
     // Update position based on velocity
     this.position.x += this.velocity.x * (deltaTime / 1000);
     this.position.y += this.velocity.y * (deltaTime / 1000);
+    this.inputElapsed += deltaTime;
     
     // Update cooldowns
     if (this.attackCooldown > 0) {
@@ -118,6 +133,7 @@ class Player {
       this.attackDuration -= deltaTime;
       if (this.attackDuration <= 0) {
         this.isAttacking = false;
+        this.attackDirection = null;
       }
     }
     
@@ -129,11 +145,23 @@ class Player {
     }
   }
   
+  /**
+   * Move the player instantly, e.g. on respawn.
+   * Bypasses the position jump check for the next tick.
+   * @param {Object} position - New position {x, y}
+   */
+  teleport(position) {
+    this.position = { ...position };
+    this.velocity = { x: 0, y: 0 };
+    this.lastTickPosition = { ...position };
+  }
+  
   /**
    * Apply damage to the player
    * @param {number} damage - Amount of damage
    */
   takeDamage(damage) {
+    if (this.godMode) return false;
     this.health = Math.max(0, this.health - damage);
     return this.health <= 0;
   }
@@ -202,22 +230,14 @@ class Player {
    * @param {number} points - Number of points to allocate
    */
   allocateStatPoints(points) {
-    switch (this.characterClass) {
-      case 'warrior':
-        this.stats.strength += Math.ceil(points * 0.6);
-        this.stats.vitality += Math.floor(points * 0.4);
-        break;
-        
-      case 'mage':
-        this.stats.intelligence += Math.ceil(points * 0.7);
-        this.stats.vitality += Math.floor(points * 0.3);
-        break;
-        
-      case 'ranger':
-        this.stats.dexterity += Math.ceil(points * 0.6);
-        this.stats.vitality += Math.floor(points * 0.4);
-        break;
-    }
+    // Each stat gets its share rounded down; the remainder goes to the primary stat
+    let remaining = points;
+    for (const [stat, share] of Object.entries(this.getClass().levelUpStats)) {
+      const gained = Math.floor(points * share);
+      this.stats[stat] += gained;
+      remaining -= gained;
+    }
+    this.stats[this.primaryStat] += Math.max(0, remaining);
   }
   
   /**
@@ -245,26 +265,10 @@ class Player {
    * @returns {number} Movement speed in pixels per second
    */
   getMovementSpeed() {
-    // Base speed + equipment/class adjustments
-    let baseSpeed = 150;
-    
-    // Class-specific speed adjustments
-    switch (this.characterClass) {
-      case 'warrior':
-        baseSpeed -= 10; // Slower due to heavy armor
-        break;
-      case 'mage':
-        baseSpeed += 0; // Average speed
-        break;
-      case 'ranger':
-        baseSpeed += 20; // Faster
-        break;
-    }
-    
-    // Equipment modifiers would be added here
+    // Class speed + equipment modifiers
     const equipmentBonus = this.getEquipmentStatBonus('speed');
     
-    return baseSpeed + equipmentBonus;
+    return this.getClass().movementSpeed + equipmentBonus;
   }
   
   /**
@@ -273,19 +277,7 @@ class Player {
    */
   getAttackRange() {
     // Base range depends on class and weapon
-    let baseRange = 0;
-    
-    switch (this.characterClass) {
-      case 'warrior':
-        baseRange = 40; // Melee range
-        break;
-      case 'mage':
-        baseRange = 200; // Long range
-        break;
-      case 'ranger':
-        baseRange = 150; // Medium-long range
-        break;
-    }
+    let baseRange = this.getClass().attackRange;
     
     // Weapon can modify range
     if (this.equipment.weapon) {
@@ -301,19 +293,7 @@ class Player {
    */
   getAttackDuration() {
     // Base duration depends on class and weapon
-    let baseDuration = 0;
-    
-    switch (this.characterClass) {
-      case 'warrior':
-        baseDuration = 500; // Slower attacks
-        break;
-      case 'mage':
-        baseDuration = 300; // Medium speed
-        break;
-      case 'ranger':
-        baseDuration = 200; // Fast attacks
-        break;
-    }
+    let baseDuration = this.getClass().attackDuration;
     
     // Weapon and stats can modify duration
     if (this.equipment.weapon) {
@@ -329,19 +309,7 @@ class Player {
    */
   getAttackCooldown() {
     // Base cooldown depends on class and weapon
-    let baseCooldown = 0;
-    
-    switch (this.characterClass) {
-      case 'warrior':
-        baseCooldown = 1000; // Slower recovery
-        break;
-      case 'mage':
-        baseCooldown = 800; // Medium recovery
-        break;
-      case 'ranger':
-        baseCooldown = 600; // Fast recovery
-        break;
-    }
+    let baseCooldown = this.getClass().attackCooldown;
     
     // Weapon and stats can modify cooldown
     if (this.equipment.weapon) {
@@ -385,18 +353,12 @@ class Player {
       }
     }
     
-    // Class-specific defense adjustments
-    switch (this.characterClass) {
-      case 'warrior':
-        baseDefense += Math.floor(this.stats.strength * 0.2); // Strength adds defense for warriors
-        break;
-      case 'mage':
-        // Mages have lower base defense
-        break;
-      case 'ranger':
-        baseDefense += Math.floor(this.stats.dexterity * 0.1); // Some dodge-as-defense for rangers
-        break;
+    // Class-specific defense from stats, e.g. strength for warriors
+    let statDefense = 0;
+    for (const [stat, perPoint] of Object.entries(this.getClass().defenseFromStats)) {
+      statDefense += this.stats[stat] * perPoint;
     }
+    baseDefense += Math.floor(statDefense);
     
     return baseDefense;
   }
@@ -588,33 +550,25 @@ class Player {
       createdAt: Date.now()
     };
     
-    // Class-specific projectile
-    switch (this.characterClass) {
-      case 'mage':
-        // Fireball projectile
-        projectile.type = 'fireball';
-        projectile.width = 24;
-        projectile.height = 24;
-        projectile.speed = 300; // pixels per second
-        projectile.damage = this.getBaseDamage() * 1.5;
-        projectile.explodes = true;
-        projectile.explosionRadius = 50;
-        break;
-        
-      case 'ranger':
-        // Arrow projectile
-        projectile.type = 'arrow';
-        projectile.width = 16;
-        projectile.height = 8;
-        projectile.speed = 500; // pixels per second
-        projectile.damage = this.getBaseDamage() * 1.2;
-        projectile.piercing = true; // Can go through multiple enemies
-        projectile.maxPierceCount = 2;
-        projectile.pierceCount = 0;
-        break;
-        
-      default:
-        return null; // No projectile for other classes
+    // Class-specific projectile, e.g. fireballs or arrows
+    const definition = this.getClass().projectile;
+    if (!definition) {
+      return null; // No projectile for melee classes
+    }
+    projectile.type = definition.type;
+    projectile.width = definition.width;
+    projectile.height = definition.height;
+    projectile.speed = definition.speed; // pixels per second
+    projectile.damage = this.getBaseDamage() * definition.damageMultiplier;
+    projectile.lifespan = definition.lifespan;
+    if (definition.explodes) {
+      projectile.explodes = true;
+      projectile.explosionRadius = definition.explosionRadius;
+    }
+    if (definition.piercing) {
+      projectile.piercing = true; // Can go through multiple enemies
+      projectile.maxPierceCount = definition.maxPierceCount;
+      projectile.pierceCount = 0;
     }
     
     // Set velocity based on facing direction
@@ -647,8 +601,8 @@ class Player {
    * @returns {Object|null} The projectile object or null if class can't create projectiles
    */
   fireProjectile() {
-    // Only mage and ranger can fire projectiles
-    if (this.characterClass !== 'mage' && this.characterClass !== 'ranger') {
+    // Only classes with a projectile can fire one
+    if (!this.getClass().projectile) {
       return null;
     }
     
@@ -708,6 +662,77 @@ class Player {
     return expiredProjectiles;
   }
   
+  /**
+   * Carry items taken from the account stash, wearing what fits an empty slot
+   * @param {Array} items - Saved items from the stash
+   * @returns {Array} Items that didn't fit in the inventory
+   */
+  equipLoadout(items) {
+    const leftover = [];
+    for (const data of items) {
+      const item = Item.restore(data);
+      const slot = Object.keys(this.equipment).find(s => !this.equipment[s] && this.canEquipItemInSlot(item, s));
+      if (slot) {
+        this.equipment[slot] = item;
+      } else if (!this.addItemToInventory(item)) {
+        leftover.push(data);
+      }
+    }
+    
+    this.maxHealth = this.getMaxHealth();
+    this.health = this.maxHealth;
+    return leftover;
+  }
+  
+  /**
+   * Empty the inventory and equipment, e.g. when extracting
+   * @returns {Array} Every item the player carried
+   */
+  takeAllItems() {
+    const items = [...this.inventory, ...Object.values(this.equipment).filter(Boolean)];
+    this.inventory = [];
+    for (const slot of Object.keys(this.equipment)) {
+      this.equipment[slot] = null;
+    }
+    
+    this.maxHealth = this.getMaxHealth();
+    this.health = Math.min(this.health, this.maxHealth);
+    return items;
+  }
+  
+  /**
+   * Get the progress saved to the player's account character
+   * @returns {Object} Level, XP, stats, inventory and equipment
+   */
+  getProgress() {
+    return {
+      level: this.level,
+      experience: this.experience,
+      experienceToNextLevel: this.experienceToNextLevel,
+      stats: { ...this.stats },
+      inventory: [...this.inventory],
+      equipment: { ...this.equipment }
+    };
+  }
+  
+  /**
+   * Continue from progress saved to the player's account character
+   * @param {Object} progress - Progress from getProgress
+   */
+  loadProgress(progress) {
+    this.level = progress.level;
+    this.experience = progress.experience;
+    this.experienceToNextLevel = progress.experienceToNextLevel;
+    this.stats = { ...progress.stats };
+    this.inventory = progress.inventory.map(item => Item.restore(item));
+    for (const [slot, item] of Object.entries(progress.equipment)) {
+      this.equipment[slot] = item ? Item.restore(item) : null;
+    }
+    
+    this.maxHealth = this.getMaxHealth();
+    this.health = this.maxHealth;
+  }
+  
   /**
    * Serialize player data for network transmission
    * @returns {Object} Serialized player data
@@ -719,6 +744,7 @@ class Player {
       characterClass: this.characterClass,
       position: this.position,
       facingDirection: this.facingDirection,
+      movementSpeed: this.getMovementSpeed(),
       level: this.level,
       health: this.health,
       maxHealth: this.getMaxHealth(),
@@ -9,8 +9,9 @@ class Item {
    * @param {string} rarity - Item rarity (common, rare, legendary)
    * @param {Object} stats - Item stats
    * @param {Object} position - Position in world (if dropped)
+   * @param {Random} random - Seeded loot generator used for the name
    */
-  constructor(id, type, rarity, stats, position) {
+  constructor(id, type, rarity, stats, position, random) {
     this.id = id;
     this.type = type;
     this.rarity = rarity;
@@ -18,17 +19,48 @@ class Item {
     this.position = position;
     
     // Generate item name
-    this.name = this.generateName();
+    this.name = this.generateName(random);
     
     // Set pickup radius
     this.pickupRadius = 30; // pixels
+    
+    // Character IDs allowed to pick the item up until ownedUntil; anyone after
+    this.ownerIds = [];
+    this.ownedUntil = 0;
+  }
+  
+  /**
+   * Reserve the item for some players for a while
+   * @param {Array} ownerIds - Character IDs of the owners
+   * @param {number} duration - How long they own it, in ms
+   */
+  setOwners(ownerIds, duration) {
+    this.ownerIds = ownerIds;
+    this.ownedUntil = Date.now() + duration;
+  }
+  
+  /**
+   * @returns {boolean} True while the item is reserved for its owners
+   */
+  isOwned() {
+    return Date.now() < this.ownedUntil;
+  }
+  
+  /**
+   * Check if a player may take the item, wherever they are
+   * @param {Object} player - The player
+   * @returns {boolean} True if the item isn't owned, or the player is an owner
+   */
+  isOwnedBy(player) {
+    return !this.isOwned() || this.ownerIds.includes(player.characterId);
   }
   
   /**
    * Generate a name for the item based on type and rarity
+   * @param {Random} random - Seeded generator
    * @returns {string} Generated item name
    */
-  generateName() {
+  generateName(random) {
     // Prefixes based on rarity
     const rarityPrefixes = {
       common: ['Simple', 'Basic', 'Plain', 'Crude', 'Ordinary'],
@@ -61,11 +93,11 @@ class Item {
     
     // Get random prefix based on rarity
     const prefixes = rarityPrefixes[this.rarity] || rarityPrefixes.common;
-    const prefix = prefixes[Math.floor(Math.random() * prefixes.length)];
+    const prefix = prefixes[Math.floor(random.next() * prefixes.length)];
     
     // Get base name based on type
     const bases = baseNames[this.type] || ['Item'];
-    const baseName = bases[Math.floor(Math.random() * bases.length)];
+    const baseName = bases[Math.floor(random.next() * bases.length)];
     
     // For potions, return a simple name
     if (this.type === 'potion') {
@@ -90,7 +122,7 @@ class Item {
     let suffix = '';
     if (primaryStat && highestValue > 0) {
       const suffixes = statSuffixes[primaryStat];
-      suffix = suffixes[Math.floor(Math.random() * suffixes.length)];
+      suffix = suffixes[Math.floor(random.next() * suffixes.length)];
     }
     
     return `${prefix} ${baseName}${suffix}`;
@@ -140,9 +172,83 @@ class Item {
       rarity: this.rarity,
       stats: this.stats,
       position: this.position,
-      color: this.getRarityColor()
+      color: this.getRarityColor(),
+      ownerIds: this.isOwned() ? this.ownerIds : []
     };
   }
+  
+  /**
+   * Generate random stats for an item
+   * @param {string} itemType - Type of item
+   * @param {string} rarity - Rarity of item
+   * @param {number} level - Level of the monster or player it's for
+   * @param {Random} random - Seeded loot generator
+   * @returns {Object} Item stats
+   */
+  static generateStats(itemType, rarity, level, random) {
+    // Base stats
+    const stats = {};
+    
+    // Stat multiplier based on rarity
+    let statMultiplier = 1;
+    let statCount = 1;
+    
+    switch (rarity) {
+      case 'common':
+        statMultiplier = 1;
+        statCount = 1;
+        break;
+      case 'rare':
+        statMultiplier = 2;
+        statCount = 2;
+        break;
+      case 'legendary':
+        statMultiplier = 3;
+        statCount = 3;
+        break;
+    }
+    
+    // Add base stats based on item type
+    if (itemType === 'weapon') {
+      stats.damage = Math.floor(level * 2 * statMultiplier + random.next() * 5);
+    } else if (itemType === 'potion') {
+      stats.potency = Math.floor(20 * statMultiplier + random.next() * 10);
+      stats.effect = 'healing';
+      return stats;
+    } else {
+      // Armor items
+      stats.defense = Math.floor(level * statMultiplier + random.next() * 3);
+    }
+    
+    // Add random bonus stats
+    const possibleStats = ['strength', 'intelligence', 'dexterity', 'vitality', 'health', 'speed'];
+    
+    for (let i = 0; i < statCount - 1; i++) {
+      const statType = possibleStats[Math.floor(random.next() * possibleStats.length)];
+      const statValue = Math.floor(level * 0.5 * statMultiplier + random.next() * 2);
+      
+      if (!stats[statType]) {
+        stats[statType] = statValue;
+      } else {
+        stats[statType] += statValue;
+      }
+    }
+    
+    return stats;
+  }
+  
+  /**
+   * Rebuild an item saved as JSON, keeping its generated name
+   * @param {Object} data - Saved item fields
+   * @returns {Item} Item with the saved fields
+   */
+  static restore(data) {
+    return Object.assign(Object.create(Item.prototype), data);
+  }
 }
 
+// Item types and rarities, e.g. for items made by admin commands
+Item.TYPES = ['weapon', 'helmet', 'chest', 'legs', 'boots', 'gloves', 'ring', 'amulet', 'potion'];
+Item.RARITIES = ['common', 'rare', 'legendary'];
+
 module.exports = Item; 
\ No newline at end of file
@@ -0,0 +1,93 @@
+// Server-side movement validation and speed-hack detection
+
+const SERVER_CONFIG = require('../config');
+
+/**
+ * Turn client direction input into a unit-length (or shorter) vector.
+ * Non-numeric values count as 0 and longer vectors are normalized, so a
+ * client can never move faster than getMovementSpeed().
+ * @param {*} directionX - X direction sent by the client
+ * @param {*} directionY - Y direction sent by the client
+ * @returns {Object} Sanitized direction {x, y}
+ */
+function normalizeDirection(directionX, directionY) {
+  const x = Number.isFinite(directionX) ? directionX : 0;
+  const y = Number.isFinite(directionY) ? directionY : 0;
+
+  const length = Math.sqrt(x * x + y * y);
+  if (length <= 1) {
+    return { x, y };
+  }
+
+  return { x: x / length, y: y / length };
+}
+
+/**
+ * Count a movement input and check the client isn't flooding them
+ * @param {Object} player - Player object
+ * @returns {boolean} True if the input rate is within limits
+ */
+function recordMovementInput(player) {
+  const now = Date.now();
+
+  // Start a new one second window when the old one ends
+  if (now - player.movementInputWindowStart >= 1000) {
+    player.movementInputWindowStart = now;
+    player.movementInputCount = 0;
+  }
+
+  player.movementInputCount++;
+  return player.movementInputCount <= SERVER_CONFIG.MAX_MOVEMENT_INPUTS_PER_SECOND;
+}
+
+/**
+ * Check how far a player moved since the last tick.
+ * Only the tick moves players, so anything beyond speed * time plus a
+ * tolerance means the position was changed some other way.
+ * @param {Object} player - Player object
+ * @param {number} deltaTime - Time since last tick in ms
+ * @returns {boolean} True if the movement is plausible
+ */
+function checkPositionJump(player, deltaTime) {
+  const last = player.lastTickPosition;
+  player.lastTickPosition = { ...player.position };
+
+  if (!last) {
+    return true;
+  }
+
+  const dx = player.position.x - last.x;
+  const dy = player.position.y - last.y;
+  const distance = Math.sqrt(dx * dx + dy * dy);
+  const maxDistance = player.getMovementSpeed() * (deltaTime / 1000) * SERVER_CONFIG.MOVEMENT_TOLERANCE;
+
+  return distance <= maxDistance + SERVER_CONFIG.POSITION_JUMP_THRESHOLD;
+}
+
+/**
+ * Record a movement violation for a player
+ * @param {Object} player - Player object
+ * @param {string} reason - Description of the violation
+ * @returns {boolean} True if the player has too many recent violations
+ */
+function flagViolation(player, reason) {
+  const now = Date.now();
+
+  // Only recent violations count towards a kick
+  player.movementViolations = player.movementViolations.filter(
+    time => now - time < SERVER_CONFIG.VIOLATION_WINDOW_MS
+  );
+  player.movementViolations.push(now);
+
+  console.log(`Movement violation by ${player.name} (${player.id}): ${reason} ` +
+    `[${player.movementViolations.length}/${SERVER_CONFIG.MAX_MOVEMENT_VIOLATIONS}]`);
+
+  return player.movementViolations.length >= SERVER_CONFIG.MAX_MOVEMENT_VIOLATIONS;
+}
+
+module.exports = {
+  normalizeDirection,
+  recordMovementInput,
+  checkPositionJump,
+  flagViolation
+};
@@ -0,0 +1,109 @@
+// Parties: players in one world who share first claim on loot. A party is
+// formed when a player accepts an invite, and grows as others accept theirs.
+
+const { v4: uuidv4 } = require('uuid');
+const SERVER_CONFIG = require('../config');
+
+/**
+ * Invite a player into the inviter's party, or into a new one with them
+ * @param {Object} world - World both players are in
+ * @param {Object} inviter - Player sending the invite
+ * @param {*} name - Name of the player to invite, any case
+ * @returns {string|null} Why the invite wasn't sent, or null if it was
+ */
+function invitePlayer(world, inviter, name) {
+  const wanted = typeof name === 'string' ? name.trim().toLowerCase() : '';
+  const target = [...world.players.values()].find(other => other.name.toLowerCase() === wanted);
+  if (!target) {
+    return `No player named ${name} in this world.`;
+  }
+  if (target === inviter) {
+    return "You can't invite yourself.";
+  }
+  if (inviter.partyId && target.partyId === inviter.partyId) {
+    return `${target.name} is already in your party.`;
+  }
+  if (world.getPartyMembers(inviter).length >= SERVER_CONFIG.MAX_PARTY_SIZE) {
+    return 'Your party is full.';
+  }
+
+  // The party itself is only formed once the invite is accepted
+  target.partyInvite = { fromCharacterId: inviter.characterId, from: inviter.name };
+  world.sendToPlayer(target.id, 'partyInvited', { from: inviter.name });
+  return null;
+}
+
+/**
+ * Join the inviter's party, forming it if they aren't in one yet. The player
+ * leaves their current party first.
+ * @param {Object} world - World the player is in
+ * @param {Object} player - Invited player
+ * @returns {string|null} Why they couldn't join, or null if they did
+ */
+function acceptInvite(world, player) {
+  const invite = player.partyInvite;
+  if (!invite) {
+    return "You haven't been invited to a party.";
+  }
+  player.partyInvite = null;
+
+  const inviter = [...world.players.values()].find(other => other.characterId === invite.fromCharacterId);
+  if (!inviter) {
+    return `${invite.from} has left the world.`;
+  }
+  if (inviter.partyId && inviter.partyId === player.partyId) {
+    return `You're already in ${invite.from}'s party.`;
+  }
+  if (world.getPartyMembers(inviter).length >= SERVER_CONFIG.MAX_PARTY_SIZE) {
+    return `${invite.from}'s party is full.`;
+  }
+
+  if (player.partyId) {
+    leaveParty(world, player);
+  }
+  if (!inviter.partyId) {
+    inviter.partyId = uuidv4();
+  }
+  player.partyId = inviter.partyId;
+  sendPartyUpdate(world, world.getPartyMembers(player));
+  return null;
+}
+
+/**
+ * Take a player out of their party. A party left with one member breaks up.
+ * @param {Object} world - World the player is in
+ * @param {Object} player - Player leaving
+ * @returns {string|null} Why they couldn't leave, or null if they did
+ */
+function leaveParty(world, player) {
+  const { partyId } = player;
+  if (!partyId) {
+    return "You're not in a party.";
+  }
+
+  player.partyId = null;
+  world.sendToPlayer(player.id, 'partyUpdate', { members: [] });
+
+  const remaining = [...world.players.values()].filter(other => other.partyId === partyId);
+  if (remaining.length === 1) {
+    remaining[0].partyId = null;
+  }
+  sendPartyUpdate(world, remaining);
+  return null;
+}
+
+/**
+ * Tell the members of a party who is still in it
+ * @param {Object} world - World the party is in
+ * @param {Array} members - Players who were in the party
+ */
+function sendPartyUpdate(world, members) {
+  const names = members.filter(member => member.partyId).map(member => member.name);
+  members.forEach(member => world.sendToPlayer(member.id, 'partyUpdate', { members: names }));
+}
+
+module.exports = {
+  invitePlayer,
+  acceptInvite,
+  leaveParty
+};
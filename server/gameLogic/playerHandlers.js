@@ -1,61 +1,137 @@
 // Player connection and input handlers
 
+const { normalizeDirection, recordMovementInput } = require('./movementValidation');
+const metrics = require('../metrics');
+const { getContent } = require('./content');
+
+// Input types handled by handlePlayerInput
+const INPUT_TYPES = ['movement', 'attack', 'skill', 'item', 'exit', 'loot'];
+
+// Longest character name, matching the client's input
+const MAX_NAME_LENGTH = 16;
+
+/**
+ * Check the data for a new character
+ * @param {Object} playerData - Character data from client {name, characterClass}
+ * @returns {string|null} Error message, or null if valid
+ */
+function validatePlayerData(playerData) {
+  if (!playerData || !playerData.name || !playerData.characterClass) {
+    return 'Invalid player data. Name and class are required.';
+  }
+  
+  const name = String(playerData.name).trim();
+  if (name.length === 0 || name.length > MAX_NAME_LENGTH) {
+    return `Name must be 1-${MAX_NAME_LENGTH} characters.`;
+  }
+  
+  // Validate character class against content/classes.json
+  const validClasses = Object.keys(getContent().classes);
+  if (!validClasses.includes(String(playerData.characterClass).toLowerCase())) {
+    return `Invalid character class. Choose ${validClasses.join(', ')}.`;
+  }
+  
+  return null;
+}
+
 /**
- * Handle a new player connection
+ * Add a joining player to the world, continuing from their character's saved progress
  * @param {Object} socket - Socket.IO socket object
  * @param {Object} game - GameWorld instance
+ * @param {SessionManager} sessions - Sessions for resuming after a disconnect
+ * @param {Object} playerData - Join request from client {viewport}
+ * @param {Object} character - Account character record to play
+ * @param {Array} loadout - Items taken from the account stash
+ * @returns {Array} Loadout items that didn't fit, to go back to the stash
  */
-function handlePlayerConnection(socket, game) {
-  // Listen for player join event
-  socket.on('joinGame', (playerData) => {
-    // Validate player data
-    if (!playerData.name || !playerData.characterClass) {
-      socket.emit('error', { message: 'Invalid player data. Name and class are required.' });
-      return;
-    }
-    
-    // Validate character class
-    const validClasses = ['warrior', 'mage', 'ranger'];
-    if (!validClasses.includes(playerData.characterClass.toLowerCase())) {
-      socket.emit('error', { message: 'Invalid character class. Choose warrior, mage, or ranger.' });
-      return;
+function handleJoinGame(socket, game, sessions, playerData, character, loadout) {
+  // Create new player
+  const player = game.addPlayer(socket.id, {
+    name: character.name,
+    characterClass: character.characterClass
+  });
+  player.accountId = character.accountId;
+  player.characterId = character.id;
+  if (character.progress) {
+    player.loadProgress(character.progress);
+  }
+  const leftover = player.equipLoadout(loadout);
+  
+  // Size of the client's screen, used for area-of-interest filtering
+  if (playerData.viewport) {
+    game.interest.setViewport(socket.id, playerData.viewport.width, playerData.viewport.height);
+  }
+  
+  // Send initial game state to player, with a token for resuming after a disconnect
+  socket.emit('gameJoined', {
+    playerId: socket.id,
+    player: player.serialize(),
+    gameId: game.id,
+    gameName: game.name,
+    sessionToken: sessions.createSession(game.id, player),
+    worldSize: {
+      width: game.width,
+      height: game.height
     }
-    
-    // Create new player
-    const player = game.addPlayer(socket.id, {
-      name: playerData.name,
-      characterClass: playerData.characterClass.toLowerCase()
-    });
-    
-    // Join this game's room for broadcasts
-    socket.join(game.id);
-    
-    // Send initial game state to player
-    socket.emit('gameJoined', {
-      playerId: socket.id,
-      player: player.serialize(),
-      gameId: game.id,
-      worldSize: {
-        width: game.width,
-        height: game.height
-      }
-    });
-    
-    // Broadcast new player to others
-    socket.to(game.id).emit('playerJoined', {
-      playerId: socket.id,
-      player: player.serialize()
-    });
   });
   
+  // Broadcast new player to others
+  socket.to(game.id).emit('playerJoined', {
+    playerId: socket.id,
+    player: player.serialize()
+  });
+  
+  return leftover;
+}
+
+/**
+ * Listen for game events from a socket that joined a world
+ * @param {Object} socket - Socket.IO socket object
+ * @param {Object} game - GameWorld instance
+ */
+function handlePlayerConnection(socket, game) {
   // Listen for world data request
   socket.on('requestWorldData', () => {
     // Send biomes, exits, landmarks
-    socket.emit('worldData', {
-      biomes: game.biomes.map(biome => biome.serialize()),
-      exits: game.exits.map(exit => exit.serialize()),
-      landmarks: game.landmarks.map(landmark => landmark.serialize())
-    });
+    socket.emit('worldData', game.getWorldData());
+  });
+  
+  // Client resized its screen
+  socket.on('viewportResize', (data) => {
+    if (data) {
+      game.interest.setViewport(socket.id, data.width, data.height);
+    }
+  });
+  
+  // Client applied a gameState snapshot
+  socket.on('snapshotAck', (data) => {
+    if (data && Number.isInteger(data.snapshotId)) {
+      game.snapshots.acknowledge(socket.id, data.snapshotId);
+    }
+  });
+  
+  // Client lost track of the state and needs a full snapshot
+  socket.on('requestFullSnapshot', () => {
+    game.snapshots.resync(socket.id);
+  });
+}
+
+/**
+ * Reattach a reconnecting client to its character
+ * @param {Object} socket - Socket.IO socket object
+ * @param {Object} game - GameWorld instance
+ * @param {Object} player - Player the socket was reattached to
+ */
+function handleSessionResume(socket, game, player) {
+  socket.emit('sessionResumed', {
+    playerId: socket.id,
+    player: player.serialize(),
+    gameId: game.id,
+    gameName: game.name,
+    worldSize: {
+      width: game.width,
+      height: game.height
+    }
   });
 }
 
@@ -64,14 +140,22 @@ function handlePlayerConnection(socket, game) {
  * @param {Object} socket - Socket.IO socket object
  * @param {Object} game - GameWorld instance
  * @param {Object} inputData - Input data from client
+ * @param {Function} onExtract - Called with (player, exit) when the player leaves through an exit
  */
-function handlePlayerInput(socket, game, inputData) {
+function handlePlayerInput(socket, game, inputData, onExtract) {
   // Get player
   const player = game.players.get(socket.id);
   if (!player) {
     return;
   }
   
+  // Count inputs; unknown types share one label so clients can't add series
+  const type = INPUT_TYPES.includes(inputData.type) ? inputData.type : 'unknown';
+  metrics.increment('game_player_inputs_total', { world: game.id, type });
+  if (game.replay) {
+    game.replay.recordInput(player.id, inputData);
+  }
+  
   // Process input based on type
   switch (inputData.type) {
     case 'movement':
@@ -79,7 +163,7 @@ function handlePlayerInput(socket, game, inputData) {
       break;
       
     case 'attack':
-      handleAttackInput(player, game);
+      handleAttackInput(player, game, inputData);
       break;
       
     case 'skill':
@@ -91,7 +175,11 @@ function handlePlayerInput(socket, game, inputData) {
       break;
       
     case 'exit':
-      handleExitInteraction(socket, player, inputData, game);
+      handleExitInteraction(socket, player, inputData, game, onExtract);
+      break;
+      
+    case 'loot':
+      handleLootInteraction(socket, player, inputData, game);
       break;
       
     default:
@@ -107,39 +195,38 @@ function handlePlayerInput(socket, game, inputData) {
  * @param {Object} data - Movement data
  */
 function handleMovementInput(player, game, data) {
-  // Update player velocity based on input
-  const { directionX, directionY } = data;
+  // Ignore inputs from clients flooding the server
+  if (!recordMovementInput(player)) {
+    game.handleMovementViolation(player, 'movement input flood');
+    return;
+  }
+  
+  // Inputs are numbered so the client can replay the ones we haven't applied yet
+  if (Number.isInteger(data.sequence)) {
+    // Ignore inputs that arrive out of order
+    if (data.sequence <= player.lastProcessedInput) {
+      return;
+    }
+    player.lastProcessedInput = data.sequence;
+    player.inputElapsed = 0;
+  }
   
-  // Store old position for reference
-  const oldPos = { ...player.position };
+  // Clamp the requested direction to a unit vector
+  const direction = normalizeDirection(data.directionX, data.directionY);
   
-  // Calculate movement speed
+  // Set player velocity; the tick loop applies it
   const speed = player.getMovementSpeed();
-  
-  // Set player velocity
   player.velocity = {
-    x: directionX * speed,
-    y: directionY * speed
+    x: direction.x * speed,
+    y: direction.y * speed
   };
   
-  // Check for stop command
-  const isStopping = (directionX === 0 && directionY === 0);
-  if (isStopping) {
-    // Just stop the player without logging
-    player.velocity.x = 0;
-    player.velocity.y = 0;
-  } else {
-    // Update player position directly for testing
-    player.position.x += player.velocity.x * 0.05; // Assume 50ms delta time
-    player.position.y += player.velocity.y * 0.05;
-    
-    // Update player facing direction
-    if (directionX !== 0 || directionY !== 0) {
-      if (Math.abs(directionX) > Math.abs(directionY)) {
-        player.facingDirection = directionX > 0 ? 'right' : 'left';
-      } else {
-        player.facingDirection = directionY > 0 ? 'down' : 'up';
-      }
+  // Update player facing direction
+  if (direction.x !== 0 || direction.y !== 0) {
+    if (Math.abs(direction.x) > Math.abs(direction.y)) {
+      player.facingDirection = direction.x > 0 ? 'right' : 'left';
+    } else {
+      player.facingDirection = direction.y > 0 ? 'down' : 'up';
     }
   }
 }
@@ -148,21 +235,28 @@ function handleMovementInput(player, game, data) {
  * Process player attack input
  * @param {Object} player - Player object
  * @param {Object} game - GameWorld instance
+ * @param {Object} data - Attack data with the client's view time
  */
-function handleAttackInput(player, game) {
+function handleAttackInput(player, game, data) {
   // Handle basic attack
   if (player.attackCooldown <= 0) {
-    // For mage and ranger, create projectile attacks
-    if (player.characterClass === 'mage' || player.characterClass === 'ranger') {
+    // Hits are checked against targets where the client saw them
+    const rewindAmount = game.lagCompensator.getRewindAmount(data.viewTime);
+    
+    // Classes with a projectile (mage, ranger) fire it
+    if (player.getClass().projectile) {
       const projectile = player.fireProjectile();
       
       if (projectile) {
+        projectile.rewindAmount = rewindAmount;
+        
         // Broadcast projectile creation
         game.broadcastMessage('projectileCreated', {
           id: projectile.id,
           ownerId: player.id,
           type: projectile.type,
           position: projectile.position,
+          timestamp: projectile.createdAt,
           velocity: projectile.velocity,
           angle: projectile.angle
         });
@@ -172,6 +266,7 @@ function handleAttackInput(player, game) {
       // Set player as attacking
       player.isAttacking = true;
       player.attackDirection = player.facingDirection;
+      player.attackRewind = rewindAmount;
       
       // Set attack duration and cooldown
       player.attackDuration = player.getAttackDuration();
@@ -189,28 +284,33 @@ function handleAttackInput(player, game) {
 function handleSkillInput(player, game, data) {
   const { skillId } = data;
   
-  // Check if skill is on cooldown
-  if (player.skillCooldowns[skillId] > 0) {
+  // Only skills the class has, and not while on cooldown
+  const skills = player.getClass().skills;
+  if (!Object.prototype.hasOwnProperty.call(skills, skillId) || player.skillCooldowns[skillId] > 0) {
     return;
   }
+  player.skillCooldowns[skillId] = skills[skillId].cooldown;
+  
+  // Hits are checked against targets where the client saw them
+  const rewindAmount = game.lagCompensator.getRewindAmount(data.viewTime);
   
   // Use the skill based on character class
   if (player.characterClass === 'warrior') {
     if (skillId === 1) {
       // Cleave (multi-target melee attack)
-      useWarriorCleave(player, game);
+      useWarriorCleave(player, game, rewindAmount);
     }
   } 
   else if (player.characterClass === 'mage') {
     if (skillId === 1) {
       // Enhanced fireball (larger and more damage)
-      useMageFireball(player, game, data);
+      useMageFireball(player, game, data, rewindAmount);
     }
   } 
   else if (player.characterClass === 'ranger') {
     if (skillId === 1) {
       // Multi-shot (multiple arrows)
-      useRangerMultishot(player, game);
+      useRangerMultishot(player, game, rewindAmount);
     }
   }
 }
@@ -219,19 +319,19 @@ function handleSkillInput(player, game, data) {
  * Warrior's cleave skill
  * @param {Object} player - Player object
  * @param {Object} game - GameWorld instance
+ * @param {number} rewindAmount - Lag compensation in ms
  */
-function useWarriorCleave(player, game) {
-  // Set cleave cooldown
-  player.skillCooldowns[1] = 5000; // 5 seconds
-  
-  // Implement cleave effect
-  // This would actually be implemented in the game world's collision detection
+function useWarriorCleave(player, game, rewindAmount) {
   player.isUsingCleave = true;
   player.cleaveDirection = player.facingDirection;
   player.cleaveRange = 1.5 * player.getAttackRange(); // Wider attack
   
   // Set duration
   player.cleaveTimer = 500; // 0.5 seconds
+  
+  // Hit everything in the wider attack area at once
+  const hits = game.findMeleeHits(player, player.cleaveRange, rewindAmount);
+  hits.forEach(target => game.applyMeleeHit(player, target));
 }
 
 /**
@@ -239,11 +339,9 @@ function useWarriorCleave(player, game) {
  * @param {Object} player - Player object
  * @param {Object} game - GameWorld instance
  * @param {Object} data - Skill data with target position
+ * @param {number} rewindAmount - Lag compensation in ms
  */
-function useMageFireball(player, game, data) {
-  // Set fireball cooldown
-  player.skillCooldowns[1] = 8000; // 8 seconds
-  
+function useMageFireball(player, game, data, rewindAmount) {
   // Create an enhanced fireball projectile
   const projectile = player.createProjectile();
   
@@ -253,6 +351,7 @@ function useMageFireball(player, game, data) {
     projectile.explosionRadius *= 1.5; // 50% larger explosion
     projectile.width *= 1.5; // 50% larger size
     projectile.height *= 1.5;
+    projectile.rewindAmount = rewindAmount;
     
     // Add to player's projectiles
     player.projectiles.push(projectile);
@@ -263,6 +362,7 @@ function useMageFireball(player, game, data) {
       ownerId: player.id,
       type: projectile.type,
       position: projectile.position,
+      timestamp: projectile.createdAt,
       velocity: projectile.velocity,
       angle: projectile.angle,
       isSkill: true,
@@ -276,11 +376,9 @@ function useMageFireball(player, game, data) {
  * Ranger's multishot skill
  * @param {Object} player - Player object
  * @param {Object} game - GameWorld instance
+ * @param {number} rewindAmount - Lag compensation in ms
  */
-function useRangerMultishot(player, game) {
-  // Set multishot cooldown
-  player.skillCooldowns[1] = 6000; // 6 seconds
-  
+function useRangerMultishot(player, game, rewindAmount) {
   // Create multiple arrows
   const arrowCount = 3;
   const spreadAngle = 15; // degrees between arrows
@@ -292,6 +390,8 @@ function useRangerMultishot(player, game) {
   const centerArrow = player.createProjectile();
   
   if (centerArrow) {
+    centerArrow.rewindAmount = rewindAmount;
+    
     // Add to player's projectiles
     player.projectiles.push(centerArrow);
     
@@ -301,6 +401,7 @@ function useRangerMultishot(player, game) {
       ownerId: player.id,
       type: centerArrow.type,
       position: centerArrow.position,
+      timestamp: centerArrow.createdAt,
       velocity: centerArrow.velocity,
       angle: centerArrow.angle,
       isSkill: true
@@ -313,7 +414,7 @@ function useRangerMultishot(player, game) {
       const rightAngle = centerArrow.angle + (spreadAngle * i);
       
       // Create left arrow
-      const leftArrow = { ...centerArrow };
+      const leftArrow = { ...centerArrow, position: { ...centerArrow.position } };
       leftArrow.id = `${player.id}_proj_${Date.now()}_L${i}`;
       
       // Calculate velocity based on angle
@@ -325,7 +426,7 @@ function useRangerMultishot(player, game) {
       leftArrow.angle = leftAngle;
       
       // Create right arrow
-      const rightArrow = { ...centerArrow };
+      const rightArrow = { ...centerArrow, position: { ...centerArrow.position } };
       rightArrow.id = `${player.id}_proj_${Date.now()}_R${i}`;
       
       // Calculate velocity based on angle
@@ -346,6 +447,7 @@ function useRangerMultishot(player, game) {
         ownerId: player.id,
         type: leftArrow.type,
         position: leftArrow.position,
+        timestamp: leftArrow.createdAt,
         velocity: leftArrow.velocity,
         angle: leftArrow.angle,
         isSkill: true
@@ -357,6 +459,7 @@ function useRangerMultishot(player, game) {
         ownerId: player.id,
         type: rightArrow.type,
         position: rightArrow.position,
+        timestamp: rightArrow.createdAt,
         velocity: rightArrow.velocity,
         angle: rightArrow.angle,
         isSkill: true
@@ -392,14 +495,41 @@ function handleItemInteraction(player, data) {
   }
 }
 
+/**
+ * Open a corpse's loot window, or take an item from it
+ * @param {Object} socket - Socket.IO socket
+ * @param {Object} player - Player object
+ * @param {Object} data - Loot data {corpseId, itemId?}
+ * @param {Object} game - GameWorld instance
+ */
+function handleLootInteraction(socket, player, data, game) {
+  const corpse = game.corpses.get(data.corpseId);
+  const refusal = corpse ? corpse.checkLoot(player) : 'That corpse is gone.';
+  if (refusal) {
+    socket.emit('error', { message: refusal });
+    return;
+  }
+  
+  if (data.itemId) {
+    const lootRefusal = game.lootCorpse(player, corpse.id, data.itemId);
+    if (lootRefusal) {
+      socket.emit('error', { message: lootRefusal });
+    }
+  }
+  
+  // Send what's left, which closes the window once the corpse is empty
+  socket.emit('corpseContents', corpse.serializeContents());
+}
+
 /**
  * Handle player interaction with an exit point
  * @param {Object} socket - Socket.IO socket
  * @param {Object} player - Player object
  * @param {Object} data - Exit data
  * @param {Object} game - GameWorld instance
+ * @param {Function} onExtract - Takes the player and their gear out of the world
  */
-function handleExitInteraction(socket, player, data, game) {
+function handleExitInteraction(socket, player, data, game, onExtract) {
   const { exitId } = data;
   
   // Find the exit
@@ -410,35 +540,17 @@ function handleExitInteraction(socket, player, data, game) {
     return;
   }
   
-  // Check if player is close enough to the exit
-  const distance = Math.sqrt(
-    Math.pow(player.position.x - exit.position.x, 2) + 
-    Math.pow(player.position.y - exit.position.y, 2)
-  );
-  
-  if (distance <= exit.interactionRadius) {
-    // Save player's inventory/equipment to persistent storage
-    // This would actually interact with a database or other storage
-    
-    // Send confirmation to client
-    socket.emit('exitSuccess', {
-      exitId: exitId,
-      exitName: exit.name,
-      inventory: player.inventory,
-      equipment: player.equipment
-    });
-    
-    // Remove player from game
-    game.removePlayer(socket.id);
-    
-    // Leave the game room
-    socket.leave(game.id);
-  } else {
-    socket.emit('error', { message: 'Too far from exit' });
+  // Start channelling; the world extracts the player when it finishes
+  const refusal = game.startExtraction(player, exit, onExtract);
+  if (refusal) {
+    socket.emit('error', { message: refusal });
   }
 }
 
 module.exports = {
+  validatePlayerData,
+  handleJoinGame,
   handlePlayerConnection,
+  handleSessionResume,
   handlePlayerInput
 }; 
\ No newline at end of file
@@ -0,0 +1,35 @@
+// Spectator handlers: watching a world without a character
+
+/**
+ * Add a spectating socket to the world
+ * @param {Object} socket - Socket.IO socket object
+ * @param {Object} game - GameWorld instance
+ * @param {Object} data - Spectate request from client {viewport}
+ */
+function handleSpectate(socket, game, data) {
+  const spectator = game.addSpectator(socket.id);
+
+  // Size of the client's screen, used for area-of-interest filtering
+  if (data && data.viewport) {
+    game.interest.setViewport(socket.id, data.viewport.width, data.viewport.height);
+  }
+
+  // Spectators are sent what's around their camera, so keep it up to date
+  socket.on('spectatorCamera', (position) => {
+    game.moveSpectator(socket.id, position);
+  });
+
+  socket.emit('spectating', {
+    gameId: game.id,
+    gameName: game.name,
+    position: spectator.position,
+    worldSize: {
+      width: game.width,
+      height: game.height
+    }
+  });
+}
+
+module.exports = {
+  handleSpectate
+};
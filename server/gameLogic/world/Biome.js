@@ -1,3 +1,5 @@
+const { getBiomeDefinition } = require('../content');
+
 /**
  * Represents a biome in the game world
  */
@@ -23,39 +25,12 @@ class Biome {
    * Set biome-specific properties based on type
    */
   setProperties() {
-    // Monster spawn rates and types
-    switch (this.type) {
-      case 'forest':
-        this.monsterTypes = ['wolf', 'bear', 'bandit'];
-        this.monsterDensity = 0.0003; // Monsters per square pixel
-        this.dangerLevel = 1;
-        this.color = '#228B22'; // Forest green
-        break;
-      case 'swamp':
-        this.monsterTypes = ['slime', 'troll', 'snake'];
-        this.monsterDensity = 0.0004;
-        this.dangerLevel = 2;
-        this.color = '#2F4F4F'; // Dark slate gray
-        break;
-      case 'ruins':
-        this.monsterTypes = ['skeleton', 'ghost', 'cultist'];
-        this.monsterDensity = 0.0005;
-        this.dangerLevel = 3;
-        this.color = '#8B4513'; // Saddle brown
-        break;
-      case 'mountains':
-        this.monsterTypes = ['golem', 'griffon', 'harpy'];
-        this.monsterDensity = 0.0002;
-        this.dangerLevel = 4;
-        this.color = '#A9A9A9'; // Dark gray
-        break;
-      default:
-        // Default to forest properties
-        this.monsterTypes = ['wolf', 'bear', 'bandit'];
-        this.monsterDensity = 0.0003;
-        this.dangerLevel = 1;
-        this.color = '#228B22';
-    }
+    // Monster spawn rates and types come from content/biomes.json
+    const definition = getBiomeDefinition(this.type);
+    this.monsterTypes = definition.monsterTypes;
+    this.monsterDensity = definition.monsterDensity; // Monsters per square pixel
+    this.dangerLevel = definition.dangerLevel;
+    this.color = definition.color;
   }
   
   /**
@@ -69,12 +44,13 @@ class Biome {
   
   /**
    * Get a random position within this biome
+   * @param {Random} random - Seeded generator
    * @returns {Object} Random position {x, y}
    */
-  getRandomPosition() {
+  getRandomPosition(random) {
     // Get a random position within the biome's radius
-    const angle = Math.random() * 2 * Math.PI;
-    const distance = Math.random() * this.size;
+    const angle = random.next() * 2 * Math.PI;
+    const distance = random.next() * this.size;
     
     return {
       x: this.position.x + Math.cos(angle) * distance,
@@ -84,10 +60,11 @@ class Biome {
   
   /**
    * Get a random monster type for this biome
+   * @param {Random} random - Seeded generator
    * @returns {string} Monster type
    */
-  getRandomMonsterType() {
-    return this.monsterTypes[Math.floor(Math.random() * this.monsterTypes.length)];
+  getRandomMonsterType(random) {
+    return this.monsterTypes[Math.floor(random.next() * this.monsterTypes.length)];
   }
   
   /**
@@ -15,6 +15,19 @@ class Exit {
     this.position = position;
     this.safeZoneRadius = safeZoneRadius;
     this.interactionRadius = 50; // How close a player needs to be to use the exit
+    
+    // Window in which the exit can be used, in ms since the raid started
+    this.opensAt = 0;
+    this.closesAt = null; // Open until the raid ends
+  }
+  
+  /**
+   * Check if the exit can be used at a point in the raid
+   * @param {number} elapsed - Time since the raid started in ms
+   * @returns {boolean} True if the exit is open
+   */
+  isOpen(elapsed) {
+    return elapsed >= this.opensAt && (this.closesAt === null || elapsed < this.closesAt);
   }
   
   /**
@@ -55,7 +68,9 @@ class Exit {
       name: this.name,
       position: this.position,
       safeZoneRadius: this.safeZoneRadius,
-      interactionRadius: this.interactionRadius
+      interactionRadius: this.interactionRadius,
+      opensAt: this.opensAt,
+      closesAt: this.closesAt
     };
   }
 }
@@ -9,22 +9,24 @@ class Landmark {
    * @param {Object} position - Position {x, y}
    * @param {string} type - Landmark type
    * @param {string} biomeType - The biome this landmark is in
+   * @param {Random} random - Seeded generator for the boss spawn roll
    */
-  constructor(id, name, position, type, biomeType) {
+  constructor(id, name, position, type, biomeType, random) {
     this.id = id;
     this.name = name;
     this.position = position;
     this.type = type;
     this.biomeType = biomeType;
     this.radius = 50; // Visual/interaction radius
-    this.isBossSpawn = this.determineIfBossSpawn();
+    this.isBossSpawn = this.determineIfBossSpawn(random);
   }
   
   /**
    * Determine if this landmark can be a boss spawn point
+   * @param {Random} random - Seeded generator
    * @returns {boolean} True if this can be a boss spawn
    */
-  determineIfBossSpawn() {
+  determineIfBossSpawn(random) {
     // Some landmark types are more likely to be boss spawns
     const bossSpawnTypes = [
       'abandoned temple', 'crumbling castle', 'ancient tree',
@@ -33,10 +35,10 @@ class Landmark {
     
     // Check if this landmark type is in the boss spawn list
     if (bossSpawnTypes.some(t => this.type.includes(t))) {
-      return Math.random() < 0.7; // 70% chance for these types
+      return random.next() < 0.7; // 70% chance for these types
     }
     
-    return Math.random() < 0.3; // 30% chance for other types
+    return random.next() < 0.3; // 30% chance for other types
   }
   
   /**
@@ -55,9 +57,10 @@ class Landmark {
   
   /**
    * Get boss type that can spawn at this landmark
+   * @param {Random} random - Seeded generator
    * @returns {string} Boss type id
    */
-  getPossibleBossType() {
+  getPossibleBossType(random) {
     // Map landmark types to possible boss types
     const bossMapping = {
       'abandoned temple': ['lich', 'demon'],
@@ -81,7 +84,7 @@ class Landmark {
     // Find boss types for this landmark
     for (const [landmarkType, bossTypes] of Object.entries(bossMapping)) {
       if (this.type.includes(landmarkType)) {
-        return bossTypes[Math.floor(Math.random() * bossTypes.length)];
+        return bossTypes[Math.floor(random.next() * bossTypes.length)];
       }
     }
     
@@ -94,7 +97,7 @@ class Landmark {
     };
     
     const bossList = biomeBosses[this.biomeType] || ['demon', 'dragon'];
-    return bossList[Math.floor(Math.random() * bossList.length)];
+    return bossList[Math.floor(random.next() * bossList.length)];
   }
   
   /**
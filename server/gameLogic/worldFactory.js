@@ -0,0 +1,33 @@
+const TestWorld = require('./TestWorld');
+const GameWorld = require('./GameWorld');
+
+// World implementations by mode name
+const WORLD_TYPES = {
+  test: TestWorld,
+  full: GameWorld
+};
+
+const WORLD_MODES = Object.keys(WORLD_TYPES);
+
+/**
+ * Create a world for the given mode
+ * @param {string} mode - World mode name (see WORLD_MODES)
+ * @param {string} id - Unique world ID
+ * @param {Object} [options]
+ * @param {string} [options.seed] - World seed; random if omitted
+ * @param {Object} [options.snapshot] - Saved state to restore instead of generating a new world
+ * @returns {Object} New world instance
+ */
+function createWorld(mode, id, options = {}) {
+  const WorldType = WORLD_TYPES[mode];
+  if (!WorldType) {
+    throw new Error(`Unknown world mode "${mode}". Expected one of: ${WORLD_MODES.join(', ')}`);
+  }
+
+  return new WorldType(id, options);
+}
+
+module.exports = {
+  WORLD_MODES,
+  createWorld
+};
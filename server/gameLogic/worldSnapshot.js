@@ -0,0 +1,174 @@
+// Saving worlds to JSON and restoring them, so a restart doesn't wipe progress
+
+const fs = require('fs');
+const path = require('path');
+const Player = require('./entities/Player');
+const Monster = require('./entities/Monster');
+const Boss = require('./entities/Boss');
+const Corpse = require('./entities/Corpse');
+const Item = require('./items/Item');
+const Biome = require('./world/Biome');
+const Exit = require('./world/Exit');
+const Landmark = require('./world/Landmark');
+const Raid = require('./Raid');
+const { generateSeed, createRandomStreams } = require('./Random');
+
+/**
+ * Rebuild a class instance from its saved fields
+ * @param {Function} Type - Class to rebuild
+ * @param {Object} data - Saved fields
+ * @returns {Object} Instance with the saved fields
+ */
+function revive(Type, data) {
+  return Object.assign(Object.create(Type.prototype), data);
+}
+
+/**
+ * Save a monster or boss, dropping its reference to the player it chases
+ * @param {Object} monster - Monster or boss
+ * @returns {Object} Saved fields
+ */
+function snapshotMonster(monster) {
+  return { ...monster, target: null };
+}
+
+/**
+ * Save a player without transient per-connection state
+ * @param {Object} player - Player object
+ * @returns {Object} Saved fields
+ */
+function snapshotPlayer(player) {
+  return { ...player, projectiles: [], velocity: { x: 0, y: 0 }, isAttacking: false };
+}
+
+/**
+ * Restore a player's items as Item instances
+ * @param {Object} data - Saved player fields
+ * @returns {Player} Restored player, held as disconnected until its client resumes
+ */
+function restorePlayer(data) {
+  const player = revive(Player, data);
+  player.inventory = player.inventory.map(item => revive(Item, item));
+  for (const slot of Object.keys(player.equipment)) {
+    if (player.equipment[slot]) {
+      player.equipment[slot] = revive(Item, player.equipment[slot]);
+    }
+  }
+  player.disconnected = true;
+  player.lastTickPosition = null;
+  return player;
+}
+
+/**
+ * Restore a corpse and the items in it
+ * @param {Object} data - Saved corpse fields
+ * @returns {Corpse} Restored corpse
+ */
+function restoreCorpse(data) {
+  const corpse = revive(Corpse, data);
+  corpse.items = corpse.items.map(item => revive(Item, item));
+  return corpse;
+}
+
+/**
+ * Save everything needed to rebuild a world
+ * @param {Object} world - World to save
+ * @returns {Object} Plain JSON-safe world state
+ */
+function snapshotWorld(world) {
+  return {
+    id: world.id,
+    mode: world.mode,
+    name: world.name,
+    createdAt: world.createdAt,
+    seed: world.seed,
+    secretSeed: world.secretSeed,
+    randomState: Object.fromEntries(
+      Object.entries(world.random).map(([stream, random]) => [stream, random.state])
+    ),
+    width: world.width,
+    height: world.height,
+    biomes: world.biomes,
+    exits: world.exits,
+    landmarks: world.landmarks,
+    raid: { duration: world.raid.duration, elapsed: world.raid.getElapsed() },
+    players: [...world.players.values()].map(snapshotPlayer),
+    monsters: [...world.monsters.values()].map(snapshotMonster),
+    bosses: [...world.bosses.values()].map(snapshotMonster),
+    items: [...world.items.values()],
+    corpses: [...world.corpses.values()]
+  };
+}
+
+/**
+ * Load saved state into a freshly constructed world
+ * @param {Object} world - World to fill
+ * @param {Object} data - State from snapshotWorld
+ */
+function restoreWorld(world, data) {
+  world.name = data.name;
+  world.createdAt = data.createdAt;
+  world.width = data.width;
+
+  // Carry on each random sequence from where it was saved
+  world.seed = data.seed;
+  world.secretSeed = data.secretSeed || generateSeed();
+  world.random = createRandomStreams(data.seed, world.secretSeed);
+  for (const [stream, state] of Object.entries(data.randomState)) {
+    world.random[stream].state = state;
+  }
+
+  world.height = data.height;
+  world.biomes = data.biomes.map(biome => revive(Biome, biome));
+  world.exits = data.exits.map(exit => revive(Exit, exit));
+  world.landmarks = data.landmarks.map(landmark => revive(Landmark, landmark));
+
+  // The clock doesn't run while the server is down
+  world.raid = new Raid(data.raid.duration, Date.now() - data.raid.elapsed);
+
+  world.players = new Map(data.players.map(player => [player.id, restorePlayer(player)]));
+  world.monsters = new Map(data.monsters.map(monster => [monster.id, revive(Monster, monster)]));
+  world.bosses = new Map(data.bosses.map(boss => [boss.id, revive(Boss, boss)]));
+  world.items = new Map(data.items.map(item => [item.id, revive(Item, item)]));
+  world.corpses = new Map((data.corpses || []).map(corpse => [corpse.id, restoreCorpse(corpse)]));
+  world.projectiles = new Map();
+}
+
+/**
+ * Write saved worlds to disk, with the secret their players' session tokens
+ * are signed with so the tokens still verify after the restart
+ * @param {string} file - Snapshot file path
+ * @param {Array} worlds - Saved worlds
+ * @param {string} sessionSecret - Key session tokens are signed with
+ */
+function writeSnapshotFile(file, worlds, sessionSecret) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  // Write then rename so a crash mid-write can't leave a truncated file.
+  // Only the server's user may read it, as it holds the session secret
+  const tempFile = `${file}.tmp`;
+  fs.writeFileSync(tempFile, JSON.stringify({ savedAt: Date.now(), sessionSecret, worlds }), { mode: 0o600 });
+  fs.renameSync(tempFile, file);
+}
+
+/**
+ * Read saved worlds from disk and remove the file so they're only restored once
+ * @param {string} file - Snapshot file path
+ * @returns {Object} {worlds, sessionSecret}; no worlds and a null secret if there is no snapshot
+ */
+function readSnapshotFile(file) {
+  if (!fs.existsSync(file)) {
+    return { worlds: [], sessionSecret: null };
+  }
+
+  const { worlds, sessionSecret } = JSON.parse(fs.readFileSync(file, 'utf8'));
+  fs.unlinkSync(file);
+  return { worlds, sessionSecret: sessionSecret || null };
+}
+
+module.exports = {
+  snapshotWorld,
+  restoreWorld,
+  writeSnapshotFile,
+  readSnapshotFile
+};
@@ -1,99 +1,674 @@
 const express = require('express');
 const http = require('http');
 const path = require('path');
+const { performance } = require('perf_hooks');
 const { Server } = require('socket.io');
-const { v4: uuidv4 } = require('uuid');
 
 // Game logic imports
-// Replace GameWorld with TestWorld for debugging
-const TestWorld = require('./gameLogic/TestWorld');
-const { handlePlayerInput, handlePlayerConnection } = require('./gameLogic/playerHandlers');
+const SERVER_CONFIG = require('./config');
+const metrics = require('./metrics');
+const GameLoop = require('./gameLogic/GameLoop');
+const { WORLD_MODES } = require('./gameLogic/worldFactory');
+const { loadContent, watchContent } = require('./gameLogic/content');
+const Lobby = require('./gameLogic/Lobby');
+const SessionManager = require('./gameLogic/SessionManager');
+const { AccountManager, AccountError } = require('./gameLogic/AccountManager');
+const StashManager = require('./gameLogic/StashManager');
+const { invitePlayer, acceptInvite, leaveParty } = require('./gameLogic/parties');
+const ChatService = require('./gameLogic/ChatService');
+const { createChatCommands } = require('./gameLogic/chatCommands');
+const { createStorage } = require('./storage');
+const { writeSnapshotFile, readSnapshotFile } = require('./gameLogic/worldSnapshot');
+const createLobbyRouter = require('./api/lobby');
+const createAdminRouter = require('./api/admin');
+const createAccountRouter = require('./api/accounts');
+const {
+  handleJoinGame,
+  handlePlayerInput,
+  handlePlayerConnection,
+  handleSessionResume
+} = require('./gameLogic/playerHandlers');
+const { handleSpectate } = require('./gameLogic/spectatorHandlers');
 
 // Create Express app and HTTP server
 const app = express();
 const server = http.createServer(app);
 const io = new Server(server);
 
+// Fail fast on a misconfigured world mode
+if (!WORLD_MODES.includes(SERVER_CONFIG.WORLD_MODE)) {
+  console.error(`Invalid WORLD_MODE "${SERVER_CONFIG.WORLD_MODE}". Expected one of: ${WORLD_MODES.join(', ')}`);
+  process.exit(1);
+}
+
+// Fail fast on broken content files, listing every problem
+try {
+  loadContent();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
+// Accounts and their characters, in the configured storage
+let storage;
+try {
+  storage = createStorage();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+const accounts = new AccountManager(storage);
+const stash = new StashManager(storage);
+
+// Worlds saved at the last shutdown, restored once the server is set up
+let saved = { worlds: [], sessionSecret: null };
+try {
+  saved = readSnapshotFile(SERVER_CONFIG.WORLD_SNAPSHOT_FILE);
+} catch (error) {
+  console.error('Failed to read saved worlds:', error);
+}
+
+// Game state. Sessions keep the saved secret so restored players' tokens still verify
+const lobby = new Lobby(io);
+const sessions = new SessionManager(SERVER_CONFIG.SESSION_SECRET || saved.sessionSecret || undefined);
+const bans = new Map(); // Ban details by client address
+const joiningCharacters = new Set(); // IDs of characters being loaded to join a world
+const mutes = new Map(); // Chat mute details by account ID
+const chat = new ChatService(lobby, mutes);
+const commands = createChatCommands(chat);
+
+// Apply edited content files without a restart; clients update their class mirrors.
+// Edits removing a class, monster or boss still in a world are refused
+if (SERVER_CONFIG.CONTENT_HOT_RELOAD) {
+  watchContent((content) => {
+    for (const game of lobby.games.values()) {
+      game.applyContent(SERVER_CONFIG.CONTENT_RESCALE_ON_RELOAD);
+    }
+    io.emit('contentReloaded', { classes: content.classes });
+    console.log(`Content reloaded${SERVER_CONFIG.CONTENT_RESCALE_ON_RELOAD ? ', live monsters rescaled' : ''}`);
+  }, () => lobby.getContentInUse());
+}
+
 // Serve static files from the public directory
 app.use(express.static(path.join(__dirname, '../client')));
 
-// Game state
-const games = new Map(); // Map of game worlds by ID
-const MAX_PLAYERS_PER_GAME = 30;
+// Lobby API for the world list
+app.use(express.json());
+app.use('/api', createLobbyRouter(lobby));
+app.use('/api', createAccountRouter({ accounts, stash, lobby }));
+
+// Admin API for moderating live servers
+if (SERVER_CONFIG.ADMIN_TOKEN) {
+  app.use('/api/admin', createAdminRouter({ lobby, io, bans, mutes }));
+} else {
+  console.log('Admin API disabled; set ADMIN_TOKEN to enable it');
+}
+
+// Prometheus metrics
+metrics.addCollector(() => {
+  ['game_entities', 'game_players'].forEach(name => metrics.clear(name));
+  
+  for (const game of lobby.games.values()) {
+    const world = game.id;
+    ['monsters', 'bosses', 'items', 'projectiles'].forEach(type => {
+      metrics.set('game_entities', { world, type }, game[type].size);
+    });
+    
+    const disconnected = [...game.players.values()].filter(player => player.disconnected).length;
+    metrics.set('game_players', { world, state: 'connected' }, game.players.size - disconnected);
+    metrics.set('game_players', { world, state: 'disconnected' }, disconnected);
+  }
+  
+  metrics.set('game_worlds', {}, lobby.games.size);
+  metrics.set('game_connected_clients', {}, io.engine.clientsCount);
+});
+app.get('/metrics', (req, res) => {
+  res.type('text/plain; version=0.0.4').send(metrics.render());
+});
+
+// Set once SIGTERM/SIGINT starts the shutdown countdown
+let shuttingDown = false;
+
+// Refuse connections from banned addresses, and everyone while shutting down
+io.use((socket, next) => {
+  if (shuttingDown) {
+    return next(new Error('Server is restarting'));
+  }
+  
+  const ban = bans.get(socket.handshake.address);
+  if (ban) {
+    return next(new Error(`Banned: ${ban.reason}`));
+  }
+  next();
+});
 
-// Find or create a game for a player to join
-function findOrCreateGame() {
-  // Try to find a game with space
-  for (const [id, game] of games.entries()) {
-    if (game.players.size < MAX_PLAYERS_PER_GAME) {
-      return game;
+// Clean up lobby-created worlds nobody joined
+setInterval(() => lobby.removeIdleGames(), SERVER_CONFIG.EMPTY_WORLD_TIMEOUT_MS / 2);
+
+// Save an account character's progress, logging failures rather than throwing
+function saveCharacter(player) {
+  return accounts.saveProgress(player).catch(error => {
+    console.error(`Failed to save character ${player.name}:`, error);
+  });
+}
+
+// Save every character in a world
+function saveAllCharacters() {
+  const players = [...lobby.games.values()].flatMap(game => [...game.players.values()]);
+  return Promise.all(players.map(saveCharacter));
+}
+
+// Look up the character a socket wants to join with, and take its loadout from the stash
+async function prepareCharacter(playerData, loadout) {
+  const account = await accounts.authenticate(playerData.authToken);
+  if (!account) {
+    throw new AccountError('Please log in again.', 401);
+  }
+  
+  const character = await accounts.getCharacter(account, playerData.characterId);
+  if (!character) {
+    throw new AccountError('Character not found.', 404);
+  }
+  // Each character can only be in one world at a time
+  if (lobby.findCharacter(character.id)) {
+    throw new AccountError('That character is already in a world.', 409);
+  }
+  
+  const items = await stash.withdraw(account.id, loadout);
+  return { account, character, items };
+}
+
+// Put loadout items back in the stash when they can't be used
+function returnToStash(accountId, items) {
+  if (items.length === 0) return;
+  stash.deposit(accountId, items).catch(error => {
+    console.error('Failed to return items to the stash:', error);
+  });
+}
+
+// Characters are also saved now and then, so a crash loses little progress
+setInterval(saveAllCharacters, SERVER_CONFIG.CHARACTER_SAVE_INTERVAL_MS);
+
+// Remove a player for good, cleaning up their session and empty games
+function removePlayerFromGame(game, socketId) {
+  const player = game.players.get(socketId);
+  if (!player) return;
+  
+  saveCharacter(player);
+  sessions.end(player.sessionId);
+  game.removePlayer(socketId);
+  
+  // Clean up empty games
+  if (game.players.size === 0) {
+    lobby.removeGame(game.id);
+  }
+}
+
+// Close a world whose raid timer ran out. Players still inside count as
+// dead and are disconnected, which removes them like a kick
+function endRaid(game) {
+  console.log(`Raid ended in world "${game.name}" with ${game.players.size} players inside`);
+  for (const player of [...game.players.values()]) {
+    game.handleRaidTimeout(player);
+    player.kicked = true;
+    
+    const socket = io.sockets.sockets.get(player.id);
+    if (socket) {
+      socket.disconnect(true);
+    } else {
+      removePlayerFromGame(game, player.id);
     }
   }
   
-  // Create a new game if all are full
-  const gameId = uuidv4();
-  // Use TestWorld instead of GameWorld
-  const newGame = new TestWorld(gameId);
-  games.set(gameId, newGame);
+  // Nobody was playing, but spectators may be watching
+  if (lobby.getGame(game.id)) {
+    lobby.removeGame(game.id);
+  }
+}
+
+// Keep a disconnected player's character around for the session grace period
+function holdPlayer(game, player) {
+  sessions.hold(player.sessionId, () => {
+    console.log(`Session expired for ${player.name}`);
+    removePlayerFromGame(game, player.id);
+  });
+}
+
+// Reattach a reconnecting client to its character, if its session token is still good
+function resumeSession(socket) {
+  const sessionToken = socket.handshake.auth && socket.handshake.auth.sessionToken;
+  if (!sessionToken) return null;
+  
+  const found = sessions.verify(sessionToken);
+  const game = found && lobby.getGame(found.session.gameId);
+  if (!game || !game.players.has(found.session.playerId)) {
+    socket.emit('sessionExpired', { message: 'Your session has expired. Please join again.' });
+    return null;
+  }
+  
+  // The old socket may not have noticed the connection dropped yet
+  const oldSocketId = found.session.playerId;
+  const oldSocket = io.sockets.sockets.get(oldSocketId);
+  
+  const player = game.reattachPlayer(oldSocketId, socket.id);
+  sessions.resume(found.sessionId, socket.id);
+  if (oldSocket) {
+    oldSocket.disconnect(true);
+  }
   
-  console.log(`Created new test game world with ID: ${gameId}`);
-  return newGame;
+  console.log(`Player ${player.name} resumed session on ${socket.id}`);
+  return { game, player };
 }
 
+// Events clients send; anything else is counted under one label so clients can't add series
+const CLIENT_EVENTS = [
+  'joinGame', 'spectateGame', 'playerInput', 'chatMessage', 'chatCommand',
+  'partyInvite', 'partyAccept', 'partyLeave', 'spectatorCamera',
+  'requestWorldData', 'viewportResize', 'snapshotAck', 'requestFullSnapshot'
+];
+
 // Socket.IO connection handling
 io.on('connection', (socket) => {
   console.log(`Player connected: ${socket.id}`);
   
-  // Find a game for the player to join
-  const game = findOrCreateGame();
-  
-  // Socket.IO room for game
-  socket.join(game.id);
+  // Count every event the client sends, by name
+  socket.onAny((event) => {
+    metrics.increment('game_socket_events_total', { event: CLIENT_EVENTS.includes(event) ? event : 'unknown' });
+  });
   
-  // Enhanced broadcast messages for TestWorld
-  // Add these functions to work with TestWorld
-  game.broadcastMessage = function(event, data) {
-    io.to(game.id).emit(event, data);
+  // World this socket is playing in, once it joined or resumed
+  let game = null;
+  let spectating = false; // Watching the world without a character
+  let joining = false; // Checking a world password or looking up the character to join with
+  let joinAttempts = []; // Times of recent join and spectate attempts
+  const checkJoinRate = () => {
+    const now = Date.now();
+    joinAttempts = joinAttempts.filter(time => now - time < SERVER_CONFIG.JOIN_RATE_WINDOW_MS);
+    if (joinAttempts.length >= SERVER_CONFIG.JOIN_RATE_LIMIT) {
+      return 'Too many attempts to join. Try again in a minute.';
+    }
+    joinAttempts.push(now);
+    return null;
   };
+  const enterGame = (joinedGame) => {
+    game = joinedGame;
+    
+    // Socket.IO room for game
+    socket.join(game.id);
+    
+    // Handle player connection
+    handlePlayerConnection(socket, game);
+  };
+  
+  // Resume a previous session if the client has one
+  const resumed = resumeSession(socket);
+  if (resumed) {
+    enterGame(resumed.game);
+    handleSessionResume(socket, game, resumed.player);
+  }
+  
+  // Join a world picked in the lobby, or quick join a public one, as a
+  // character from the logged-in account
+  socket.on('joinGame', async (playerData) => {
+    if (game || joining) {
+      socket.emit('joinError', { message: 'Already in a world.' });
+      return;
+    }
+    
+    const rateRefusal = checkJoinRate();
+    if (rateRefusal) {
+      socket.emit('joinError', { message: rateRefusal });
+      return;
+    }
+    
+    if (!playerData || typeof playerData.characterId !== 'string') {
+      socket.emit('joinError', { message: 'Pick a character to play.' });
+      return;
+    }
+    
+    // Items to take from the stash into the world
+    const loadout = playerData.loadout || [];
+    if (!Array.isArray(loadout) || loadout.length > SERVER_CONFIG.MAX_LOADOUT_ITEMS ||
+        !loadout.every(itemId => typeof itemId === 'string')) {
+      socket.emit('joinError', { message: `Pick at most ${SERVER_CONFIG.MAX_LOADOUT_ITEMS} items to bring.` });
+      return;
+    }
+    
+    // Reserve the character before waiting on storage, so two joins with
+    // it at once can't both pass the check that it isn't in a world
+    const { characterId } = playerData;
+    if (joiningCharacters.has(characterId)) {
+      socket.emit('joinError', { message: 'That character is already joining a world.' });
+      return;
+    }
+    joining = true;
+    joiningCharacters.add(characterId);
+    let joined;
+    try {
+      // Check a private world's password before taking anything out of the stash
+      const picked = playerData.worldId && lobby.getGame(playerData.worldId);
+      const refusal = picked && await lobby.checkPassword(picked, playerData.password);
+      if (refusal) {
+        socket.emit('joinError', { message: refusal });
+        return;
+      }
+      
+      joined = await prepareCharacter(playerData, loadout);
+    } catch (error) {
+      if (!(error instanceof AccountError)) {
+        console.error('Failed to load character:', error);
+      }
+      socket.emit('joinError', { message: error instanceof AccountError ? error.message : 'Failed to load your character.' });
+      return;
+    } finally {
+      joining = false;
+      joiningCharacters.delete(characterId);
+    }
+    
+    const { account, character, items } = joined;
+    
+    // The socket may have started spectating, or disconnected, while we waited
+    if (game || !socket.connected) {
+      returnToStash(account.id, items);
+      return;
+    }
+    
+    // Check again right before entering, as a character must only ever be in one world
+    if (lobby.findCharacter(character.id)) {
+      returnToStash(account.id, items);
+      socket.emit('joinError', { message: 'That character is already in a world.' });
+      return;
+    }
+    
+    let target;
+    if (playerData.worldId) {
+      target = lobby.getGame(playerData.worldId);
+      const refusal = target ? lobby.checkJoin(target) : 'World not found.';
+      if (refusal) {
+        returnToStash(account.id, items);
+        socket.emit('joinError', { message: refusal });
+        return;
+      }
+    } else {
+      target = await lobby.findOrCreateGame();
+      if (!target) {
+        returnToStash(account.id, items);
+        socket.emit('joinError', { message: 'Every world is full. Try again soon.' });
+        return;
+      }
+    }
+    
+    enterGame(target);
+    returnToStash(account.id, handleJoinGame(socket, game, sessions, playerData, character, items));
+    
+    const player = game.players.get(socket.id);
+    player.isAdmin = SERVER_CONFIG.ADMIN_ACCOUNTS.includes(account.username.toLowerCase());
+    
+    // The loadout belongs to the character now, so save it right away
+    saveCharacter(player);
+  });
   
-  game.sendToPlayer = function(playerId, event, data) {
-    io.to(playerId).emit(event, data);
+  // Take a player and everything they carry out through an exit, into their account's stash
+  const extract = (player, exit) => {
+    const items = player.takeAllItems();
+    socket.leave(game.id);
+    removePlayerFromGame(game, socket.id);
+    game = null;
+    
+    stash.deposit(player.accountId, items).then(({ stored, lost }) => {
+      console.log(`${player.name} extracted through ${exit.name} with ${stored} items`);
+      socket.emit('exitSuccess', { exitId: exit.id, exitName: exit.name, stored, lost });
+    }, (error) => {
+      console.error(`Failed to stash items for ${player.name}:`, error);
+      socket.emit('error', { message: 'Your items could not be stashed.' });
+    });
   };
   
-  // Handle player connection
-  handlePlayerConnection(socket, game);
+  // Watch a world without a character. Players already in a world give
+  // up their character, e.g. to keep watching their party after dying
+  socket.on('spectateGame', async (data) => {
+    if (spectating) {
+      socket.emit('joinError', { message: 'Already spectating.' });
+      return;
+    }
+    if (joining) {
+      socket.emit('joinError', { message: 'Already joining a world.' });
+      return;
+    }
+    
+    const rateRefusal = checkJoinRate();
+    if (rateRefusal) {
+      socket.emit('joinError', { message: rateRefusal });
+      return;
+    }
+    
+    if (game) {
+      const player = game.players.get(socket.id);
+      if (player) {
+        // The world stays up while someone is watching it
+        saveCharacter(player);
+        sessions.end(player.sessionId);
+        game.removePlayer(socket.id);
+      }
+    } else {
+      const target = data && lobby.getGame(data.worldId);
+      let refusal = target ? lobby.checkSpectate(target) : 'World not found.';
+      if (!refusal) {
+        joining = true;
+        try {
+          refusal = await lobby.checkPassword(target, data.password);
+        } finally {
+          joining = false;
+        }
+        
+        // The socket may have joined or disconnected, or the world filled up or closed, while we waited
+        if (game || !socket.connected) {
+          return;
+        }
+        refusal = refusal || (lobby.getGame(target.id) === target ? lobby.checkSpectate(target) : 'World not found.');
+      }
+      if (refusal) {
+        socket.emit('joinError', { message: refusal });
+        return;
+      }
+      enterGame(target);
+    }
+    
+    spectating = true;
+    handleSpectate(socket, game, data);
+    console.log(`${socket.id} is spectating world "${game.name}"`);
+  });
   
-  // Handle player inputs
+  // Handle player inputs; spectators have no character to control
   socket.on('playerInput', (data) => {
-    handlePlayerInput(socket, game, data);
+    if (spectating) {
+      socket.emit('error', { message: 'Spectators cannot send input.' });
+      return;
+    }
+    if (game) {
+      handlePlayerInput(socket, game, data, extract);
+    }
   });
   
-  // Handle disconnection
-  socket.on('disconnect', () => {
-    console.log(`Player disconnected: ${socket.id}`);
-    if (game.players.has(socket.id)) {
-      game.removePlayer(socket.id);
+  // Chat messages and commands share one rate limit, so neither can flood the server
+  const checkChatRate = () => chat.recordMessage(socket.id) ? null : 'You are sending messages too fast.';
+  
+  // Invite a player in the world to our party, accept an invite, or leave the party
+  const partyActions = {
+    partyInvite: (player, data) => invitePlayer(game, player, data && data.name),
+    partyAccept: (player) => acceptInvite(game, player),
+    partyLeave: (player) => leaveParty(game, player)
+  };
+  for (const [event, action] of Object.entries(partyActions)) {
+    socket.on(event, (data) => {
+      const player = !spectating && game && game.players.get(socket.id);
+      if (!player) {
+        socket.emit('error', { message: 'Join a world to form a party.' });
+        return;
+      }
       
-      // Clean up empty games
-      if (game.players.size === 0) {
-        games.delete(game.id);
-        console.log(`Removed empty game: ${game.id}`);
+      const refusal = action(player, data);
+      if (refusal) {
+        socket.emit('error', { message: refusal });
       }
+    });
+  }
+  
+  // Chat with the world, nearby players, the party or one player
+  socket.on('chatMessage', (data) => {
+    const player = !spectating && game && game.players.get(socket.id);
+    if (!player) {
+      socket.emit('error', { message: 'Join a world to chat.' });
+      return;
+    }
+    
+    const refusal = checkChatRate() || chat.send(game, player, data);
+    if (refusal) {
+      socket.emit('error', { message: refusal });
     }
   });
+  
+  // Run a slash command typed into the chat box
+  socket.on('chatCommand', (data) => {
+    const player = !spectating && game && game.players.get(socket.id);
+    if (!player) {
+      socket.emit('error', { message: 'Join a world to use commands.' });
+      return;
+    }
+    
+    const refusal = checkChatRate() || commands.execute(game, player, data && data.text);
+    if (refusal) {
+      socket.emit('error', { message: refusal });
+    }
+  });
+  
+  // Handle disconnection
+  socket.on('disconnect', (reason) => {
+    console.log(`Player disconnected: ${socket.id} (${reason})`);
+    chat.forget(socket.id);
+    if (spectating) {
+      game.removeSpectator(socket.id);
+      return;
+    }
+    
+    const player = game && game.players.get(socket.id);
+    if (!player) return;
+    
+    // Players who quit or were kicked leave right away; dropped
+    // connections are held so the client can resume
+    if (player.kicked || !player.sessionId || reason === 'client namespace disconnect') {
+      removePlayerFromGame(game, socket.id);
+      return;
+    }
+    
+    game.detachPlayer(socket.id);
+    holdPlayer(game, player);
+  });
 });
 
-// Game update loop - runs every 50ms (20 updates per second)
-setInterval(() => {
-  for (const game of games.values()) {
-    game.update();
-    game.broadcastState(io);
+// Bring back worlds saved at the last shutdown; their players wait to resume
+try {
+  lobby.restoreGames(saved.worlds);
+  for (const game of lobby.games.values()) {
+    for (const player of game.players.values()) {
+      sessions.restore(player.sessionId, game.id, player.id);
+      holdPlayer(game, player);
+    }
   }
-}, 50);
+} catch (error) {
+  console.error('Failed to restore saved worlds:', error);
+}
+
+// Game update loop - fixed timestep at TICK_RATE updates per second
+const gameLoop = new GameLoop({
+  tickRate: SERVER_CONFIG.TICK_RATE,
+  maxCatchUpTicks: SERVER_CONFIG.MAX_CATCH_UP_TICKS,
+  onTick: (deltaTime) => {
+    for (const game of lobby.games.values()) {
+      const start = performance.now();
+      game.update(deltaTime);
+      metrics.observe('game_tick_duration_seconds', { world: game.id }, (performance.now() - start) / 1000);
+      
+      if (game.raid.isOver()) {
+        endRaid(game);
+      }
+    }
+  },
+  onAfterTicks: () => {
+    for (const game of lobby.games.values()) {
+      const start = performance.now();
+      game.broadcastState();
+      metrics.observe('game_broadcast_duration_seconds', { world: game.id }, (performance.now() - start) / 1000);
+    }
+  }
+});
+gameLoop.start();
 
 // Start the server
-const PORT = process.env.PORT || 3000;
+const PORT = SERVER_CONFIG.PORT;
 server.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
-  console.log(`Test game available at http://localhost:${PORT}`);
-}); 
\ No newline at end of file
+  console.log(`World mode: ${SERVER_CONFIG.WORLD_MODE}`);
+  console.log(`Game available at http://localhost:${PORT}`);
+});
+
+// Save every world and exit
+function saveAndExit() {
+  gameLoop.stop();
+  
+  let exitCode = 0;
+  try {
+    writeSnapshotFile(SERVER_CONFIG.WORLD_SNAPSHOT_FILE, lobby.snapshotGames(), sessions.secret);
+    console.log(`Saved ${lobby.games.size} worlds to ${SERVER_CONFIG.WORLD_SNAPSHOT_FILE}`);
+  } catch (error) {
+    console.error('Failed to save worlds:', error);
+    exitCode = 1;
+  }
+  
+  // Characters and replay files are written asynchronously, so wait for them before exiting
+  Promise.all([
+    saveAllCharacters().then(() => storage.close()),
+    lobby.closeReplays()
+  ]).finally(() => {
+    io.close();
+    process.exit(exitCode);
+  });
+}
+
+// Graceful shutdown: stop accepting players, count down, then save and exit
+function shutdown(signal) {
+  // A second signal skips the countdown
+  if (shuttingDown) {
+    console.log(`${signal} received again, saving now`);
+    saveAndExit();
+    return;
+  }
+  
+  shuttingDown = true;
+  server.close();
+  console.log(`${signal} received, shutting down in ${SERVER_CONFIG.SHUTDOWN_COUNTDOWN_MS / 1000}s`);
+  
+  // Warn players now, every 10 seconds, and each of the last 5 seconds
+  let remaining = Math.ceil(SERVER_CONFIG.SHUTDOWN_COUNTDOWN_MS / 1000);
+  const warn = () => {
+    for (const game of lobby.games.values()) {
+      game.broadcastMessage('serverMessage', {
+        message: `Server restarting in ${remaining}s. Your character will be saved.`
+      });
+    }
+  };
+  warn();
+  
+  const countdown = setInterval(() => {
+    remaining--;
+    if (remaining <= 0) {
+      clearInterval(countdown);
+      saveAndExit();
+    } else if (remaining <= 5 || remaining % 10 === 0) {
+      warn();
+    }
+  }, 1000);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT')); 
\ No newline at end of file
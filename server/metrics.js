@@ -0,0 +1,170 @@
+/**
+ * Server metrics in the Prometheus text exposition format.
+ * Counters and histograms are updated as things happen; gauges are
+ * refreshed by collectors right before each scrape.
+ */
+
+// Histogram buckets by unit
+const SECONDS_BUCKETS = [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25];
+const BYTES_BUCKETS = [128, 512, 2048, 8192, 32768, 131072, 524288];
+
+class Metrics {
+  constructor() {
+    this.definitions = new Map(); // {type, help, buckets, series} by metric name
+    this.collectors = [];
+  }
+
+  /**
+   * Register a metric
+   * @param {string} name - Metric name
+   * @param {string} type - counter, gauge or histogram
+   * @param {string} help - Description shown to scrapers
+   * @param {Array} [buckets] - Histogram bucket upper bounds
+   */
+  define(name, type, help, buckets) {
+    this.definitions.set(name, { type, help, buckets, series: new Map() });
+  }
+
+  /**
+   * Add to a counter
+   * @param {string} name - Metric name
+   * @param {Object} labels - Label values
+   * @param {number} [amount] - Amount to add
+   */
+  increment(name, labels, amount = 1) {
+    const series = this.getSeries(name, labels, () => ({ value: 0 }));
+    series.value += amount;
+  }
+
+  /**
+   * Set a gauge
+   * @param {string} name - Metric name
+   * @param {Object} labels - Label values
+   * @param {number} value - Current value
+   */
+  set(name, labels, value) {
+    this.getSeries(name, labels, () => ({ value: 0 })).value = value;
+  }
+
+  /**
+   * Record a histogram observation
+   * @param {string} name - Metric name
+   * @param {Object} labels - Label values
+   * @param {number} value - Observed value
+   */
+  observe(name, labels, value) {
+    const { buckets } = this.definitions.get(name);
+    const series = this.getSeries(name, labels, () => ({
+      counts: buckets.map(() => 0),
+      sum: 0,
+      count: 0
+    }));
+
+    buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Drop every series of a metric, e.g. before a collector refills a gauge
+   * @param {string} name - Metric name
+   */
+  clear(name) {
+    this.definitions.get(name).series.clear();
+  }
+
+  /**
+   * Drop every series with a label value, e.g. when a world is removed
+   * @param {string} label - Label name
+   * @param {string} value - Label value
+   */
+  removeLabelValue(label, value) {
+    for (const definition of this.definitions.values()) {
+      for (const [key, series] of definition.series.entries()) {
+        if (series.labels[label] === value) {
+          definition.series.delete(key);
+        }
+      }
+    }
+  }
+
+  /**
+   * Run a function before each scrape, to refresh gauges
+   * @param {Function} collector - Collector function
+   */
+  addCollector(collector) {
+    this.collectors.push(collector);
+  }
+
+  /**
+   * Render all metrics for a scrape
+   * @returns {string} Text exposition format
+   */
+  render() {
+    this.collectors.forEach(collector => collector());
+
+    const lines = [];
+    for (const [name, definition] of this.definitions.entries()) {
+      lines.push(`# HELP ${name} ${definition.help}`);
+      lines.push(`# TYPE ${name} ${definition.type}`);
+
+      for (const series of definition.series.values()) {
+        if (definition.type !== 'histogram') {
+          lines.push(`${name}${this.formatLabels(series.labels)} ${series.value}`);
+          continue;
+        }
+
+        definition.buckets.forEach((bound, i) => {
+          lines.push(`${name}_bucket${this.formatLabels({ ...series.labels, le: bound })} ${series.counts[i]}`);
+        });
+        lines.push(`${name}_bucket${this.formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+        lines.push(`${name}_sum${this.formatLabels(series.labels)} ${series.sum}`);
+        lines.push(`${name}_count${this.formatLabels(series.labels)} ${series.count}`);
+      }
+    }
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Get or create the series for a set of label values
+   * @returns {Object} Series state
+   */
+  getSeries(name, labels, create) {
+    const definition = this.definitions.get(name);
+    const key = this.formatLabels(labels);
+
+    if (!definition.series.has(key)) {
+      definition.series.set(key, { labels, ...create() });
+    }
+    return definition.series.get(key);
+  }
+
+  /**
+   * Format label values as {a="1",b="2"}
+   * @returns {string} Label string, empty if there are no labels
+   */
+  formatLabels(labels) {
+    const pairs = Object.keys(labels).map(key => {
+      const value = String(labels[key]).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+      return `${key}="${value}"`;
+    });
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+  }
+}
+
+const metrics = new Metrics();
+
+metrics.define('game_tick_duration_seconds', 'histogram', 'Time to simulate one tick of a world', SECONDS_BUCKETS);
+metrics.define('game_broadcast_duration_seconds', 'histogram', 'Time to build and send gameState for a world', SECONDS_BUCKETS);
+metrics.define('game_broadcast_payload_bytes', 'histogram', 'Size of gameState messages sent to each player, sampled every 20th broadcast', BYTES_BUCKETS);
+metrics.define('game_socket_events_total', 'counter', 'Socket.IO events received from clients, by event name');
+metrics.define('game_player_inputs_total', 'counter', 'playerInput events received, by input type');
+metrics.define('game_entities', 'gauge', 'Entities in a world, by type');
+metrics.define('game_players', 'gauge', 'Players in a world, by connection state');
+metrics.define('game_worlds', 'gauge', 'Running worlds');
+metrics.define('game_connected_clients', 'gauge', 'Connected Socket.IO clients');
+
+module.exports = metrics;
@@ -0,0 +1,120 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Storage adapter that keeps each collection in a JSON file, so the server
+ * runs without an external database. Collections are read into memory on
+ * first use and rewritten whole after every change.
+ */
+class JsonFileStorage {
+  /**
+   * @param {string} dir - Directory for the collection files
+   */
+  constructor(dir) {
+    this.dir = dir;
+    this.collections = new Map(); // Promise of a Map of records by ID, by collection name
+    this.writes = new Map(); // Last pending write, by collection name
+  }
+
+  /**
+   * @param {string} collection - Collection name
+   * @param {string} id - Record ID
+   * @returns {Promise<Object|null>} Record, or null if there is none
+   */
+  async get(collection, id) {
+    const records = await this.load(collection);
+    return records.has(id) ? copy(records.get(id)) : null;
+  }
+
+  /**
+   * Add or replace a record
+   * @param {string} collection - Collection name
+   * @param {string} id - Record ID
+   * @param {Object} record - JSON-safe record
+   * @returns {Promise} Resolves once the record is on disk
+   */
+  async set(collection, id, record) {
+    const records = await this.load(collection);
+    records.set(id, copy(record));
+    return this.write(collection);
+  }
+
+  /**
+   * @param {string} collection - Collection name
+   * @param {string} id - Record ID
+   * @returns {Promise} Resolves once the record is gone from disk
+   */
+  async delete(collection, id) {
+    const records = await this.load(collection);
+    if (records.delete(id)) {
+      return this.write(collection);
+    }
+  }
+
+  /**
+   * Wait for pending writes, e.g. before the process exits
+   * @returns {Promise}
+   */
+  close() {
+    return Promise.all(this.writes.values());
+  }
+
+  /**
+   * Read a collection file, once
+   * @param {string} collection - Collection name
+   * @returns {Promise<Map>} Records by ID
+   */
+  load(collection) {
+    if (!this.collections.has(collection)) {
+      this.collections.set(collection, fs.promises.readFile(this.getFile(collection), 'utf8')
+        .then(text => new Map(Object.entries(JSON.parse(text))))
+        .catch(error => {
+          if (error.code === 'ENOENT') return new Map();
+          throw error;
+        }));
+    }
+    return this.collections.get(collection);
+  }
+
+  /**
+   * Rewrite a collection file after the writes already queued for it
+   * @param {string} collection - Collection name
+   * @returns {Promise} Resolves once the file is written
+   */
+  write(collection) {
+    const file = this.getFile(collection);
+    const previous = this.writes.get(collection) || Promise.resolve();
+
+    const next = previous.catch(() => {}).then(async () => {
+      const records = await this.load(collection);
+      await fs.promises.mkdir(this.dir, { recursive: true });
+
+      // Write then rename so a crash mid-write can't leave a truncated file
+      const tempFile = `${file}.tmp`;
+      await fs.promises.writeFile(tempFile, JSON.stringify(Object.fromEntries(records)));
+      await fs.promises.rename(tempFile, file);
+    });
+
+    this.writes.set(collection, next);
+    return next;
+  }
+
+  /**
+   * @param {string} collection - Collection name
+   * @returns {string} Path of the collection's file
+   */
+  getFile(collection) {
+    return path.join(this.dir, `${collection}.json`);
+  }
+}
+
+/**
+ * Copy a record, so stored data can't be changed by accident
+ * @param {Object} record - JSON-safe record
+ * @returns {Object} Deep copy
+ */
+function copy(record) {
+  return JSON.parse(JSON.stringify(record));
+}
+
+module.exports = JsonFileStorage;
@@ -0,0 +1,43 @@
+// Persistence for accounts and characters behind a pluggable adapter.
+//
+// An adapter keeps JSON records in named collections and implements:
+//   get(collection, id)          -> Promise of the record, or null
+//   set(collection, id, record)  -> Promise, resolved once stored
+//   delete(collection, id)       -> Promise, resolved once removed
+//   close()                      -> Promise, resolved once pending writes finish
+// Records are copied in and out, so callers can't change stored data by accident.
+
+const SERVER_CONFIG = require('../config');
+const JsonFileStorage = require('./JsonFileStorage');
+
+// Adapter factories by STORAGE_ADAPTER name
+const adapters = {
+  json: () => new JsonFileStorage(SERVER_CONFIG.STORAGE_DIR)
+};
+
+/**
+ * Make another adapter available to STORAGE_ADAPTER, e.g. a database
+ * @param {string} name - Adapter name
+ * @param {Function} factory - Returns a new adapter
+ */
+function registerStorageAdapter(name, factory) {
+  adapters[name] = factory;
+}
+
+/**
+ * Create the configured storage adapter
+ * @param {string} [name] - Adapter name
+ * @returns {Object} Storage adapter
+ */
+function createStorage(name = SERVER_CONFIG.STORAGE_ADAPTER) {
+  const factory = adapters[name];
+  if (!factory) {
+    throw new Error(`Unknown STORAGE_ADAPTER "${name}". Expected one of: ${Object.keys(adapters).join(', ')}`);
+  }
+  return factory();
+}
+
+module.exports = {
+  createStorage,
+  registerStorageAdapter
+};
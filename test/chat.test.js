@@ -0,0 +1,152 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const SERVER_CONFIG = require('../server/config');
+const TestWorld = require('../server/gameLogic/TestWorld');
+const Lobby = require('../server/gameLogic/Lobby');
+const ChatService = require('../server/gameLogic/ChatService');
+const { invitePlayer, acceptInvite, leaveParty } = require('../server/gameLogic/parties');
+
+// A test world with three players, recording every message sent to them
+function createWorld(id = 'world-1', names = [['a', 'Ann', 'warrior'], ['b', 'Bob', 'mage'], ['c', 'Cy', 'ranger']]) {
+  const world = new TestWorld(id);
+  world.sent = [];
+  world.sendToPlayer = (playerId, event, data) => world.sent.push({ playerId, event, data });
+  world.broadcastMessage = (event, data) => {
+    world.players.forEach(player => world.sendToPlayer(player.id, event, data));
+  };
+
+  for (const [playerId, name, characterClass] of names) {
+    const player = world.addPlayer(playerId, { name, characterClass });
+    player.accountId = `account-${playerId}`;
+    player.characterId = `character-${playerId}`;
+  }
+  return world;
+}
+
+function createChat(...worlds) {
+  const lobby = new Lobby(null);
+  worlds.forEach(world => lobby.games.set(world.id, world));
+  return new ChatService(lobby, new Map());
+}
+
+// Who got chat messages on a channel, and what they said
+function chatMessages(world, channel) {
+  return world.sent
+    .filter(({ event, data }) => event === 'chatMessage' && data.channel === channel)
+    .map(({ playerId, data }) => `${playerId}: ${data.from}: ${data.text}`);
+}
+
+test('party members receive each other\'s party messages', () => {
+  const world = createWorld();
+  const chat = createChat(world);
+  const [ann, bob] = [world.players.get('a'), world.players.get('b')];
+
+  assert.strictEqual(invitePlayer(world, ann, 'bob'), null);
+  assert.strictEqual(acceptInvite(world, bob), null);
+
+  assert.strictEqual(chat.send(world, ann, { channel: 'party', text: 'hi Bob' }), null);
+  assert.strictEqual(chat.send(world, bob, { channel: 'party', text: 'hi Ann' }), null);
+
+  assert.deepStrictEqual(chatMessages(world, 'party'), [
+    'a: Ann: hi Bob',
+    'b: Ann: hi Bob',
+    'a: Bob: hi Ann',
+    'b: Bob: hi Ann'
+  ]);
+});
+
+test('party chat needs a party, and stops reaching players who left', () => {
+  const world = createWorld();
+  const chat = createChat(world);
+  const [ann, bob, cy] = [world.players.get('a'), world.players.get('b'), world.players.get('c')];
+
+  assert.strictEqual(chat.send(world, ann, { channel: 'party', text: 'anyone?' }), "You're not in a party.");
+
+  invitePlayer(world, ann, 'Bob');
+  acceptInvite(world, bob);
+  invitePlayer(world, bob, 'Cy');
+  acceptInvite(world, cy);
+  assert.strictEqual(leaveParty(world, bob), null);
+
+  chat.send(world, ann, { channel: 'party', text: 'Bob left' });
+  assert.deepStrictEqual(chatMessages(world, 'party'), ['a: Ann: Bob left', 'c: Ann: Bob left']);
+  assert.strictEqual(chat.send(world, bob, { channel: 'party', text: 'wait' }), "You're not in a party.");
+});
+
+test('a socket sending too many messages or commands at once is refused until the window passes', () => {
+  const world = createWorld();
+  const chat = createChat(world);
+  const [ann, bob] = [world.players.get('a'), world.players.get('b')];
+
+  for (let i = 0; i < SERVER_CONFIG.CHAT_RATE_LIMIT; i++) {
+    assert.strictEqual(chat.recordMessage(ann.id), true);
+  }
+  assert.strictEqual(chat.recordMessage(ann.id), false);
+
+  // Other sockets have their own limit
+  assert.strictEqual(chat.recordMessage(bob.id), true);
+
+  // Messages older than the window no longer count
+  const times = chat.sendTimes.get(ann.id);
+  times.forEach((time, i) => { times[i] = time - SERVER_CONFIG.CHAT_RATE_WINDOW_MS; });
+  assert.strictEqual(chat.recordMessage(ann.id), true);
+});
+
+test('muted accounts can\'t send until the mute runs out', () => {
+  const world = createWorld();
+  const chat = createChat(world);
+  const ann = world.players.get('a');
+
+  chat.mutes.set(ann.accountId, { reason: 'spam', until: Date.now() + 60 * 1000 });
+  assert.strictEqual(chat.send(world, ann, { channel: 'world', text: 'hello' }), 'You are muted: spam');
+  assert.deepStrictEqual(chatMessages(world, 'world'), []);
+
+  chat.mutes.get(ann.accountId).until = Date.now() - 1;
+  assert.strictEqual(chat.send(world, ann, { channel: 'world', text: 'hello' }), null);
+  assert.ok(!chat.mutes.has(ann.accountId));
+});
+
+test('whispers reach one player by name in any world and echo to the sender', () => {
+  const world = createWorld();
+  const other = createWorld('world-2', [['d', 'Dee', 'mage']]);
+  const chat = createChat(world, other);
+  const ann = world.players.get('a');
+
+  assert.strictEqual(chat.send(world, ann, { channel: 'whisper', text: 'psst', to: 'dee' }), null);
+  assert.deepStrictEqual(chatMessages(other, 'whisper'), ['d: Ann: psst']);
+  assert.deepStrictEqual(chatMessages(world, 'whisper'), ['a: Ann: psst']);
+  assert.strictEqual(world.sent[0].data.to, 'Dee');
+
+  assert.strictEqual(
+    chat.send(world, ann, { channel: 'whisper', text: 'psst', to: 'Nobody' }),
+    'No player named Nobody is online.'
+  );
+});
+
+test('proximity chat only reaches players within the radius', () => {
+  const world = createWorld();
+  const chat = createChat(world);
+  const [ann, bob, cy] = [world.players.get('a'), world.players.get('b'), world.players.get('c')];
+  ann.position = { x: 0, y: 0 };
+  bob.position = { x: SERVER_CONFIG.CHAT_PROXIMITY_RADIUS, y: 0 };
+  cy.position = { x: SERVER_CONFIG.CHAT_PROXIMITY_RADIUS + 1, y: 0 };
+
+  assert.strictEqual(chat.send(world, ann, { channel: 'proximity', text: 'near' }), null);
+  assert.deepStrictEqual(chatMessages(world, 'proximity'), ['a: Ann: near', 'b: Ann: near']);
+});
+
+test('messages on unknown channels, without text or too long are refused', () => {
+  const world = createWorld();
+  const chat = createChat(world);
+  const ann = world.players.get('a');
+
+  assert.strictEqual(chat.send(world, ann, null), 'Invalid chat message.');
+  assert.strictEqual(chat.send(world, ann, { channel: 'guild', text: 'hi' }), 'Invalid chat message.');
+  assert.strictEqual(chat.send(world, ann, { channel: 'world', text: 42 }), 'Invalid chat message.');
+  assert.strictEqual(chat.send(world, ann, { channel: 'world', text: ' \u0007 ' }), 'Message is empty.');
+  assert.strictEqual(
+    chat.send(world, ann, { channel: 'world', text: 'x'.repeat(SERVER_CONFIG.CHAT_MAX_LENGTH + 1) }),
+    `Messages can be at most ${SERVER_CONFIG.CHAT_MAX_LENGTH} characters.`
+  );
+  assert.deepStrictEqual(world.sent, []);
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const TestWorld = require('../server/gameLogic/TestWorld');
+const Item = require('../server/gameLogic/items/Item');
+const { invitePlayer, acceptInvite } = require('../server/gameLogic/parties');
+
+// A test world with three players, recording every message sent to them
+function createWorld() {
+  const world = new TestWorld('world-1');
+  world.sent = [];
+  world.sendToPlayer = (playerId, event, data) => world.sent.push({ playerId, event, data });
+
+  for (const [id, name, characterClass] of [['a', 'Ann', 'warrior'], ['b', 'Bob', 'mage'], ['c', 'Cy', 'ranger']]) {
+    const player = world.addPlayer(id, { name, characterClass });
+    player.accountId = `account-${id}`;
+    player.characterId = `character-${id}`;
+  }
+  return world;
+}
+
+// Drop an item earned by a player at another player's feet
+function dropLoot(world, earnedBy, droppedAt) {
+  const item = new Item('item-1', 'weapon', 'common', { damage: 5 }, { ...droppedAt.position }, world.random.loot);
+  world.claimLoot(item, earnedBy);
+  world.items.set(item.id, item);
+  return item;
+}
+
+test('a party member can pick up loot reserved for their party', () => {
+  const world = createWorld();
+  const [ann, bob] = [world.players.get('a'), world.players.get('b')];
+  assert.strictEqual(invitePlayer(world, ann, 'bob'), null);
+  assert.strictEqual(acceptInvite(world, bob), null);
+
+  const item = dropLoot(world, ann, bob);
+  world.checkItemPickup(bob, item);
+
+  assert.ok(!world.items.has(item.id));
+  assert.ok(bob.inventory.some(carried => carried.id === item.id));
+});
+
+test('a player outside the party is refused reserved loot', () => {
+  const world = createWorld();
+  const [ann, bob, cy] = [world.players.get('a'), world.players.get('b'), world.players.get('c')];
+  invitePlayer(world, ann, 'bob');
+  acceptInvite(world, bob);
+
+  const item = dropLoot(world, ann, cy);
+  world.checkItemPickup(cy, item);
+  world.checkItemPickup(cy, item);
+
+  assert.ok(world.items.has(item.id));
+  assert.ok(!cy.inventory.some(carried => carried.id === item.id));
+  const refusals = world.sent.filter(({ playerId, event }) => playerId === 'c' && event === 'error');
+  assert.strictEqual(refusals.length, 1);
+});
+
+test('anyone can pick up loot once ownership runs out', () => {
+  const world = createWorld();
+  const [ann, cy] = [world.players.get('a'), world.players.get('c')];
+
+  const item = dropLoot(world, ann, cy);
+  item.ownedUntil = Date.now() - 1;
+  world.checkItemPickup(cy, item);
+
+  assert.ok(!world.items.has(item.id));
+});
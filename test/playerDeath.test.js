@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createWorld, WORLD_MODES } = require('../server/gameLogic/worldFactory');
+const Item = require('../server/gameLogic/items/Item');
+
+for (const mode of WORLD_MODES) {
+  test(`a player dying in a ${mode} world leaves a corpse and respawns at full health`, () => {
+    const world = createWorld(mode, `${mode}-world`, { seed: 'death' });
+    world.sent = [];
+    world.sendToPlayer = (playerId, event, data) => world.sent.push({ playerId, event, data });
+
+    const player = world.addPlayer('a', { name: 'Ann', characterClass: 'warrior' });
+    player.characterId = 'character-a';
+    const item = new Item('item-1', 'weapon', 'common', { damage: 5 }, null, world.random.loot);
+    player.addItemToInventory(item);
+    player.health = 0;
+
+    world.handlePlayerDeath(player);
+
+    assert.strictEqual(player.health, player.getMaxHealth());
+    assert.strictEqual(player.inventory.length, 0);
+    assert.strictEqual(world.corpses.size, 1);
+    const [died] = world.sent.filter(({ event }) => event === 'youDied');
+    assert.deepStrictEqual(died.data.respawnPosition, player.position);
+  });
+}